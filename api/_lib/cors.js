@@ -0,0 +1,45 @@
+/**
+ * CORS origin allowlist for API routes
+ *
+ * ALLOWED_ORIGINS is a comma-separated list of origins, e.g.
+ * "https://signalsorter.app,http://localhost:3000". Same-origin requests are
+ * always allowed; requests without an Origin header (curl, server-to-server)
+ * pass through and rely on auth alone.
+ */
+
+function getAllowedOrigins() {
+  return (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean)
+}
+
+export function isOriginAllowed(req) {
+  const origin = req.headers?.origin
+  if (!origin) return true
+
+  if (getAllowedOrigins().includes(origin)) return true
+
+  try {
+    return new URL(origin).host === req.headers.host
+  } catch {
+    return false
+  }
+}
+
+// Set CORS headers for an allowed origin. Returns false if the origin is not allowed.
+export function applyCors(req, res, { methods, exposeHeaders = [] }) {
+  res.setHeader('Vary', 'Origin')
+
+  if (!isOriginAllowed(req)) return false
+
+  if (req.headers?.origin) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin)
+  }
+  res.setHeader('Access-Control-Allow-Methods', methods.join(', '))
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+  if (exposeHeaders.length) {
+    res.setHeader('Access-Control-Expose-Headers', exposeHeaders.join(', '))
+  }
+  return true
+}
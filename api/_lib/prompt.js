@@ -0,0 +1,292 @@
+/**
+ * Server-side prompt construction for /api/chat
+ *
+ * The system prompt and conversation are built here from the caller's own
+ * profile, items and message history, never from client-supplied text.
+ */
+
+import { getAdminClient } from './supabase.js'
+import { ITEM_TOOLS, PLAN_TOOLS, BREAKDOWN_TOOLS, SORT_TOOLS } from './tools.js'
+
+// Rough token budget for prior conversation turns sent with each request
+const HISTORY_TOKEN_BUDGET = 3000
+const HISTORY_MAX_MESSAGES = 20
+
+const MODE_TOOLS = { classify: ITEM_TOOLS, plan: PLAN_TOOLS, breakdown: BREAKDOWN_TOOLS, sort: SORT_TOOLS }
+
+// One-off requests that aren't part of the chat
+const ONE_OFF_MODES = ['plan', 'breakdown', 'sort']
+
+// Triage buckets as the user sees them (items.status)
+const STATUS_GROUPS = [
+  { status: 'today', heading: 'TODAY (committed to doing today)' },
+  { status: 'week', heading: 'THIS WEEK' },
+  { status: 'inbox', heading: 'INBOX (not triaged yet)' },
+  { status: 'someday', heading: 'SOMEDAY (deliberately parked)' }
+]
+
+// Active items grouped by status, empty groups left out
+function formatByStatus(activeItems, timezone) {
+  const groups = STATUS_GROUPS
+    .map(({ status, heading }) => {
+      const matching = activeItems.filter(i => (i.status && i.status !== 'completed' ? i.status : 'inbox') === status)
+      return matching.length && `${heading}:\n${matching.map(i => formatItem(i, timezone)).join('\n')}`
+    })
+    .filter(Boolean)
+  return groups.length ? groups.join('\n\n') : '  None yet'
+}
+
+// Current time in the user's timezone, falling back to UTC
+function formatNow(timezone) {
+  const now = new Date()
+  try {
+    const local = now.toLocaleString('en-US', {
+      timeZone: timezone || 'UTC',
+      dateStyle: 'full',
+      timeStyle: 'long'
+    })
+    return `${local} (${now.toISOString()})`
+  } catch {
+    return now.toISOString()
+  }
+}
+
+// Deadline in the user's timezone, e.g. "Fri, Oct 23, 5:00 PM"
+function formatDue(dueAt, timezone) {
+  const options = { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }
+  try {
+    return new Date(dueAt).toLocaleString('en-US', { ...options, timeZone: timezone || 'UTC' })
+  } catch {
+    return new Date(dueAt).toISOString()
+  }
+}
+
+// One item as listed in the prompt, with whatever deadline / effort it carries
+function formatItem(item, timezone) {
+  const details = [
+    item.due_at && `due ${formatDue(item.due_at, timezone)}`,
+    item.estimate_minutes && `~${item.estimate_minutes} min`,
+    item.energy && `${item.energy} energy`,
+    item.checklist?.length && `${item.checklist.filter(step => step.done).length}/${item.checklist.length} steps done`
+  ].filter(Boolean)
+  return `  - "${item.name}" [${item.classification}]${details.length ? ` (${details.join(', ')})` : ''}`
+}
+
+// Cheap token estimate (~4 chars per token for English text)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4)
+}
+
+// Build the Messages API conversation: recent history trimmed to the token
+// budget, consecutive same-role turns merged, starting and ending on a user turn
+export function buildConversation(history, userMessage, tokenBudget = HISTORY_TOKEN_BUDGET) {
+  let budget = tokenBudget - estimateTokens(userMessage)
+  const recent = []
+
+  // Walk backwards so the newest turns win the budget
+  const candidates = history
+    .filter(m => (m.role === 'user' || m.role === 'assistant') && m.content?.trim())
+    .slice(-HISTORY_MAX_MESSAGES)
+
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(candidates[i].content)
+    if (cost > budget) break
+    budget -= cost
+    recent.unshift({ role: candidates[i].role, content: candidates[i].content })
+  }
+
+  const conversation = []
+  for (const msg of [...recent, { role: 'user', content: userMessage }]) {
+    const last = conversation[conversation.length - 1]
+    if (last?.role === msg.role) {
+      last.content += `\n\n${msg.content}`
+    } else {
+      conversation.push(msg)
+    }
+  }
+
+  // Drop the greeting or any other leading assistant turns
+  while (conversation[0]?.role === 'assistant') conversation.shift()
+
+  return conversation
+}
+
+// Build system prompt
+export function buildSystemPrompt(userContext, activeItems, completedItems, mode, { useTools = false, timezone } = {}) {
+  const { name, role, work_priorities, personal_priorities, goals, workday_start, focus_challenge } = userContext || {}
+
+  const contextBlock = [
+    name && `User: ${name}`,
+    role && `Role: ${role}`,
+    work_priorities?.length && `Work priorities: ${work_priorities.join(', ')}`,
+    personal_priorities?.length && `Personal priorities: ${personal_priorities.join(', ')}`,
+    goals?.length && `Goals: ${goals.join(', ')}`,
+    workday_start && `Workday starts: ${workday_start}`,
+    focus_challenge && `Focus challenge: ${focus_challenge}`
+  ].filter(Boolean).join('\n')
+
+  const activeItemsList = activeItems.length 
+    ? activeItems.map(i => formatItem(i, timezone)).join('\n')
+    : '  None yet'
+
+  const recentCompleted = completedItems.slice(0, 5)
+  const completedList = recentCompleted.length
+    ? recentCompleted.map(i => `  - "${i.name}"`).join('\n')
+    : '  None'
+
+  if (mode === 'plan') {
+    return `You are Signal Sorter, planning the calendar of ${name || 'a busy professional'}${role ? ` working as ${role}` : ''}.
+
+${contextBlock}
+
+CURRENT TIME: ${formatNow(timezone)}
+
+YOUR TASK: The user lists the tasks to fit into their calendar. Call plan_items once with every listed task:
+- Order them most important first: anything due soon, then SIGNAL before NECESSARY, then by impact on their priorities
+- Estimate realistic focused minutes for each (15-240), keeping the user's own estimate when one is given. SIGNAL work usually needs a deep-work block; NECESSARY tasks are usually short
+- Use the task names exactly as listed and don't add tasks
+
+Don't pick times - the app fits the blocks into free time. Add at most two sentences on the plan.`
+  }
+
+  if (mode === 'breakdown') {
+    return `You are Signal Sorter, helping ${name || 'a busy professional'}${role ? ` working as ${role}` : ''} break a big task into steps.
+
+${contextBlock}
+
+YOUR TASK: The user names one task, with its details and any steps they already have. Call propose_steps once with the steps still missing:
+- 3 to 8 concrete steps, in the order to do them, each small enough to finish in one sitting
+- Start each step with a verb and keep it under 10 words
+- Don't repeat steps the user already has
+
+Add at most one sentence on where to start.`
+  }
+
+  if (mode === 'sort') {
+    return `You are Signal Sorter, classifying tasks for ${name || 'a busy professional'}${role ? ` working as ${role}` : ''}.
+
+${contextBlock}
+
+YOUR TASK: The user lists numbered tasks. Call classify_tasks once with a classification for every number:
+- SIGNAL: Directly advances top priorities. High impact.
+- NECESSARY: Must be done but can be batched. Medium impact.
+- NOISE: Doesn't advance priorities. Defer, delegate, or ignore.
+- Classify every task, even ones that look like duplicates or are already on their list
+
+Don't add, rename or merge tasks, and don't reply with anything else.`
+  }
+
+  if (mode === 'reprioritize') {
+    return `You are a decisive productivity coach helping ${name || 'the user'} prioritize.
+
+${contextBlock}
+
+CURRENT ACTIVE ITEMS:
+${formatByStatus(activeItems, timezone)}
+
+RECENTLY COMPLETED:
+${completedList}
+
+YOUR TASK: Analyze their current items and tell them exactly what to focus on NOW.
+Respect how they've triaged: pick from TODAY first, then THIS WEEK. Only reach into
+the INBOX for a SIGNAL that clearly beats everything planned, and never recommend
+SOMEDAY items unless nothing else is active.
+Deadlines override this: anything overdue or due today comes first. Use estimates to
+suggest what fits the time they have left (it's ${formatNow(timezone)}).
+
+RESPONSE FORMAT:
+1. Start with their #1 priority and why
+2. Give a brief ranking of their top 3 items
+3. Be direct and actionable - no fluff
+
+DO NOT suggest new items. Only work with what they have.
+Keep response under 150 words. Be a decisive coach, not a passive assistant.`
+  }
+
+  const outputFormat = useTools
+    ? `CURRENT TIME: ${formatNow(timezone)}
+
+TOOLS - Record every change to the list with a tool call, never as JSON in your reply:
+- add_items: every NEW task (not already in the list above), classified, with what/why/next,
+  plus due / estimate_minutes / energy when the user gives them ("by Friday", "quick 10-min thing")
+- reclassify_item: when the user asks to change a tracked item's classification
+- complete_item: when the user says a tracked item is done
+- schedule_item: when the user asks to block time for an item`
+    : `OUTPUT FORMAT - For each NEW task (not already in the list above), output a JSON block:
+\`\`\`json
+{"items": [
+  {"name": "Short task name", "classification": "SIGNAL", "what": "What this involves", "why": "Why it matters", "next": "Specific next action"},
+  {"name": "Another task", "classification": "NECESSARY", "what": "...", "why": "...", "next": "...", "due": "YYYY-MM-DD", "estimate_minutes": 10, "energy": "low"},
+  {"name": "Low priority", "classification": "NOISE", "what": "...", "why": "Why it's noise", "next": "Defer/delegate/ignore"}
+]}
+\`\`\`
+Include "due", "estimate_minutes" and "energy" only when the user gives them ("by Friday", "quick 10-min thing").
+CURRENT TIME (for resolving dates): ${formatNow(timezone)}`
+
+  return `You are Signal Sorter, a decisive productivity AI for ${name || 'a busy professional'}${role ? ` working as ${role}` : ''}.
+
+${contextBlock}
+
+CURRENT TRACKED ITEMS:
+${activeItemsList}
+
+YOUR TASK: When the user dumps tasks/thoughts, classify each one and respond conversationally.
+
+${outputFormat}
+
+CLASSIFICATION RULES:
+- SIGNAL: Directly advances top priorities. High impact. Do these first.
+- NECESSARY: Must be done but can be batched. Medium impact.
+- NOISE: Doesn't advance priorities. Defer, delegate, or ignore.
+
+CRITICAL RULES:
+1. Keep task names SHORT (3-6 words max)
+2. Be decisive - YOU classify, don't ask them to
+3. DO NOT include items that are already tracked (check the list above!)
+4. If the user mentions something already tracked, acknowledge it but don't re-add it
+5. ${useTools ? 'Alongside the tool calls' : 'After the JSON block'}, add a brief conversational summary
+6. End with: "**Your top signal: [specific task]**"
+
+Respond like a smart coworker, not a formal assistant. Be direct and helpful.`
+}
+
+// Build the request from a profile, items (newest first) and message history (oldest first)
+export function assembleChatRequest({ profile, items, history }, message, mode, { timezone } = {}) {
+  // The client saves the user's message before calling us; don't send it twice
+  const last = history[history.length - 1]
+  if (last?.role === 'user' && last.content.trim() === message.trim()) history = history.slice(0, -1)
+
+  const tools = MODE_TOOLS[mode] || null
+  const system = buildSystemPrompt(
+    profile || {},
+    items.filter(i => !i.completed),
+    items.filter(i => i.completed),
+    mode,
+    { useTools: mode === 'classify', timezone }
+  )
+
+  const messages = ONE_OFF_MODES.includes(mode) ? [{ role: 'user', content: message }] : buildConversation(history, message)
+
+  return { system, messages, tools }
+}
+
+// Load the caller's profile, items and recent messages and build the request
+export async function buildChatRequest(userId, message, mode, { timezone } = {}) {
+  const db = getAdminClient()
+
+  const [profileResult, itemsResult, messagesResult] = await Promise.all([
+    db.from('users').select('*').eq('id', userId).single(),
+    db.from('items').select('*').eq('user_id', userId).order('created_at', { ascending: false }),
+    db.from('messages').select('role, content').eq('user_id', userId)
+      .order('created_at', { ascending: false }).limit(HISTORY_MAX_MESSAGES + 1)
+  ])
+
+  const failed = [profileResult, itemsResult, messagesResult].find(r => r.error)
+  if (failed) throw new Error(`Context load failed: ${failed.error.message}`)
+
+  return assembleChatRequest({
+    profile: profileResult.data,
+    items: itemsResult.data || [],
+    history: (messagesResult.data || []).reverse()
+  }, message, mode, { timezone })
+}
@@ -0,0 +1,84 @@
+/**
+ * Anthropic Messages API provider
+ *
+ * Env: ANTHROPIC_API_KEY (required), ANTHROPIC_MODEL
+ */
+
+import { postWithRetry } from './retry.js'
+import { readSSE } from './sse.js'
+
+const API_URL = 'https://api.anthropic.com/v1/messages'
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514'
+const MAX_TOKENS = 1500
+
+// Split a Messages API response into reply text and tool calls
+function extractContent(content = []) {
+  return {
+    text: content.filter(block => block.type === 'text').map(block => block.text).join(''),
+    toolCalls: content
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ name: block.name, input: block.input || {} }))
+  }
+}
+
+// Yield text deltas and completed tool calls from an Anthropic SSE response body
+async function* readAnthropicStream(body) {
+  const toolBlocks = new Map()
+
+  for await (const data of readSSE(body)) {
+    const event = JSON.parse(data)
+
+    if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+      toolBlocks.set(event.index, { name: event.content_block.name, json: '' })
+    } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      yield { type: 'text', text: event.delta.text }
+    } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+      const block = toolBlocks.get(event.index)
+      if (block) block.json += event.delta.partial_json
+    } else if (event.type === 'content_block_stop' && toolBlocks.has(event.index)) {
+      const { name, json } = toolBlocks.get(event.index)
+      toolBlocks.delete(event.index)
+      yield { type: 'tool', name, input: json ? JSON.parse(json) : {} }
+    } else if (event.type === 'error') {
+      throw new Error(event.error?.message || 'Stream error')
+    }
+  }
+}
+
+export function createAnthropicProvider() {
+  const apiKey = process.env.ANTHROPIC_API_KEY
+  if (!apiKey) throw new Error('ANTHROPIC_API_KEY not configured')
+
+  const model = process.env.ANTHROPIC_MODEL || DEFAULT_MODEL
+
+  const request = ({ system, messages, tools }, stream) => postWithRetry('Anthropic', API_URL, {
+    headers: {
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01'
+    },
+    body: {
+      model,
+      max_tokens: MAX_TOKENS,
+      system,
+      messages,
+      ...(tools && { tools }),
+      stream
+    }
+  })
+
+  return {
+    name: 'anthropic',
+    model,
+
+    async complete(params) {
+      const response = await request(params, false)
+      const data = await response.json()
+      return extractContent(data.content)
+    },
+
+    async stream(params) {
+      const response = await request(params, true)
+      return readAnthropicStream(response.body)
+    }
+  }
+}
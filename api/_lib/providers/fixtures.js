@@ -0,0 +1,94 @@
+/**
+ * Canned responses for the mock provider
+ *
+ * `text` is the legacy fenced-JSON reply parsed by parseResponse on the client;
+ * `toolText` + `toolCalls` is the equivalent tool-use reply.
+ */
+
+export const FIXTURES = {
+  classify: {
+    text: `\`\`\`json
+{"items": [
+  {"name": "Finish Q3 roadmap draft", "classification": "SIGNAL", "what": "Write the first full draft of the Q3 roadmap", "why": "Unblocks planning for the whole team", "next": "Outline the three themes"},
+  {"name": "Submit expense report", "classification": "NECESSARY", "what": "File last month's travel expenses", "why": "Due end of week", "next": "Collect receipts", "estimate_minutes": 15, "energy": "low"},
+  {"name": "Reorganize bookmarks", "classification": "NOISE", "what": "Tidy browser bookmarks", "why": "Doesn't advance any priority", "next": "Ignore"}
+]}
+\`\`\`
+
+Got it. The roadmap draft is the one that moves the needle; batch the expense report with other admin and let the bookmarks go.
+
+**Your top signal: Finish Q3 roadmap draft**`,
+    toolText: 'Got it. The roadmap draft is the one that moves the needle; batch the expense report with other admin and let the bookmarks go.\n\n**Your top signal: Finish Q3 roadmap draft**',
+    toolCalls: [
+      {
+        name: 'add_items',
+        input: {
+          items: [
+            { name: 'Finish Q3 roadmap draft', classification: 'SIGNAL', what: 'Write the first full draft of the Q3 roadmap', why: 'Unblocks planning for the whole team', next: 'Outline the three themes' },
+            { name: 'Submit expense report', classification: 'NECESSARY', what: "File last month's travel expenses", why: 'Due end of week', next: 'Collect receipts', estimate_minutes: 15, energy: 'low' },
+            { name: 'Reorganize bookmarks', classification: 'NOISE', what: 'Tidy browser bookmarks', why: "Doesn't advance any priority", next: 'Ignore' }
+          ]
+        }
+      }
+    ]
+  },
+
+  reprioritize: {
+    text: `Your #1 priority right now is **Finish Q3 roadmap draft** — it unblocks the rest of the team, so nothing else comes close.
+
+Top 3:
+1. Finish Q3 roadmap draft
+2. Submit expense report
+3. Everything else can wait until after lunch`
+  },
+
+  plan: {
+    text: 'Roadmap first while your focus is fresh, then clear the expense report in the afternoon admin batch.',
+    toolText: 'Roadmap first while your focus is fresh, then clear the expense report in the afternoon admin batch.',
+    toolCalls: [
+      {
+        name: 'plan_items',
+        input: {
+          items: [
+            { name: 'Finish Q3 roadmap draft', minutes: 90 },
+            { name: 'Submit expense report', minutes: 30 }
+          ]
+        }
+      }
+    ]
+  },
+
+  breakdown: {
+    text: 'Start with the outline; the rest follows from it.',
+    toolText: 'Start with the outline; the rest follows from it.',
+    toolCalls: [
+      {
+        name: 'propose_steps',
+        input: {
+          steps: [
+            'Outline the three themes',
+            'Draft goals for each theme',
+            'Estimate team capacity',
+            'Review draft with leads'
+          ]
+        }
+      }
+    ]
+  },
+
+  sort: {
+    text: '',
+    toolText: '',
+    toolCalls: [
+      {
+        name: 'classify_tasks',
+        input: {
+          classifications: [
+            { index: 1, classification: 'SIGNAL' },
+            { index: 2, classification: 'NECESSARY' }
+          ]
+        }
+      }
+    ]
+  }
+}
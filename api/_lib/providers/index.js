@@ -0,0 +1,54 @@
+/**
+ * LLM provider selection
+ *
+ * LLM_PROVIDER picks the backend: 'anthropic' (default), 'openai' for any
+ * OpenAI-compatible endpoint, or 'mock' for canned fixtures.
+ *
+ * Every provider exposes:
+ *   complete({ system, messages, tools, mode }) -> { text, toolCalls }
+ *   stream({ system, messages, tools, mode })   -> async iterable of
+ *     { type: 'text', text } | { type: 'tool', name, input }
+ * `tools` is an array of Anthropic-shaped tool schemas, or null for plain text.
+ *
+ * Providers that support embeddings also expose embed(texts) -> number[][].
+ * EMBEDDING_PROVIDER selects one ('openai' or 'mock'); unset disables embeddings.
+ */
+
+import { createAnthropicProvider } from './anthropic.js'
+import { createOpenAIProvider } from './openai.js'
+import { createMockProvider } from './mock.js'
+
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+}
+
+// Name of the selected provider, whether or not it is configured
+export function getProviderName() {
+  return (process.env.LLM_PROVIDER || 'anthropic').toLowerCase()
+}
+
+// Throws if the selected provider is unknown or missing configuration
+export function getProvider() {
+  const name = getProviderName()
+  const create = PROVIDERS[name]
+
+  if (!create) throw new Error(`Unknown LLM_PROVIDER: ${name}`)
+  return create()
+}
+
+// Returns null when embeddings are disabled
+export function getEmbeddingProvider() {
+  const name = (process.env.EMBEDDING_PROVIDER || '').toLowerCase()
+  if (!name) return null
+
+  const create = PROVIDERS[name]
+  if (!create) throw new Error(`Unknown EMBEDDING_PROVIDER: ${name}`)
+
+  const provider = create()
+  if (typeof provider.embed !== 'function') {
+    throw new Error(`Provider ${name} does not support embeddings`)
+  }
+  return provider
+}
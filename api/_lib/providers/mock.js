@@ -0,0 +1,68 @@
+/**
+ * Deterministic mock provider for tests and offline development
+ *
+ * Returns canned fixtures by mode and never touches the network.
+ *
+ * Env: MOCK_LLM_TOOLS=off to return the legacy fenced-JSON reply even when
+ * tools are requested; MOCK_LLM_DELAY_MS to pace streamed chunks.
+ */
+
+import { FIXTURES } from './fixtures.js'
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+const EMBEDDING_SIZE = 64
+
+// Deterministic bag-of-words vector: each lowercased word hashes into a bucket
+function hashEmbedding(text) {
+  const vector = new Array(EMBEDDING_SIZE).fill(0)
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    let hash = 0
+    for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) >>> 0
+    vector[hash % EMBEDDING_SIZE] += 1
+  }
+  return vector
+}
+
+function pickFixture({ mode, tools }) {
+  const fixture = FIXTURES[mode] || FIXTURES.classify
+  const useTools = tools && fixture.toolCalls && process.env.MOCK_LLM_TOOLS !== 'off'
+
+  return useTools
+    ? { text: fixture.toolText, toolCalls: fixture.toolCalls }
+    : { text: fixture.text, toolCalls: [] }
+}
+
+async function* streamFixture({ text, toolCalls }, delay) {
+  // Word-sized chunks, whitespace kept so the joined text matches exactly
+  for (const chunk of text.match(/\S+\s*/g) || []) {
+    if (delay) await sleep(delay)
+    yield { type: 'text', text: chunk }
+  }
+  for (const call of toolCalls) {
+    yield { type: 'tool', name: call.name, input: call.input }
+  }
+}
+
+export function createMockProvider() {
+  const delay = parseInt(process.env.MOCK_LLM_DELAY_MS, 10) || 0
+
+  return {
+    name: 'mock',
+    model: 'fixtures',
+
+    async complete(params) {
+      return pickFixture(params)
+    },
+
+    async stream(params) {
+      return streamFixture(pickFixture(params), delay)
+    },
+
+    async embed(texts) {
+      return texts.map(hashEmbedding)
+    }
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * OpenAI-compatible Chat Completions provider
+ *
+ * Works with OpenAI and local servers that speak the same API
+ * (Ollama, llama.cpp server, LM Studio, vLLM).
+ *
+ * Env: OPENAI_BASE_URL (default: local Ollama), OPENAI_API_KEY, OPENAI_MODEL,
+ * OPENAI_EMBEDDING_MODEL (for embed)
+ */
+
+import { postWithRetry } from './retry.js'
+import { readSSE } from './sse.js'
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1'
+const DEFAULT_MODEL = 'llama3.1'
+const DEFAULT_EMBEDDING_MODEL = 'nomic-embed-text'
+const MAX_TOKENS = 1500
+
+// Convert our Anthropic-shaped tool schemas to OpenAI function tools
+const toFunctionTool = (tool) => ({
+  type: 'function',
+  function: {
+    name: tool.name,
+    description: tool.description,
+    parameters: tool.input_schema
+  }
+})
+
+function parseArguments(name, json) {
+  try {
+    return json ? JSON.parse(json) : {}
+  } catch {
+    console.warn('[OpenAI] Invalid tool arguments for', name)
+    return null
+  }
+}
+
+function extractMessage(message = {}) {
+  return {
+    text: message.content || '',
+    toolCalls: (message.tool_calls || [])
+      .map(call => ({
+        name: call.function?.name,
+        input: parseArguments(call.function?.name, call.function?.arguments)
+      }))
+      .filter(call => call.name && call.input)
+  }
+}
+
+// Yield text deltas and completed tool calls from a Chat Completions SSE body.
+// Tool call arguments arrive in fragments keyed by index and are emitted at the end.
+async function* readOpenAIStream(body) {
+  const toolCalls = new Map()
+
+  for await (const data of readSSE(body)) {
+    if (data === '[DONE]') break
+
+    const event = JSON.parse(data)
+    if (event.error) throw new Error(event.error.message || 'Stream error')
+
+    const delta = event.choices?.[0]?.delta || {}
+
+    if (delta.content) {
+      yield { type: 'text', text: delta.content }
+    }
+
+    for (const call of delta.tool_calls || []) {
+      const pending = toolCalls.get(call.index) || { name: '', json: '' }
+      if (call.function?.name) pending.name = call.function.name
+      if (call.function?.arguments) pending.json += call.function.arguments
+      toolCalls.set(call.index, pending)
+    }
+  }
+
+  for (const { name, json } of toolCalls.values()) {
+    const input = parseArguments(name, json)
+    if (name && input) yield { type: 'tool', name, input }
+  }
+}
+
+export function createOpenAIProvider() {
+  const baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '')
+  const apiKey = process.env.OPENAI_API_KEY
+  const model = process.env.OPENAI_MODEL || DEFAULT_MODEL
+
+  const request = ({ system, messages, tools }, stream) => postWithRetry('OpenAI', `${baseUrl}/chat/completions`, {
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    body: {
+      model,
+      max_tokens: MAX_TOKENS,
+      messages: [{ role: 'system', content: system }, ...messages],
+      ...(tools && { tools: tools.map(toFunctionTool) }),
+      stream
+    }
+  })
+
+  return {
+    name: 'openai',
+    model,
+
+    async complete(params) {
+      const response = await request(params, false)
+      const data = await response.json()
+      return extractMessage(data.choices?.[0]?.message)
+    },
+
+    async stream(params) {
+      const response = await request(params, true)
+      return readOpenAIStream(response.body)
+    },
+
+    async embed(texts) {
+      const response = await postWithRetry('OpenAI', `${baseUrl}/embeddings`, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body: {
+          model: process.env.OPENAI_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL,
+          input: texts
+        }
+      })
+      const data = await response.json()
+      return [...data.data].sort((a, b) => a.index - b.index).map(entry => entry.embedding)
+    }
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * Retry helper shared by HTTP providers
+ */
+
+const MAX_RETRIES = 2
+const RETRY_DELAY = 1000
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+// POST JSON, retrying transient 5xx responses. Throws with the upstream message otherwise.
+export async function postWithRetry(label, url, { headers, body }, attempt = 1) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  })
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}))
+
+    // Retry on transient errors
+    if (response.status >= 500 && attempt <= MAX_RETRIES) {
+      console.log(`[${label}] Retry ${attempt}/${MAX_RETRIES} after ${response.status}`)
+      await sleep(RETRY_DELAY * attempt)
+      return postWithRetry(label, url, { headers, body }, attempt + 1)
+    }
+
+    throw new Error(errorData.error?.message || `API error: ${response.status}`)
+  }
+
+  return response
+}
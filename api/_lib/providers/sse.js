@@ -0,0 +1,27 @@
+/**
+ * Minimal server-sent-events reader for provider streams
+ */
+
+// Yield the `data:` payload of each event in a fetch response body
+export async function* readSSE(body) {
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n')
+
+    let boundary
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary + 2)
+
+      const data = rawEvent
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n')
+
+      if (data) yield data
+    }
+  }
+}
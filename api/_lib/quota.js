@@ -0,0 +1,72 @@
+/**
+ * Daily AI call quota
+ *
+ * Free users get FREE_DAILY_AI_CALLS per UTC day; pro users are unlimited.
+ * Counting happens in the consume_ai_call() database function so that the
+ * reset and increment are atomic across concurrent requests.
+ */
+
+import { getAdminClient } from './supabase.js'
+
+const DEFAULT_FREE_DAILY_AI_CALLS = 20
+
+export function getFreeLimit() {
+  const limit = parseInt(process.env.FREE_DAILY_AI_CALLS, 10)
+  return Number.isFinite(limit) && limit >= 0 ? limit : DEFAULT_FREE_DAILY_AI_CALLS
+}
+
+// Shape the database row into the quota object returned to clients
+function toQuota(row) {
+  return {
+    tier: row.tier,
+    used: row.calls_used,
+    limit: row.calls_limit,
+    remaining: row.calls_limit === null ? null : Math.max(row.calls_limit - row.calls_used, 0),
+    resetsAt: row.resets_at
+  }
+}
+
+// Count one AI call against the user's quota. Returns { allowed, quota }.
+export async function consumeAiCall(userId) {
+  const { data, error } = await getAdminClient()
+    .rpc('consume_ai_call', { p_user_id: userId, p_free_limit: getFreeLimit() })
+    .single()
+
+  if (error) throw new Error(`Quota check failed: ${error.message}`)
+
+  return { allowed: data.allowed, quota: toQuota(data) }
+}
+
+// Read the user's quota without consuming a call
+export async function getQuota(userId) {
+  const { data, error } = await getAdminClient()
+    .from('users')
+    .select('subscription_tier, subscription_expires_at, daily_ai_calls, daily_ai_calls_reset_at')
+    .eq('id', userId)
+    .single()
+
+  if (error) throw new Error(`Quota lookup failed: ${error.message}`)
+
+  const now = new Date()
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+  const isPro = data.subscription_tier === 'pro'
+    && (!data.subscription_expires_at || new Date(data.subscription_expires_at) > now)
+  const resetDue = !data.daily_ai_calls_reset_at || new Date(data.daily_ai_calls_reset_at) < dayStart
+
+  return toQuota({
+    tier: isPro ? 'pro' : 'free',
+    calls_used: resetDue ? 0 : data.daily_ai_calls || 0,
+    calls_limit: isPro ? null : getFreeLimit(),
+    resets_at: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000).toISOString()
+  })
+}
+
+// Expose quota on every response so streaming clients can read it from headers
+export function setQuotaHeaders(res, quota) {
+  if (quota.limit !== null) {
+    res.setHeader('X-RateLimit-Limit', String(quota.limit))
+    res.setHeader('X-RateLimit-Remaining', String(quota.remaining))
+  }
+  res.setHeader('X-RateLimit-Reset', new Date(quota.resetsAt).toISOString())
+  res.setHeader('X-Subscription-Tier', quota.tier)
+}
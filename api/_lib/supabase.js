@@ -0,0 +1,43 @@
+/**
+ * Server-side Supabase access for API routes
+ *
+ * Uses the service role key, so every query must be scoped to the
+ * user resolved from the request's access token.
+ */
+
+import { createClient } from '@supabase/supabase-js'
+
+let adminClient = null
+
+export function getAdminClient() {
+  if (adminClient) return adminClient
+
+  const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+  if (!url || !serviceKey) {
+    throw new Error('Supabase service credentials not configured')
+  }
+
+  adminClient = createClient(url, serviceKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  })
+  return adminClient
+}
+
+// Resolve the Supabase user from an `Authorization: Bearer <jwt>` header.
+// Returns null when the token is missing, expired or invalid.
+export async function getUserFromRequest(req) {
+  const header = req.headers?.authorization || ''
+  const [scheme, token] = header.split(' ')
+
+  if (scheme !== 'Bearer' || !token) return null
+
+  const { data, error } = await getAdminClient().auth.getUser(token)
+
+  if (error || !data?.user) {
+    console.warn('[API] Token rejected:', error?.message || 'no user')
+    return null
+  }
+  return data.user
+}
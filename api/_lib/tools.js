@@ -0,0 +1,143 @@
+/**
+ * Tools offered to the model: item tools in classify mode, the plan tool in plan
+ * mode, the breakdown tool in breakdown mode and the sort tool in sort mode
+ */
+
+export const CLASSIFICATIONS = ['SIGNAL', 'NECESSARY', 'NOISE']
+
+// Tools the model uses to change the user's list. The client applies the calls.
+// Schemas are in Anthropic's shape; other providers convert them.
+export const ITEM_TOOLS = [
+  {
+    name: 'add_items',
+    description: 'Add new tasks the user mentioned that are not already tracked. Classify each one.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Short task name, 3-6 words' },
+              classification: { type: 'string', enum: CLASSIFICATIONS },
+              what: { type: 'string', description: 'What this involves' },
+              why: { type: 'string', description: 'Why it matters (or why it is noise)' },
+              next: { type: 'string', description: 'Specific next action' },
+              due: { type: 'string', description: 'Deadline if the user gave one ("by Friday"): YYYY-MM-DD, or ISO 8601 with offset when a time was given' },
+              estimate_minutes: { type: 'integer', description: 'Minutes of work if the user said or implied it ("quick 10-min thing")' },
+              energy: { type: 'string', enum: ['low', 'medium', 'high'], description: 'How demanding the task is, if clear' }
+            },
+            required: ['name', 'classification']
+          }
+        }
+      },
+      required: ['items']
+    }
+  },
+  {
+    name: 'reclassify_item',
+    description: 'Change the classification of an item that is already tracked.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Name of the tracked item, as listed' },
+        classification: { type: 'string', enum: CLASSIFICATIONS },
+        why: { type: 'string', description: 'Reason for the new classification' }
+      },
+      required: ['name', 'classification']
+    }
+  },
+  {
+    name: 'complete_item',
+    description: 'Mark a tracked item as done when the user says they finished it.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Name of the tracked item, as listed' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'schedule_item',
+    description: 'Block time on the calendar for an item when the user asks to schedule it.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Name of the tracked or newly added item' },
+        start: { type: 'string', description: 'Start time, ISO 8601 with offset' },
+        end: { type: 'string', description: 'End time, ISO 8601 with offset' }
+      },
+      required: ['name', 'start', 'end']
+    }
+  }
+]
+
+// Plan mode: the model orders and sizes the work, the client fits it into free time
+export const PLAN_TOOLS = [
+  {
+    name: 'plan_items',
+    description: 'Return every task to plan, most important first, with a realistic duration for each.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Task name, as listed' },
+              minutes: { type: 'integer', description: 'Focused minutes the task needs (15-240)' }
+            },
+            required: ['name', 'minutes']
+          }
+        }
+      },
+      required: ['items']
+    }
+  }
+]
+
+// Breakdown mode: the steps that finish one item. The client shows them for review.
+export const BREAKDOWN_TOOLS = [
+  {
+    name: 'propose_steps',
+    description: 'Return the concrete steps that finish the task, in the order to do them.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        steps: {
+          type: 'array',
+          items: { type: 'string', description: 'One short, concrete step starting with a verb' }
+        }
+      },
+      required: ['steps']
+    }
+  }
+]
+
+// Sort mode: a classification for every numbered name (e.g. an import), nothing else
+export const SORT_TOOLS = [
+  {
+    name: 'classify_tasks',
+    description: 'Return one classification for every numbered task, by its number.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        classifications: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              index: { type: 'integer', description: 'The task\'s number, as listed' },
+              classification: { type: 'string', enum: CLASSIFICATIONS }
+            },
+            required: ['index', 'classification']
+          }
+        }
+      },
+      required: ['classifications']
+    }
+  }
+]
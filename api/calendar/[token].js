@@ -0,0 +1,88 @@
+/**
+ * Signal Sorter Calendar Feed
+ *
+ * GET /api/calendar/<token>.ics serves the token owner's calendar_events as a
+ * subscribable iCalendar feed.
+ * - The token (users.calendar_token) is the only credential; rotating or
+ *   revoking it in Settings cuts off existing subscriptions
+ * - ETag / Last-Modified with conditional 304s so polling calendar apps stay cheap
+ */
+
+import { createHash } from 'node:crypto'
+import { getAdminClient } from '../_lib/supabase.js'
+import { buildCalendar } from '../../src/lib/ics.js'
+
+const TOKEN_PATTERN = /^[a-f0-9]{64}$/
+const PAST_DAYS = 90
+const MAX_EVENTS = 2000
+
+const notFound = (res) => res.status(404).setHeader('Content-Type', 'text/plain').send('Calendar not found')
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD')
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const token = String(req.query.token || '').replace(/\.ics$/, '')
+  if (!TOKEN_PATTERN.test(token)) return notFound(res)
+
+  try {
+    const supabase = getAdminClient()
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, name, settings, calendar_changed_at')
+      .eq('calendar_token', token)
+      .maybeSingle()
+
+    if (userError) throw userError
+    if (!user) return notFound(res)
+
+    const since = new Date(Date.now() - PAST_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    const { data: events, error: eventsError } = await supabase
+      .from('calendar_events')
+      .select('id, item_id, title, description, start_time, end_time, all_day, created_at, updated_at, sequence, recurrence_rule, recurrence_exdates, recurrence_parent_id, recurrence_original_start')
+      .eq('user_id', user.id)
+      // Recurring series are included however long ago they started
+      .or(`end_time.gte.${since},recurrence_rule.not.is.null`)
+      .order('start_time', { ascending: true })
+      .limit(MAX_EVENTS)
+
+    if (eventsError) throw eventsError
+
+    // DTSTAMP tracks the last change (not request time) so unchanged feeds hash the same
+    const lastModified = new Date(user.calendar_changed_at || 0)
+    lastModified.setMilliseconds(0)
+
+    const proto = req.headers['x-forwarded-proto'] || 'https'
+    const origin = `${proto}://${req.headers.host}`
+    const ics = buildCalendar(events, {
+      timeZone: user.settings?.timezone || 'UTC',
+      name: user.name ? `Signal Sorter – ${user.name}` : 'Signal Sorter',
+      itemUrl: (itemId) => `${origin}/?item=${itemId}`,
+      now: lastModified
+    })
+
+    const etag = `"${createHash('sha256').update(ics).digest('base64url').slice(0, 27)}"`
+    res.setHeader('ETag', etag)
+    res.setHeader('Last-Modified', lastModified.toUTCString())
+    res.setHeader('Cache-Control', 'private, no-cache')
+
+    // If-None-Match wins over If-Modified-Since (RFC 9110 §13.2.2)
+    const ifNoneMatch = req.headers['if-none-match']
+    const ifModifiedSince = req.headers['if-modified-since']
+    const notModified = ifNoneMatch
+      ? ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)
+      : ifModifiedSince && lastModified <= new Date(ifModifiedSince)
+
+    if (notModified) return res.status(304).end()
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8')
+    res.setHeader('Content-Disposition', 'inline; filename="signal-sorter.ics"')
+    return req.method === 'HEAD' ? res.status(200).end() : res.status(200).send(ics)
+  } catch (error) {
+    console.error('[Calendar Feed] Error:', error.message)
+    return res.status(500).setHeader('Content-Type', 'text/plain').send('Calendar unavailable')
+  }
+}
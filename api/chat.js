@@ -1,91 +1,198 @@
 /**
  * Signal Sorter Chat API
  * 
- * Secure serverless function for Anthropic Claude API calls
- * - Uses Claude 3.5 Sonnet for optimal quality/speed/cost balance
+ * Secure serverless function for LLM calls
+ * - Pluggable provider (Anthropic, OpenAI-compatible, mock) via LLM_PROVIDER
  * - Implements retry logic for transient failures
+ * - System prompt and multi-turn context built server-side from the user's data
+ * - Native tool use for item extraction in classify mode, duration estimates in plan
+ *   mode, subtask proposals in breakdown mode and bare classifications in sort mode
+ * - Supabase JWT auth, origin allowlist and daily AI call quota (GET returns quota)
+ * - Optional server-sent-events streaming (`stream: true`)
+ * - Offline with LLM_PROVIDER=mock: no auth, quota or database; the profile, items
+ *   and history come from the request (`context: { profile, items }`, `history`)
  * - Proper error handling and logging
  */
 
-const MAX_RETRIES = 2
-const RETRY_DELAY = 1000
+import { getUserFromRequest } from './_lib/supabase.js'
+import { consumeAiCall, getQuota, setQuotaHeaders } from './_lib/quota.js'
+import { applyCors } from './_lib/cors.js'
+import { assembleChatRequest, buildChatRequest } from './_lib/prompt.js'
+import { getProvider, getProviderName } from './_lib/providers/index.js'
 
-async function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms))
+const MODES = ['classify', 'reprioritize', 'plan', 'breakdown', 'sort']
+
+function getMaxMessageLength() {
+  const max = parseInt(process.env.MAX_MESSAGE_LENGTH, 10)
+  return Number.isFinite(max) && max > 0 ? max : 4000
 }
 
-async function callAnthropic(apiKey, system, message, attempt = 1) {
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01'
-    },
-    body: JSON.stringify({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1500,
-      system: system || 'You are a helpful assistant.',
-      messages: [{ role: 'user', content: message }]
-    })
+// Context for an offline request, taken from the body instead of the database
+function offlineContext({ context, history } = {}) {
+  return {
+    profile: context?.profile && typeof context.profile === 'object' ? context.profile : {},
+    items: Array.isArray(context?.items) ? context.items.filter(i => typeof i?.name === 'string') : [],
+    history: Array.isArray(history)
+      ? history.filter(m => typeof m?.role === 'string' && typeof m.content === 'string')
+      : []
+  }
+}
+
+// Write one server-sent event
+function sendEvent(res, payload) {
+  res.write(`data: ${JSON.stringify(payload)}\n\n`)
+}
+
+async function streamResponse(res, provider, params) {
+  const parts = await provider.stream(params)
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive'
   })
 
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}))
-    
-    // Retry on transient errors
-    if (response.status >= 500 && attempt <= MAX_RETRIES) {
-      console.log(`[API] Retry ${attempt}/${MAX_RETRIES} after ${response.status}`)
-      await sleep(RETRY_DELAY * attempt)
-      return callAnthropic(apiKey, system, message, attempt + 1)
+  let aiResponse = ''
+  const toolCalls = []
+
+  try {
+    for await (const part of parts) {
+      if (part.type === 'tool') {
+        toolCalls.push({ name: part.name, input: part.input })
+        continue
+      }
+      aiResponse += part.text
+      sendEvent(res, { type: 'delta', text: part.text })
     }
-    
-    throw new Error(errorData.error?.message || `API error: ${response.status}`)
+
+    if (!aiResponse && !toolCalls.length) {
+      console.warn('[API] Empty streamed response from', provider.name)
+      sendEvent(res, { type: 'error', error: 'Empty response from AI' })
+    } else {
+      console.log('[API] Stream complete, response length:', aiResponse.length, 'tool calls:', toolCalls.length)
+      sendEvent(res, { type: 'done', response: aiResponse, toolCalls })
+    }
+  } catch (error) {
+    // Headers are already sent, so report the failure in-band
+    console.error('[API] Stream error:', error.message)
+    sendEvent(res, { type: 'error', error: error.message || 'Stream interrupted' })
   }
 
-  return response.json()
+  res.end()
 }
 
 export default async function handler(req, res) {
-  // CORS headers for development
-  res.setHeader('Access-Control-Allow-Origin', '*')
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+  const corsAllowed = applyCors(req, res, {
+    methods: ['GET', 'POST', 'OPTIONS'],
+    exposeHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Subscription-Tier']
+  })
+
+  if (!corsAllowed) {
+    console.warn('[API] Rejected origin:', req.headers.origin)
+    return res.status(403).json({ error: 'Origin not allowed', code: 'origin_not_allowed' })
+  }
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end()
   }
 
-  if (req.method !== 'POST') {
+  if (req.method !== 'POST' && req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' })
   }
 
-  const { system, message } = req.body
+  // The mock provider never leaves this process, so neither does the request
+  const offline = getProviderName() === 'mock'
+
+  let user = null
+  if (!offline) {
+    try {
+      user = await getUserFromRequest(req)
+    } catch (error) {
+      console.error('[API] Auth error:', error.message)
+      return res.status(500).json({ error: 'Auth service not configured' })
+    }
+
+    if (!user) {
+      return res.status(401).json({ error: 'Sign in required', code: 'unauthorized' })
+    }
+  }
+
+  // GET reports the caller's quota without spending a call
+  if (req.method === 'GET') {
+    if (offline) return res.status(200).json({ quota: null })
+
+    try {
+      const quota = await getQuota(user.id)
+      setQuotaHeaders(res, quota)
+      return res.status(200).json({ quota })
+    } catch (error) {
+      console.error('[API] Quota error:', error.message)
+      return res.status(500).json({ error: 'Failed to load quota' })
+    }
+  }
+
+  const { message, mode = 'classify', stream, timezone } = req.body || {}
 
-  if (!message?.trim()) {
+  if (typeof message !== 'string' || !message.trim()) {
     return res.status(400).json({ error: 'Message is required' })
   }
 
-  const apiKey = process.env.ANTHROPIC_API_KEY
+  const maxLength = getMaxMessageLength()
+  if (message.length > maxLength) {
+    return res.status(413).json({ error: `Message is too long (max ${maxLength} characters)`, code: 'message_too_long', maxLength })
+  }
+
+  if (!MODES.includes(mode)) {
+    return res.status(400).json({ error: 'Invalid mode' })
+  }
 
-  if (!apiKey) {
-    console.error('[API] ANTHROPIC_API_KEY not configured')
+  let provider
+  try {
+    provider = getProvider()
+  } catch (error) {
+    console.error('[API] Provider error:', error.message)
     return res.status(500).json({ error: 'AI service not configured' })
   }
 
   try {
-    console.log('[API] Processing request...')
+    let quota = null
+    if (!offline) {
+      const consumed = await consumeAiCall(user.id)
+      quota = consumed.quota
+      setQuotaHeaders(res, quota)
+
+      if (!consumed.allowed) {
+        console.log('[API] Daily limit reached for', user.id)
+        return res.status(429).json({
+          error: `Daily limit of ${quota.limit} AI requests reached`,
+          code: 'quota_exceeded',
+          quota
+        })
+      }
+    }
+
+    console.log(`[API] Processing ${mode} request via ${provider.name}/${provider.model}${stream ? ' (streaming)' : ''}...`)
+
+    const options = { timezone: typeof timezone === 'string' ? timezone : undefined }
+    const { system, messages, tools } = offline
+      ? assembleChatRequest(offlineContext(req.body), message.trim(), mode, options)
+      : await buildChatRequest(user.id, message.trim(), mode, options)
+
+    const params = { system, messages, tools, mode }
+
+    if (stream) {
+      return await streamResponse(res, provider, params)
+    }
     
-    const data = await callAnthropic(apiKey, system, message)
-    const aiResponse = data.content?.[0]?.text || ''
+    const { text: aiResponse, toolCalls } = await provider.complete(params)
 
-    if (!aiResponse) {
-      console.warn('[API] Empty response from Claude')
+    if (!aiResponse && !toolCalls.length) {
+      console.warn('[API] Empty response from', provider.name)
       return res.status(500).json({ error: 'Empty response from AI' })
     }
 
-    console.log('[API] Success, response length:', aiResponse.length)
-    return res.status(200).json({ response: aiResponse })
+    console.log('[API] Success, response length:', aiResponse.length, 'tool calls:', toolCalls.length)
+    return res.status(200).json({ response: aiResponse, toolCalls, quota })
     
   } catch (error) {
     console.error('[API] Error:', error.message)
@@ -0,0 +1,71 @@
+/**
+ * Signal Sorter Embeddings API
+ *
+ * Returns embedding vectors for short item names, used by the client's
+ * similarity engine for semantic duplicate detection.
+ * - Disabled (501) unless EMBEDDING_PROVIDER is set
+ * - Supabase JWT auth and origin allowlist, same as /api/chat
+ */
+
+import { getUserFromRequest } from './_lib/supabase.js'
+import { applyCors } from './_lib/cors.js'
+import { getEmbeddingProvider } from './_lib/providers/index.js'
+
+const MAX_TEXTS = 200
+const MAX_TEXT_LENGTH = 200
+
+export default async function handler(req, res) {
+  if (!applyCors(req, res, { methods: ['POST', 'OPTIONS'] })) {
+    console.warn('[Embed] Rejected origin:', req.headers.origin)
+    return res.status(403).json({ error: 'Origin not allowed', code: 'origin_not_allowed' })
+  }
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end()
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  let provider
+  try {
+    provider = getEmbeddingProvider()
+  } catch (error) {
+    console.error('[Embed] Provider error:', error.message)
+    return res.status(500).json({ error: 'Embedding service misconfigured' })
+  }
+
+  if (!provider) {
+    return res.status(501).json({ error: 'Embeddings not enabled', code: 'embeddings_disabled' })
+  }
+
+  let user
+  try {
+    user = await getUserFromRequest(req)
+  } catch (error) {
+    console.error('[Embed] Auth error:', error.message)
+    return res.status(500).json({ error: 'Auth service not configured' })
+  }
+
+  if (!user) {
+    return res.status(401).json({ error: 'Sign in required', code: 'unauthorized' })
+  }
+
+  const { texts } = req.body || {}
+
+  if (!Array.isArray(texts) || !texts.length || texts.length > MAX_TEXTS) {
+    return res.status(400).json({ error: `texts must be an array of 1-${MAX_TEXTS} strings` })
+  }
+  if (texts.some(text => typeof text !== 'string' || !text.trim() || text.length > MAX_TEXT_LENGTH)) {
+    return res.status(400).json({ error: `Each text must be a non-empty string up to ${MAX_TEXT_LENGTH} characters` })
+  }
+
+  try {
+    const vectors = await provider.embed(texts)
+    return res.status(200).json({ vectors })
+  } catch (error) {
+    console.error('[Embed] Error:', error.message)
+    return res.status(500).json({ error: error.message || 'Failed to embed' })
+  }
+}
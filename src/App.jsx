@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react'
 import { AuthProvider, useAuth } from './hooks/useAuth'
+import { UndoProvider } from './hooks/useUndo'
 import Login from './components/Auth/Login'
 import OnboardingFlow from './components/Onboarding/OnboardingFlow'
 import ChatView from './components/Chat/ChatView'
@@ -9,11 +10,14 @@ import SettingsView from './components/Settings/SettingsView'
 import Header from './components/common/Header'
 import BottomNav from './components/common/BottomNav'
 import { useItems } from './hooks/useItems'
+import { dueState } from './lib/due'
 
 const MainApp = () => {
   const { user, loading, needsOnboarding, error } = useAuth()
-  const { signals, syncing } = useItems()
-  const [activeView, setActiveView] = useState('chat')
+  const { items, signals, syncing } = useItems()
+  // ?item=<id> links (e.g. from exported calendar events) open the list on that item
+  const [focusItemId] = useState(() => new URLSearchParams(window.location.search).get('item'))
+  const [activeView, setActiveView] = useState(focusItemId ? 'list' : 'chat')
   const [itemToSchedule, setItemToSchedule] = useState(null)
   const [loadingTimeout, setLoadingTimeout] = useState(false)
 
@@ -72,7 +76,7 @@ const MainApp = () => {
         
         <main className="flex-1 overflow-hidden pb-16">
           {activeView === 'chat' && <ChatView />}
-          {activeView === 'list' && <ListView onScheduleItem={handleScheduleItem} />}
+          {activeView === 'list' && <ListView onScheduleItem={handleScheduleItem} focusItemId={focusItemId} />}
           {activeView === 'calendar' && (
             <CalendarView 
               itemToSchedule={itemToSchedule} 
@@ -86,6 +90,7 @@ const MainApp = () => {
           activeView={activeView} 
           onViewChange={setActiveView}
           signalCount={signals.length}
+          dueCount={items.filter(item => dueState(item)).length}
         />
       </div>
     </div>
@@ -95,7 +100,9 @@ const MainApp = () => {
 const App = () => {
   return (
     <AuthProvider>
-      <MainApp />
+      <UndoProvider>
+        <MainApp />
+      </UndoProvider>
     </AuthProvider>
   )
 }
@@ -0,0 +1,210 @@
+import { useState } from 'react'
+import { X, Loader, Sparkles, AlertCircle } from 'lucide-react'
+import { format, startOfDay, startOfWeek, endOfWeek, eachDayOfInterval, isSameDay } from 'date-fns'
+import { estimatePlan } from '../../lib/ai'
+import { planBlocks } from '../../lib/planner'
+
+const SCOPES = [
+  { id: 'day', label: 'Plan this day' },
+  { id: 'week', label: 'Plan this week' }
+]
+
+const BADGE = {
+  SIGNAL: 'bg-green-900/50 text-green-300',
+  NECESSARY: 'bg-yellow-900/50 text-yellow-300'
+}
+
+// Days to plan: the shown day, or what's left of its week (never the past)
+const planDays = (scope, cursor) => {
+  const today = startOfDay(new Date())
+  const days = scope === 'day'
+    ? [startOfDay(cursor)]
+    : eachDayOfInterval({ start: startOfWeek(cursor), end: endOfWeek(cursor) })
+  return days.filter(day => day >= today)
+}
+
+/**
+ * "Auto-plan" modal: the AI orders `items` and estimates durations, lib/planner
+ * fits them around `events` within the workday `hours`, and nothing is created
+ * until the user confirms. onConfirm(blocks) creates the accepted blocks.
+ */
+const AutoPlan = ({ items, events, cursor, hours, onConfirm, onClose }) => {
+  const [status, setStatus] = useState('choose')
+  const [plan, setPlan] = useState(null)
+  const [skipped, setSkipped] = useState(new Set())
+  const [error, setError] = useState('')
+
+  const handlePlan = async (scope) => {
+    const days = planDays(scope, cursor)
+    if (!days.length) {
+      setError(`That ${scope} is already over`)
+      return
+    }
+
+    setError('')
+    setStatus('planning')
+    let estimates
+    let note = ''
+    try {
+      ({ estimates, note } = await estimatePlan(items))
+    } catch (err) {
+      // Still plan, with default durations and list order
+      console.warn('[AutoPlan] Estimates unavailable:', err.message)
+      estimates = items.map(item => ({ item, minutes: item.estimate_minutes || null }))
+      note = `AI estimates unavailable (${err.message}), so your own estimates and default durations are used.`
+    }
+
+    setPlan({ ...planBlocks({ estimates, events, days, hours }), note, days })
+    setSkipped(new Set())
+    setStatus('review')
+  }
+
+  const toggleBlock = (index) => {
+    setSkipped(prev => {
+      const next = new Set(prev)
+      if (next.has(index)) next.delete(index)
+      else next.add(index)
+      return next
+    })
+  }
+
+  const accepted = plan ? plan.blocks.filter((_, i) => !skipped.has(i)) : []
+
+  const handleConfirm = async () => {
+    setStatus('saving')
+    try {
+      await onConfirm(accepted)
+      onClose()
+    } catch (err) {
+      console.error('[AutoPlan] Creating blocks failed:', err)
+      setError(`Couldn't add every block: ${err.message}`)
+      setStatus('review')
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4">
+      <div className="bg-slate-800 rounded-2xl p-6 w-full max-w-md max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <Sparkles size={18} className="text-yellow-400" /> Auto-plan
+          </h3>
+          <button onClick={onClose} className="p-1 hover:bg-slate-700 rounded">
+            <X size={20} />
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-900/50 border border-red-700 rounded-lg flex items-center gap-2 text-sm text-red-300">
+            <AlertCircle size={18} className="shrink-0" />
+            {error}
+          </div>
+        )}
+
+        {status === 'choose' && (
+          <div className="space-y-3">
+            <p className="text-sm text-slate-400">
+              {items.length} unscheduled signal and necessary items. Signals go into your signal window
+              ({hours.workdayStart}–{hours.signalWindowEnd}), necessary work is batched after it, up to {hours.workdayEnd}.
+            </p>
+            {SCOPES.map(({ id, label }) => (
+              <button
+                key={id}
+                onClick={() => handlePlan(id)}
+                disabled={!items.length}
+                className="w-full py-3 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded-xl font-medium"
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {status === 'planning' && (
+          <div className="py-8 flex flex-col items-center gap-3 text-slate-400 text-sm">
+            <Loader className="animate-spin" size={24} />
+            Estimating and fitting your work...
+          </div>
+        )}
+
+        {(status === 'review' || status === 'saving') && plan && (
+          <>
+            {plan.note && <p className="text-sm text-slate-300 mb-3">{plan.note}</p>}
+
+            <div className="flex-1 overflow-y-auto space-y-3 mb-4">
+              {plan.blocks.length === 0 && (
+                <p className="text-slate-500 text-sm text-center py-4">No free time left in the workday</p>
+              )}
+              {plan.days.map(day => {
+                const dayBlocks = plan.blocks
+                  .map((block, index) => ({ block, index }))
+                  .filter(({ block }) => isSameDay(block.start, day))
+                if (!dayBlocks.length) return null
+
+                return (
+                  <div key={day.toISOString()}>
+                    {plan.days.length > 1 && (
+                      <p className="text-xs text-slate-500 mb-1">{format(day, 'EEEE, MMM d')}</p>
+                    )}
+                    <div className="space-y-1">
+                      {dayBlocks.map(({ block, index }) => (
+                        <label
+                          key={index}
+                          className={`flex items-center gap-2 text-sm bg-slate-700/50 rounded-lg px-3 py-2 cursor-pointer ${
+                            skipped.has(index) ? 'opacity-50' : ''
+                          }`}
+                        >
+                          <input
+                            type="checkbox"
+                            checked={!skipped.has(index)}
+                            onChange={() => toggleBlock(index)}
+                            className="shrink-0"
+                          />
+                          <span className="text-xs text-slate-400 shrink-0 w-28">
+                            {format(block.start, 'h:mm')}–{format(block.end, 'h:mm a')}
+                          </span>
+                          <span className="flex-1 min-w-0 truncate">{block.item.name}</span>
+                          <span className={`text-[10px] px-1.5 py-0.5 rounded shrink-0 ${BADGE[block.item.classification] || ''}`}>
+                            {block.minutes}m{!block.estimated && ' default'}
+                          </span>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                )
+              })}
+
+              {plan.unplaced.length > 0 && (
+                <div className="p-3 bg-yellow-900/30 border border-yellow-800 rounded-lg text-yellow-300 text-xs">
+                  <p className="mb-1">Didn't fit:</p>
+                  <ul className="space-y-0.5">
+                    {plan.unplaced.map(item => <li key={item.id}>{item.name}</li>)}
+                  </ul>
+                </div>
+              )}
+            </div>
+
+            <button
+              onClick={handleConfirm}
+              disabled={status === 'saving' || !accepted.length}
+              className="w-full py-3 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded-xl font-medium flex items-center justify-center gap-2"
+            >
+              {status === 'saving'
+                ? <Loader className="animate-spin" size={18} />
+                : `Add ${accepted.length} ${accepted.length === 1 ? 'Block' : 'Blocks'}`}
+            </button>
+            <button
+              onClick={() => setStatus('choose')}
+              disabled={status === 'saving'}
+              className="w-full py-2 mt-1 text-sm text-slate-400 hover:text-white"
+            >
+              Back
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AutoPlan
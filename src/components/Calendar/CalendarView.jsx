@@ -1,5 +1,5 @@
 import { useState } from 'react'
-import { ChevronLeft, ChevronRight, Plus, X, Trash2, Clock, Download } from 'lucide-react'
+import { ChevronLeft, ChevronRight, Plus, X, Trash2, Clock, Download, Upload, Loader, AlertCircle, Repeat, Sparkles } from 'lucide-react'
 import { 
   format, 
   startOfMonth, 
@@ -12,32 +12,71 @@ import {
   isToday,
   addMonths,
   subMonths,
+  addWeeks,
+  addDays,
+  addMinutes,
   setHours,
   setMinutes
 } from 'date-fns'
+import TimeGrid, { slotFromPoint } from './TimeGrid'
+import ItemTray from './ItemTray'
+import AutoPlan from './AutoPlan'
 import { useCalendar } from '../../hooks/useCalendar'
+import { useItems } from '../../hooks/useItems'
+import { useAuth } from '../../hooks/useAuth'
 import { exportICS } from '../../lib/export'
+import { parseCalendar } from '../../lib/ics'
+import { REPEAT_OPTIONS, repeatOption, describeRule } from '../../lib/recurrence'
+import { workHours } from '../../lib/planner'
+import { bucketOf } from '../../lib/status'
+import { parseWhen } from '../../lib/when'
+
+const VIEWS = [
+  { id: 'month', label: 'Month' },
+  { id: 'week', label: 'Week' },
+  { id: 'day', label: 'Day' }
+]
+
+const DEFAULT_BLOCK_MINUTES = 60
+
+const EMPTY_EVENT = { title: '', description: '', startTime: '09:00', endTime: '10:00', allDay: false, repeat: '' }
+
+// Occurrences of a series, expanded or edited on their own
+const isRecurring = (event) => !!(event.series_id || event.recurrence_parent_id)
 
 const CalendarView = ({ itemToSchedule, onClearScheduleItem }) => {
   const { 
     events, 
+    records,
     currentMonth, 
     setCurrentMonth, 
     addEvent, 
     createEventFromItem,
+    updateEvent,
     deleteEvent,
+    updateOccurrence,
+    deleteOccurrence,
+    previewImport,
+    importEvents,
     getEventsForDate 
   } = useCalendar()
+  const { profile } = useAuth()
+  const { signals, necessary } = useItems()
   
+  // Coming from "Add to calendar" opens the timeline, where the item can be dragged into place
+  const [view, setView] = useState(itemToSchedule ? 'week' : 'month')
+  const [dropPreview, setDropPreview] = useState(null)
   const [selectedDate, setSelectedDate] = useState(null)
   const [showEventModal, setShowEventModal] = useState(false)
-  const [newEvent, setNewEvent] = useState({
-    title: '',
-    description: '',
-    startTime: '09:00',
-    endTime: '10:00',
-    allDay: false
-  })
+  const [editingEvent, setEditingEvent] = useState(null)
+  const [scopePrompt, setScopePrompt] = useState(null)
+  const [icsImport, setIcsImport] = useState(null)
+  const [importing, setImporting] = useState(false)
+  const [importError, setImportError] = useState('')
+  const [newEvent, setNewEvent] = useState(EMPTY_EVENT)
+  const [showAutoPlan, setShowAutoPlan] = useState(false)
+  const [quickAdd, setQuickAdd] = useState('')
+  const [quickAddError, setQuickAddError] = useState('')
 
   const monthStart = startOfMonth(currentMonth)
   const monthEnd = endOfMonth(currentMonth)
@@ -45,30 +84,169 @@ const CalendarView = ({ itemToSchedule, onClearScheduleItem }) => {
   const calendarEnd = endOfWeek(monthEnd)
   const days = eachDayOfInterval({ start: calendarStart, end: calendarEnd })
 
-  const handlePrevMonth = () => setCurrentMonth(subMonths(currentMonth, 1))
-  const handleNextMonth = () => setCurrentMonth(addMonths(currentMonth, 1))
+  // Week and day views show the selected date, else today (or the 1st of another month)
+  const cursor = selectedDate || (isSameMonth(new Date(), currentMonth) ? new Date() : monthStart)
+  const gridDays = view === 'week'
+    ? eachDayOfInterval({ start: startOfWeek(cursor), end: endOfWeek(cursor) })
+    : [cursor]
+  const hours = workHours(profile)
+  const workdayHour = parseInt(hours.workdayStart, 10)
+
+  // Keep useCalendar's month (and so its loaded range) on the date being shown
+  const showDate = (date) => {
+    setSelectedDate(date)
+    if (!isSameMonth(date, currentMonth)) setCurrentMonth(date)
+  }
+
+  const handlePrev = () => {
+    if (view === 'month') setCurrentMonth(subMonths(currentMonth, 1))
+    else showDate(view === 'week' ? addWeeks(cursor, -1) : addDays(cursor, -1))
+  }
+
+  const handleNext = () => {
+    if (view === 'month') setCurrentMonth(addMonths(currentMonth, 1))
+    else showDate(view === 'week' ? addWeeks(cursor, 1) : addDays(cursor, 1))
+  }
+
+  const handleViewChange = (nextView) => {
+    if (nextView !== 'month') showDate(cursor)
+    setView(nextView)
+  }
+
+  // Signals without a block in the loaded range
+  const scheduledItemIds = new Set(records.map(event => event.item_id).filter(Boolean))
+  const unscheduled = signals.filter(item => !scheduledItemIds.has(item.id))
+  if (itemToSchedule && !unscheduled.some(item => item.id === itemToSchedule.id)) unscheduled.unshift(itemToSchedule)
+  // Items parked for someday stay out of auto-plans
+  const plannable = [...signals, ...necessary].filter(item => !scheduledItemIds.has(item.id) && bucketOf(item) !== 'someday')
+
+  // Blocks accepted in the auto-plan review
+  const handleAutoPlanConfirm = async (blocks) => {
+    for (const block of blocks) {
+      await createEventFromItem(block.item, block.start, block.end)
+    }
+    if (itemToSchedule && blocks.some(block => block.item.id === itemToSchedule.id)) onClearScheduleItem?.()
+  }
+
+  const handleTrayDrag = (item, x, y) => {
+    const slot = item && slotFromPoint(x, y)
+    setDropPreview(slot ? { start: slot, minutes: DEFAULT_BLOCK_MINUTES, title: item.name } : null)
+  }
+
+  const handleTrayDrop = async (item, x, y) => {
+    setDropPreview(null)
+    const slot = slotFromPoint(x, y)
+    if (!slot) return
+
+    try {
+      await createEventFromItem(item, slot, addMinutes(slot, DEFAULT_BLOCK_MINUTES))
+      if (item.id === itemToSchedule?.id) onClearScheduleItem?.()
+    } catch (err) {
+      console.error('Error scheduling item:', err)
+    }
+  }
+
+  // A block dragged or resized in the time grid
+  const handleEventChange = async (event, times) => {
+    if (isRecurring(event)) {
+      setScopePrompt({ action: 'save', event, updates: times })
+      return
+    }
+    await updateEvent(event.id, times)
+  }
+
+  const title = view === 'month'
+    ? format(currentMonth, 'MMMM yyyy')
+    : view === 'week'
+      ? `${format(gridDays[0], 'MMM d')} – ${format(gridDays[6], 'MMM d, yyyy')}`
+      : format(cursor, 'EEE, MMM d, yyyy')
 
   const handleDateClick = (date) => {
     setSelectedDate(date)
     
     if (itemToSchedule) {
+      setEditingEvent(null)
       setNewEvent({
+        ...EMPTY_EVENT,
         title: itemToSchedule.name,
         description: itemToSchedule.what || itemToSchedule.next_action || '',
-        startTime: '09:00',
-        endTime: '10:00',
-        allDay: false
+        repeat: repeatOption(itemToSchedule.recurrence_rule)
       })
       setShowEventModal(true)
     }
   }
 
+  // Clicking an empty hour in the week / day grid
+  const handleSlotClick = (slot) => {
+    const end = addMinutes(slot, 60)
+    setSelectedDate(slot)
+    setEditingEvent(null)
+    setNewEvent({
+      ...EMPTY_EVENT,
+      ...(itemToSchedule && {
+        title: itemToSchedule.name,
+        description: itemToSchedule.what || itemToSchedule.next_action || '',
+        repeat: repeatOption(itemToSchedule.recurrence_rule)
+      }),
+      startTime: format(slot, 'HH:mm'),
+      endTime: isSameDay(end, slot) ? format(end, 'HH:mm') : '23:59'
+    })
+    setShowEventModal(true)
+  }
+
   const handleOpenNewEvent = () => {
     if (!selectedDate) return
-    setNewEvent({ title: '', description: '', startTime: '09:00', endTime: '10:00', allDay: false })
+    setEditingEvent(null)
+    setNewEvent(EMPTY_EVENT)
+    setShowEventModal(true)
+  }
+
+  // Repeat rule of the series an event belongs to (edited occurrences store none themselves)
+  const seriesRule = (event) => (
+    event.recurrence_parent_id ? records.find(e => e.id === event.recurrence_parent_id)?.recurrence_rule : event.recurrence_rule
+  )
+
+  const handleOpenEditEvent = (event) => {
+    setSelectedDate(new Date(event.start_time))
+    setEditingEvent(event)
+    setNewEvent({
+      title: event.title,
+      description: event.description || '',
+      startTime: format(new Date(event.start_time), 'HH:mm'),
+      endTime: format(new Date(event.end_time), 'HH:mm'),
+      allDay: event.all_day,
+      repeat: repeatOption(seriesRule(event))
+    })
     setShowEventModal(true)
   }
 
+  const closeEventModal = () => {
+    setShowEventModal(false)
+    setEditingEvent(null)
+    setNewEvent(EMPTY_EVENT)
+    setQuickAdd('')
+    setQuickAddError('')
+  }
+
+  // "Dentist tomorrow at 3 for 30 min" fills in the title, day, start and end
+  const handleQuickAdd = () => {
+    const when = parseWhen(quickAdd, { timeZone: profile?.settings?.timezone, ...hours })
+    if (!when) {
+      setQuickAddError("Couldn't find a day or time in that")
+      return
+    }
+    const end = when.end || addMinutes(when.start, DEFAULT_BLOCK_MINUTES)
+    setSelectedDate(when.start)
+    setNewEvent(prev => ({
+      ...prev,
+      title: itemToSchedule ? prev.title : when.title || prev.title,
+      startTime: format(when.start, 'HH:mm'),
+      endTime: isSameDay(end, when.start) ? format(end, 'HH:mm') : '23:59'
+    }))
+    setQuickAdd('')
+    setQuickAddError('')
+  }
+
   const handleAddEvent = async () => {
     if (!selectedDate || !newEvent.title.trim()) return
 
@@ -81,9 +259,33 @@ const CalendarView = ({ itemToSchedule, onClearScheduleItem }) => {
       parseInt(newEvent.endTime.split(':')[1])
     )
 
+    if (editingEvent) {
+      const updates = {
+        title: newEvent.title,
+        description: newEvent.description,
+        start_time: startDateTime.toISOString(),
+        end_time: endDateTime.toISOString()
+      }
+      // Only a changed repeat replaces the rule, which may carry an end (UNTIL / COUNT)
+      if (newEvent.repeat !== repeatOption(seriesRule(editingEvent))) {
+        updates.recurrence_rule = newEvent.repeat || null
+      }
+      if (isRecurring(editingEvent)) {
+        setScopePrompt({ action: 'save', event: editingEvent, updates })
+        return
+      }
+      try {
+        await updateEvent(editingEvent.id, updates)
+        closeEventModal()
+      } catch (err) {
+        console.error('Error updating event:', err)
+      }
+      return
+    }
+
     try {
       if (itemToSchedule) {
-        await createEventFromItem(itemToSchedule, startDateTime, endDateTime)
+        await createEventFromItem(itemToSchedule, startDateTime, endDateTime, newEvent.repeat || null)
         onClearScheduleItem?.()
       } else {
         await addEvent({
@@ -91,29 +293,85 @@ const CalendarView = ({ itemToSchedule, onClearScheduleItem }) => {
           description: newEvent.description,
           start_time: startDateTime.toISOString(),
           end_time: endDateTime.toISOString(),
-          all_day: newEvent.allDay
+          all_day: newEvent.allDay,
+          recurrence_rule: newEvent.repeat || null
         })
       }
 
-      setShowEventModal(false)
-      setNewEvent({ title: '', description: '', startTime: '09:00', endTime: '10:00', allDay: false })
+      closeEventModal()
     } catch (err) {
       console.error('Error adding event:', err)
     }
   }
 
-  const handleDeleteEvent = async (eventId) => {
+  const handleDeleteEvent = async (event) => {
+    if (isRecurring(event)) {
+      setScopePrompt({ action: 'delete', event })
+      return
+    }
     if (window.confirm('Delete this event?')) {
-      await deleteEvent(eventId)
+      await deleteEvent(event.id)
+      closeEventModal()
+    }
+  }
+
+  // "This event" / "This and following events" for recurring edits and deletes
+  const handleScopeChoice = async (scope) => {
+    const { action, event, updates } = scopePrompt
+    setScopePrompt(null)
+
+    try {
+      if (action === 'delete') {
+        await deleteOccurrence(event, scope)
+      } else {
+        await updateOccurrence(event, updates, scope)
+      }
+      closeEventModal()
+    } catch (err) {
+      console.error('Error updating recurring event:', err)
     }
   }
 
   const handleExportCalendar = () => {
-    if (events.length === 0) {
+    if (records.length === 0) {
       alert('No events to export')
       return
     }
-    exportICS(events, 'signal-sorter-calendar')
+    // Stored rows, so series export as RRULEs rather than single occurrences
+    exportICS(records, 'signal-sorter-calendar')
+  }
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    setImportError('')
+    try {
+      setImporting(true)
+      const parsed = parseCalendar(await file.text())
+      const preview = await previewImport(parsed)
+      setIcsImport({ ...parsed, ...preview, fileName: file.name })
+    } catch (err) {
+      console.error('[Calendar] Import preview failed:', err)
+      setImportError(`Can't import ${file.name}: ${err.message}`)
+    } finally {
+      setImporting(false)
+      e.target.value = ''
+    }
+  }
+
+  const handleConfirmImport = async () => {
+    try {
+      setImporting(true)
+      await importEvents(icsImport)
+      setIcsImport(null)
+    } catch (err) {
+      console.error('[Calendar] Import failed:', err)
+      setImportError(`Import failed: ${err.message}`)
+      setIcsImport(null)
+    } finally {
+      setImporting(false)
+    }
   }
 
   const selectedDateEvents = selectedDate ? getEventsForDate(selectedDate) : []
@@ -122,13 +380,35 @@ const CalendarView = ({ itemToSchedule, onClearScheduleItem }) => {
     <div className="h-full flex flex-col p-4">
       {/* Header */}
       <div className="flex items-center justify-between mb-4">
-        <button onClick={handlePrevMonth} className="p-2 hover:bg-slate-800 rounded-lg">
+        <button onClick={handlePrev} className="p-2 hover:bg-slate-800 rounded-lg">
           <ChevronLeft size={20} />
         </button>
         <h2 className="text-lg font-semibold">
-          {format(currentMonth, 'MMMM yyyy')}
+          {title}
         </h2>
         <div className="flex items-center gap-2">
+          <button
+            onClick={() => setShowAutoPlan(true)}
+            className="p-2 hover:bg-slate-800 rounded-lg"
+            title="Auto-plan"
+          >
+            <Sparkles size={18} />
+          </button>
+          <button
+            onClick={() => document.getElementById('ics-file').click()}
+            disabled={importing}
+            className="p-2 hover:bg-slate-800 rounded-lg disabled:opacity-50"
+            title="Import .ics"
+          >
+            {importing && !icsImport ? <Loader size={18} className="animate-spin" /> : <Upload size={18} />}
+          </button>
+          <input
+            id="ics-file"
+            type="file"
+            accept=".ics,text/calendar"
+            onChange={handleImportFile}
+            className="hidden"
+          />
           <button 
             onClick={handleExportCalendar}
             className="p-2 hover:bg-slate-800 rounded-lg"
@@ -136,12 +416,33 @@ const CalendarView = ({ itemToSchedule, onClearScheduleItem }) => {
           >
             <Download size={18} />
           </button>
-          <button onClick={handleNextMonth} className="p-2 hover:bg-slate-800 rounded-lg">
+          <button onClick={handleNext} className="p-2 hover:bg-slate-800 rounded-lg">
             <ChevronRight size={20} />
           </button>
         </div>
       </div>
 
+      {/* View switcher */}
+      <div className="flex bg-slate-800 rounded-lg p-1 mb-4">
+        {VIEWS.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => handleViewChange(id)}
+            className={`flex-1 py-1.5 text-sm rounded-md ${view === id ? 'bg-slate-600 text-white' : 'text-slate-400 hover:text-white'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {importError && (
+        <div className="mb-4 p-3 bg-red-900/50 border border-red-700 rounded-lg flex items-center gap-2 text-sm text-red-300">
+          <AlertCircle size={18} />
+          {importError}
+          <button onClick={() => setImportError('')} className="ml-auto">×</button>
+        </div>
+      )}
+
       {/* Scheduling item indicator */}
       {itemToSchedule && (
         <div className="mb-4 p-3 bg-blue-900/50 border border-blue-700 rounded-lg flex items-center justify-between">
@@ -155,96 +456,193 @@ const CalendarView = ({ itemToSchedule, onClearScheduleItem }) => {
         </div>
       )}
 
-      {/* Day names */}
-      <div className="grid grid-cols-7 gap-1 mb-2">
-        {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
-          <div key={day} className="text-center text-xs text-slate-500 py-2">
-            {day}
+      {view !== 'month' ? (
+        <div className="flex-1 flex flex-col md:flex-row gap-3 min-h-0">
+          {unscheduled.length > 0 && (
+            <ItemTray
+              items={unscheduled}
+              highlightId={itemToSchedule?.id}
+              onDrag={handleTrayDrag}
+              onDrop={handleTrayDrop}
+            />
+          )}
+          <TimeGrid
+            days={gridDays}
+            events={events}
+            startHour={workdayHour}
+            onEventClick={handleOpenEditEvent}
+            onSlotClick={handleSlotClick}
+            onEventChange={handleEventChange}
+            dropPreview={dropPreview}
+          />
+        </div>
+      ) : (
+        <>
+          {/* Day names */}
+          <div className="grid grid-cols-7 gap-1 mb-2">
+            {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
+              <div key={day} className="text-center text-xs text-slate-500 py-2">
+                {day}
+              </div>
+            ))}
           </div>
-        ))}
-      </div>
 
-      {/* Calendar grid */}
-      <div className="grid grid-cols-7 gap-1">
-        {days.map(day => {
-          const dayEvents = getEventsForDate(day)
-          const isCurrentMonth = isSameMonth(day, currentMonth)
-          const isSelected = selectedDate && isSameDay(day, selectedDate)
-          const dayIsToday = isToday(day)
+          {/* Calendar grid */}
+          <div className="grid grid-cols-7 gap-1">
+            {days.map(day => {
+              const dayEvents = getEventsForDate(day)
+              const isCurrentMonth = isSameMonth(day, currentMonth)
+              const isSelected = selectedDate && isSameDay(day, selectedDate)
+              const dayIsToday = isToday(day)
 
-          return (
-            <button
-              key={day.toISOString()}
-              onClick={() => handleDateClick(day)}
-              className={`
-                min-h-[50px] p-1 rounded-lg text-sm flex flex-col items-center
-                ${isCurrentMonth ? 'text-white' : 'text-slate-600'}
-                ${isSelected ? 'bg-blue-600' : 'hover:bg-slate-800'}
-                ${dayIsToday && !isSelected ? 'ring-2 ring-yellow-400' : ''}
-              `}
-            >
-              <span className={`
-                w-6 h-6 flex items-center justify-center rounded-full text-xs
-                ${dayIsToday ? 'bg-yellow-400 text-slate-900 font-bold' : ''}
-              `}>
-                {format(day, 'd')}
-              </span>
-              {dayEvents.length > 0 && (
-                <div className="flex gap-0.5 mt-1">
-                  {dayEvents.slice(0, 3).map((_, i) => (
-                    <div key={i} className="w-1.5 h-1.5 rounded-full bg-green-400" />
+              return (
+                <button
+                  key={day.toISOString()}
+                  onClick={() => handleDateClick(day)}
+                  className={`
+                    min-h-[50px] p-1 rounded-lg text-sm flex flex-col items-center
+                    ${isCurrentMonth ? 'text-white' : 'text-slate-600'}
+                    ${isSelected ? 'bg-blue-600' : 'hover:bg-slate-800'}
+                    ${dayIsToday && !isSelected ? 'ring-2 ring-yellow-400' : ''}
+                  `}
+                >
+                  <span className={`
+                    w-6 h-6 flex items-center justify-center rounded-full text-xs
+                    ${dayIsToday ? 'bg-yellow-400 text-slate-900 font-bold' : ''}
+                  `}>
+                    {format(day, 'd')}
+                  </span>
+                  {dayEvents.length > 0 && (
+                    <div className="flex gap-0.5 mt-1">
+                      {dayEvents.slice(0, 3).map((_, i) => (
+                        <div key={i} className="w-1.5 h-1.5 rounded-full bg-green-400" />
+                      ))}
+                    </div>
+                  )}
+                </button>
+              )
+            })}
+          </div>
+
+          {/* Selected date events */}
+          {selectedDate && (
+            <div className="mt-4 border-t border-slate-700 pt-4 flex-1 overflow-y-auto">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="font-medium">{format(selectedDate, 'EEEE, MMM d')}</h3>
+                <button
+                  onClick={handleOpenNewEvent}
+                  className="p-2 bg-blue-600 hover:bg-blue-700 rounded-lg"
+                >
+                  <Plus size={18} />
+                </button>
+              </div>
+
+              {selectedDateEvents.length === 0 ? (
+                <p className="text-slate-500 text-sm text-center py-4">
+                  No events scheduled
+                </p>
+              ) : (
+                <div className="space-y-2">
+                  {selectedDateEvents.map(event => (
+                    <div
+                      key={event.id}
+                      className="bg-slate-800 rounded-lg p-3 flex items-start justify-between"
+                    >
+                      <button onClick={() => handleOpenEditEvent(event)} className="flex-1 text-left">
+                        <p className="font-medium text-sm">{event.title}</p>
+                        <div className="flex items-center gap-1 text-xs text-slate-400 mt-1">
+                          <Clock size={12} />
+                          {format(new Date(event.start_time), 'h:mm a')} - {format(new Date(event.end_time), 'h:mm a')}
+                          {isRecurring(event) && (
+                            <span className="flex items-center gap-1 ml-2">
+                              <Repeat size={12} />
+                              {describeRule(seriesRule(event))}
+                            </span>
+                          )}
+                        </div>
+                        {event.description && (
+                          <p className="text-xs text-slate-500 mt-1">{event.description}</p>
+                        )}
+                      </button>
+                      <button
+                        onClick={() => handleDeleteEvent(event)}
+                        className="p-1 text-slate-500 hover:text-red-400"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
                   ))}
                 </div>
               )}
-            </button>
-          )
-        })}
-      </div>
+            </div>
+          )}
 
-      {/* Selected date events */}
-      {selectedDate && (
-        <div className="mt-4 border-t border-slate-700 pt-4 flex-1 overflow-y-auto">
-          <div className="flex items-center justify-between mb-3">
-            <h3 className="font-medium">{format(selectedDate, 'EEEE, MMM d')}</h3>
-            <button
-              onClick={handleOpenNewEvent}
-              className="p-2 bg-blue-600 hover:bg-blue-700 rounded-lg"
-            >
-              <Plus size={18} />
-            </button>
-          </div>
+        </>
+      )}
+
+      {showAutoPlan && (
+        <AutoPlan
+          items={plannable}
+          events={events}
+          cursor={cursor}
+          hours={hours}
+          onConfirm={handleAutoPlanConfirm}
+          onClose={() => setShowAutoPlan(false)}
+        />
+      )}
+
+      {/* ICS import preview */}
+      {icsImport && (
+        <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4">
+          <div className="bg-slate-800 rounded-2xl p-6 w-full max-w-md max-h-[90vh] flex flex-col">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold">Import {icsImport.fileName}</h3>
+              <button onClick={() => setIcsImport(null)} className="p-1 hover:bg-slate-700 rounded">
+                <X size={20} />
+              </button>
+            </div>
 
-          {selectedDateEvents.length === 0 ? (
-            <p className="text-slate-500 text-sm text-center py-4">
-              No events scheduled
+            <p className="text-sm text-slate-300 mb-1">
+              {icsImport.added} new • {icsImport.updated} updated
+              {icsImport.staleIds.length > 0 && ` • ${icsImport.staleIds.length} removed occurrences`}
             </p>
-          ) : (
-            <div className="space-y-2">
-              {selectedDateEvents.map(event => (
-                <div
-                  key={event.id}
-                  className="bg-slate-800 rounded-lg p-3 flex items-start justify-between"
-                >
-                  <div>
-                    <p className="font-medium text-sm">{event.title}</p>
-                    <div className="flex items-center gap-1 text-xs text-slate-400 mt-1">
-                      <Clock size={12} />
-                      {format(new Date(event.start_time), 'h:mm a')} - {format(new Date(event.end_time), 'h:mm a')}
-                    </div>
-                    {event.description && (
-                      <p className="text-xs text-slate-500 mt-1">{event.description}</p>
-                    )}
-                  </div>
-                  <button
-                    onClick={() => handleDeleteEvent(event.id)}
-                    className="p-1 text-slate-500 hover:text-red-400"
-                  >
-                    <Trash2 size={16} />
-                  </button>
+            {icsImport.events.some(event => event.recurring) && (
+              <p className="text-xs text-slate-500 mb-3">
+                Repeating events are added from {format(icsImport.window.from, 'MMM d, yyyy')} to {format(icsImport.window.to, 'MMM d, yyyy')}
+              </p>
+            )}
+
+            <div className="flex-1 overflow-y-auto space-y-1 mb-4">
+              {icsImport.events.map(event => (
+                <div key={event.key} className="flex items-center gap-2 text-sm bg-slate-700/50 rounded-lg px-3 py-2">
+                  {event.recurring && <Repeat size={12} className="text-slate-400 shrink-0" />}
+                  <span className="flex-1 min-w-0 truncate">{event.title}</span>
+                  <span className="text-xs text-slate-400 shrink-0">
+                    {event.all_day
+                      ? format(new Date(event.start_time), 'MMM d')
+                      : format(new Date(event.start_time), 'MMM d, h:mm a')}
+                  </span>
                 </div>
               ))}
             </div>
-          )}
+
+            {icsImport.errors.length > 0 && (
+              <div className="mb-4 p-3 bg-yellow-900/30 border border-yellow-800 rounded-lg text-yellow-300 text-xs">
+                <p className="mb-1">{icsImport.errors.length} events couldn't be read and will be skipped</p>
+                <ul className="space-y-0.5 max-h-16 overflow-y-auto">
+                  {icsImport.errors.map((error, i) => <li key={i}>{error}</li>)}
+                </ul>
+              </div>
+            )}
+
+            <button
+              onClick={handleConfirmImport}
+              disabled={importing || (icsImport.rows.length === 0 && icsImport.staleIds.length === 0)}
+              className="w-full py-3 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded-xl font-medium flex items-center justify-center gap-2"
+            >
+              {importing ? <Loader className="animate-spin" size={18} /> : `Import ${icsImport.rows.length} Events`}
+            </button>
+          </div>
         </div>
       )}
 
@@ -254,14 +652,40 @@ const CalendarView = ({ itemToSchedule, onClearScheduleItem }) => {
           <div className="bg-slate-800 rounded-2xl p-6 w-full max-w-md">
             <div className="flex items-center justify-between mb-4">
               <h3 className="text-lg font-semibold">
-                {itemToSchedule ? 'Schedule Signal' : 'New Event'}
+                {editingEvent ? 'Edit Event' : itemToSchedule ? 'Schedule Signal' : 'New Event'}
               </h3>
-              <button onClick={() => setShowEventModal(false)} className="p-1 hover:bg-slate-700 rounded">
+              <button onClick={closeEventModal} className="p-1 hover:bg-slate-700 rounded">
                 <X size={20} />
               </button>
             </div>
 
             <div className="space-y-4">
+              {!editingEvent && (
+                <div>
+                  <label className="block text-sm text-slate-400 mb-2">Quick add</label>
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={quickAdd}
+                      onChange={(e) => setQuickAdd(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && quickAdd.trim() && handleQuickAdd()}
+                      className="flex-1 min-w-0 p-3 bg-slate-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      placeholder="Dentist tomorrow at 3 for 30 min"
+                    />
+                    <button
+                      onClick={handleQuickAdd}
+                      disabled={!quickAdd.trim()}
+                      className="px-4 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded-xl text-sm font-medium"
+                    >
+                      Fill
+                    </button>
+                  </div>
+                  <p className={`text-xs mt-1 ${quickAddError ? 'text-red-400' : 'text-slate-500'}`}>
+                    {quickAddError || format(selectedDate, 'EEEE, MMM d')}
+                  </p>
+                </div>
+              )}
+
               <div>
                 <label className="block text-sm text-slate-400 mb-2">Title</label>
                 <input
@@ -294,6 +718,22 @@ const CalendarView = ({ itemToSchedule, onClearScheduleItem }) => {
                 </div>
               </div>
 
+              <div>
+                <label className="block text-sm text-slate-400 mb-2">Repeat</label>
+                <select
+                  value={newEvent.repeat}
+                  onChange={(e) => setNewEvent({ ...newEvent, repeat: e.target.value })}
+                  className="w-full p-3 bg-slate-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {REPEAT_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                  {newEvent.repeat && !REPEAT_OPTIONS.some(option => option.value === newEvent.repeat) && (
+                    <option value={newEvent.repeat}>{describeRule(newEvent.repeat)}</option>
+                  )}
+                </select>
+              </div>
+
               <div>
                 <label className="block text-sm text-slate-400 mb-2">Description (optional)</label>
                 <textarea
@@ -310,12 +750,52 @@ const CalendarView = ({ itemToSchedule, onClearScheduleItem }) => {
                 disabled={!newEvent.title.trim()}
                 className="w-full py-3 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded-xl font-medium"
               >
-                {itemToSchedule ? 'Schedule It' : 'Add Event'}
+                {editingEvent ? 'Save Changes' : itemToSchedule ? 'Schedule It' : 'Add Event'}
               </button>
+              {editingEvent && (
+                <button
+                  onClick={() => handleDeleteEvent(editingEvent)}
+                  className="w-full py-2 text-sm text-red-400 hover:text-red-300 flex items-center justify-center gap-2"
+                >
+                  <Trash2 size={16} /> Delete Event
+                </button>
+              )}
             </div>
           </div>
         </div>
       )}
+
+      {/* Recurring edit / delete scope */}
+      {scopePrompt && (
+        <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4">
+          <div className="bg-slate-800 rounded-2xl p-6 w-full max-w-sm space-y-3">
+            <h3 className="text-lg font-semibold">
+              {scopePrompt.action === 'delete' ? 'Delete recurring event' : 'Edit recurring event'}
+            </h3>
+            {/* A single occurrence can't take a different repeat rule */}
+            {(scopePrompt.action === 'delete' || !('recurrence_rule' in scopePrompt.updates)) && (
+              <button
+                onClick={() => handleScopeChoice('this')}
+                className="w-full py-3 bg-slate-700 hover:bg-slate-600 rounded-xl font-medium"
+              >
+                This event
+              </button>
+            )}
+            <button
+              onClick={() => handleScopeChoice('following')}
+              className="w-full py-3 bg-slate-700 hover:bg-slate-600 rounded-xl font-medium"
+            >
+              This and following events
+            </button>
+            <button
+              onClick={() => setScopePrompt(null)}
+              className="w-full py-2 text-sm text-slate-400 hover:text-white"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
     </div>
   )
 }
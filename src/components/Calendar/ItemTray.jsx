@@ -0,0 +1,76 @@
+import { useState, useRef } from 'react'
+import { GripVertical } from 'lucide-react'
+
+const DRAG_THRESHOLD = 4
+
+/**
+ * Unscheduled signals beside the time grid. Items are dragged out with
+ * pointer events (mouse and touch alike): onDrag(item, x, y) follows the
+ * pointer, onDrop(item, x, y) fires on release and onDrag(null) on cancel.
+ */
+const ItemTray = ({ items, highlightId, onDrag, onDrop }) => {
+  const drag = useRef(null)
+  const [ghost, setGhost] = useState(null)
+
+  const handlePointerDown = (e, item) => {
+    if (e.button > 0) return
+    e.currentTarget.setPointerCapture(e.pointerId)
+    drag.current = { item, x: e.clientX, y: e.clientY, moved: false }
+  }
+
+  const handlePointerMove = (e) => {
+    const session = drag.current
+    if (!session) return
+    if (!session.moved && Math.hypot(e.clientX - session.x, e.clientY - session.y) < DRAG_THRESHOLD) return
+    session.moved = true
+    setGhost({ item: session.item, x: e.clientX, y: e.clientY })
+    onDrag(session.item, e.clientX, e.clientY)
+  }
+
+  const handlePointerUp = (e) => {
+    const session = drag.current
+    drag.current = null
+    setGhost(null)
+    if (session?.moved) onDrop(session.item, e.clientX, e.clientY)
+  }
+
+  const handlePointerCancel = () => {
+    drag.current = null
+    setGhost(null)
+    onDrag(null)
+  }
+
+  return (
+    <div className="md:w-44 shrink-0 flex flex-col min-h-0">
+      <p className="text-xs text-slate-500 mb-2">Drag a signal onto the calendar</p>
+      <div className="flex md:flex-col gap-2 overflow-x-auto md:overflow-y-auto pb-2 md:pb-0">
+        {items.map(item => (
+          <div
+            key={item.id}
+            onPointerDown={(e) => handlePointerDown(e, item)}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerCancel}
+            className={`shrink-0 w-40 md:w-auto flex items-center gap-1 p-2 rounded-lg border text-xs select-none touch-none cursor-grab ${
+              item.id === highlightId ? 'bg-blue-900/50 border-blue-600' : 'bg-green-900/30 border-green-800'
+            } ${ghost?.item.id === item.id ? 'opacity-40' : ''}`}
+          >
+            <GripVertical size={14} className="text-slate-500 shrink-0" />
+            <span className="truncate">{item.name}</span>
+          </div>
+        ))}
+      </div>
+
+      {ghost && (
+        <div
+          className="fixed z-50 px-2 py-1 rounded-lg bg-green-700 text-xs shadow-lg pointer-events-none max-w-[10rem] truncate"
+          style={{ left: ghost.x + 8, top: ghost.y + 8 }}
+        >
+          {ghost.item.name}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ItemTray
@@ -0,0 +1,317 @@
+import { useState, useEffect, useRef } from 'react'
+import { Repeat } from 'lucide-react'
+import { format, isToday, isSameDay, startOfDay, addDays } from 'date-fns'
+
+const HOUR_HEIGHT = 48
+const MIN_MINUTES = 15
+const MINUTE_MS = 60 * 1000
+const SNAP_MINUTES = 15
+const DRAG_THRESHOLD = 4
+
+// Part of a timed event that falls on `day`, in minutes from midnight
+const daySegment = (event, day) => {
+  const dayStart = startOfDay(day).getTime()
+  const dayEnd = addDays(startOfDay(day), 1).getTime()
+  const start = Date.parse(event.start_time)
+  const end = Math.max(Date.parse(event.end_time), start + MIN_MINUTES * MINUTE_MS)
+  if (start >= dayEnd || end <= dayStart) return null
+  return {
+    event,
+    start: (Math.max(start, dayStart) - dayStart) / MINUTE_MS,
+    end: (Math.min(end, dayEnd) - dayStart) / MINUTE_MS
+  }
+}
+
+/**
+ * Lay out one day's segments side by side: events that overlap (directly or
+ * through a chain) form a cluster sharing its width, each in the first free column.
+ */
+const layoutDay = (segments) => {
+  const sorted = [...segments].sort((a, b) => a.start - b.start || b.end - a.end)
+  const placed = []
+  let cluster = []
+  let columnEnds = []
+  let clusterEnd = -Infinity
+
+  const closeCluster = () => {
+    cluster.forEach(block => { block.columns = columnEnds.length })
+    cluster = []
+    columnEnds = []
+    clusterEnd = -Infinity
+  }
+
+  for (const segment of sorted) {
+    if (segment.start >= clusterEnd) closeCluster()
+
+    let column = columnEnds.findIndex(end => end <= segment.start)
+    if (column === -1) column = columnEnds.length
+    columnEnds[column] = segment.end
+
+    const block = { ...segment, column }
+    cluster.push(block)
+    placed.push(block)
+    clusterEnd = Math.max(clusterEnd, segment.end)
+  }
+  closeCluster()
+  return placed
+}
+
+/**
+ * The time under a screen point, snapped to 15 minutes, or null outside the
+ * grid. Read from the day columns' data attributes, so drags that start
+ * outside the grid (the signal tray) can drop onto it too.
+ */
+export const slotFromPoint = (x, y) => {
+  const column = document.elementsFromPoint(x, y).find(element => element.dataset?.gridDay)
+  if (!column) return null
+
+  const rect = column.getBoundingClientRect()
+  const minutes = +column.dataset.firstHour * 60 + ((y - rect.top) / HOUR_HEIGHT) * 60
+  const snapped = Math.min(Math.max(Math.round(minutes / SNAP_MINUTES) * SNAP_MINUTES, 0), 24 * 60 - SNAP_MINUTES)
+  const slot = new Date(+column.dataset.gridDay)
+  slot.setHours(0, snapped, 0, 0)
+  return slot
+}
+
+// Minutes since midnight, refreshed every minute
+const useNowMinutes = () => {
+  const [now, setNow] = useState(() => new Date())
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), MINUTE_MS)
+    return () => clearInterval(interval)
+  }, [])
+  return now.getHours() * 60 + now.getMinutes()
+}
+
+/**
+ * Day / week time grid. Hours run from `startHour` (the profile's workday
+ * start, or earlier if an event needs it) to midnight.
+ * Timed blocks can be dragged to move them and resized from their bottom
+ * edge (pointer events, so touch works too); onEventChange(event, { start_time,
+ * end_time }) gets the result. `dropPreview` ({ start, minutes, title }) shows
+ * where something dragged in from outside would land.
+ */
+const TimeGrid = ({ days, events, startHour, onEventClick, onSlotClick, onEventChange, dropPreview }) => {
+  const nowMinutes = useNowMinutes()
+  const scrollRef = useRef(null)
+  const drag = useRef(null)
+  const justDragged = useRef(false)
+  const [preview, setPreview] = useState(null)
+
+  const timed = events.filter(event => !event.all_day)
+  const shown = preview ? timed.map(event => (event.id === preview.id ? { ...event, ...preview } : event)) : timed
+  const columns = days.map(day => ({
+    day,
+    allDay: events.filter(event => event.all_day && daySegment(event, day)),
+    blocks: layoutDay(shown.map(event => daySegment(event, day)).filter(Boolean))
+  }))
+
+  // From stored times, so the grid doesn't grow while dragging
+  const earliest = Math.min(...days.flatMap(day => timed
+    .map(event => daySegment(event, day))
+    .filter(Boolean)
+    .map(segment => Math.floor(segment.start / 60))))
+  const firstHour = Math.max(0, Math.min(startHour, earliest))
+  const hours = Array.from({ length: 24 - firstHour }, (_, i) => firstHour + i)
+  const top = (minutes) => ((minutes - firstHour * 60) / 60) * HOUR_HEIGHT
+
+  // Start at the top of the workday when switching days or weeks
+  const firstDay = days[0].getTime()
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = 0
+  }, [firstDay])
+
+  const handleDragStart = (e, event, mode) => {
+    if (e.button > 0 || !onEventChange) return
+    e.stopPropagation()
+    e.currentTarget.setPointerCapture(e.pointerId)
+    justDragged.current = false
+    drag.current = { event, mode, x: e.clientX, y: e.clientY, origin: slotFromPoint(e.clientX, e.clientY), moved: false }
+  }
+
+  const handleDragMove = (e) => {
+    const session = drag.current
+    if (!session) return
+    if (!session.moved && Math.hypot(e.clientX - session.x, e.clientY - session.y) < DRAG_THRESHOLD) return
+    session.moved = true
+
+    const slot = slotFromPoint(e.clientX, e.clientY)
+    if (!slot || !session.origin) return
+
+    const { event } = session
+    const start = Date.parse(event.start_time)
+    const end = Date.parse(event.end_time)
+    session.change = session.mode === 'move'
+      ? {
+          start_time: new Date(start + (slot - session.origin)).toISOString(),
+          end_time: new Date(end + (slot - session.origin)).toISOString()
+        }
+      : {
+          start_time: event.start_time,
+          end_time: new Date(Math.max(slot.getTime(), start + SNAP_MINUTES * MINUTE_MS)).toISOString()
+        }
+    setPreview({ id: event.id, ...session.change })
+  }
+
+  const handleDragEnd = async () => {
+    const session = drag.current
+    drag.current = null
+    if (!session?.moved) return
+
+    // The click that follows a drag isn't an "open" click
+    justDragged.current = true
+    const { event, change } = session
+    if (!change || (change.start_time === event.start_time && change.end_time === event.end_time)) {
+      setPreview(null)
+      return
+    }
+    try {
+      await onEventChange(event, change)
+    } catch (err) {
+      console.error('[Calendar] Move failed:', err)
+    } finally {
+      setPreview(null)
+    }
+  }
+
+  const handleDragCancel = () => {
+    drag.current = null
+    setPreview(null)
+  }
+
+  const handleBlockClick = (event) => {
+    if (justDragged.current) {
+      justDragged.current = false
+      return
+    }
+    onEventClick(event)
+  }
+
+  const handleSlotClick = (day, hour) => {
+    const slot = new Date(day)
+    slot.setHours(hour, 0, 0, 0)
+    onSlotClick?.(slot)
+  }
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0">
+      {/* Day headers and all-day events */}
+      <div className="flex border-b border-slate-700">
+        <div className="w-12 shrink-0" />
+        {columns.map(({ day, allDay }) => (
+          <div key={day.toISOString()} className="flex-1 min-w-0 px-0.5 pb-1 text-center">
+            {days.length > 1 && (
+              <p className={`text-xs ${isToday(day) ? 'text-yellow-400 font-bold' : 'text-slate-500'}`}>
+                {format(day, 'EEE d')}
+              </p>
+            )}
+            {allDay.map(event => (
+              <button
+                key={event.id}
+                onClick={() => onEventClick(event)}
+                className="w-full mt-0.5 px-1 rounded bg-green-700/60 text-[10px] text-left truncate"
+              >
+                {event.title}
+              </button>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div ref={scrollRef} className="flex-1 overflow-y-auto">
+        <div className="flex relative" style={{ height: hours.length * HOUR_HEIGHT }}>
+          {/* Hour labels */}
+          <div className="w-12 shrink-0">
+            {hours.map(hour => (
+              <div key={hour} className="relative" style={{ height: HOUR_HEIGHT }}>
+                {hour > firstHour && (
+                  <span className="absolute -top-1.5 right-2 text-[10px] text-slate-500">
+                    {format(new Date(2000, 0, 1, hour), 'h a')}
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {columns.map(({ day, blocks }) => (
+            <div
+              key={day.toISOString()}
+              data-grid-day={day.getTime()}
+              data-first-hour={firstHour}
+              className="flex-1 min-w-0 relative border-l border-slate-800"
+            >
+              {hours.map(hour => (
+                <button
+                  key={hour}
+                  onClick={() => handleSlotClick(day, hour)}
+                  className="block w-full border-t border-slate-800 hover:bg-slate-800/50"
+                  style={{ height: HOUR_HEIGHT }}
+                  aria-label={`${format(day, 'EEE MMM d')} ${hour}:00`}
+                />
+              ))}
+
+              {blocks.map(({ event, start, end, column, columns: count }) => (
+                <div
+                  key={event.id}
+                  role="button"
+                  tabIndex={0}
+                  onClick={() => handleBlockClick(event)}
+                  onKeyDown={(e) => e.key === 'Enter' && onEventClick(event)}
+                  onPointerDown={(e) => handleDragStart(e, event, 'move')}
+                  onPointerMove={handleDragMove}
+                  onPointerUp={handleDragEnd}
+                  onPointerCancel={handleDragCancel}
+                  className={`absolute rounded px-1 py-0.5 text-left overflow-hidden border text-[11px] leading-tight select-none touch-none cursor-grab ${
+                    event.item_id ? 'bg-green-800/80 border-green-600' : 'bg-blue-800/80 border-blue-600'
+                  } ${preview?.id === event.id ? 'ring-2 ring-white/60 z-10' : ''}`}
+                  style={{
+                    top: top(start),
+                    height: Math.max(top(end) - top(start) - 1, 14),
+                    left: `calc(${(column / count) * 100}% + 1px)`,
+                    width: `calc(${100 / count}% - 2px)`
+                  }}
+                >
+                  <span className="font-medium block truncate">
+                    {(event.series_id || event.recurrence_parent_id) && <Repeat size={10} className="inline mr-0.5" />}
+                    {event.title}
+                  </span>
+                  {end - start >= 45 && (
+                    <span className="text-slate-300">
+                      {format(new Date(event.start_time), 'h:mm')}–{format(new Date(event.end_time), 'h:mm a')}
+                    </span>
+                  )}
+                  <div
+                    onPointerDown={(e) => handleDragStart(e, event, 'resize')}
+                    className="absolute bottom-0 inset-x-0 h-2 cursor-ns-resize"
+                  />
+                </div>
+              ))}
+
+              {dropPreview && isSameDay(dropPreview.start, day) && (
+                <div
+                  className="absolute inset-x-0.5 rounded border-2 border-dashed border-green-400 bg-green-900/40 px-1 text-[11px] pointer-events-none"
+                  style={{
+                    top: top(dropPreview.start.getHours() * 60 + dropPreview.start.getMinutes()),
+                    height: (dropPreview.minutes / 60) * HOUR_HEIGHT
+                  }}
+                >
+                  {format(dropPreview.start, 'h:mm a')} {dropPreview.title}
+                </div>
+              )}
+
+              {isToday(day) && nowMinutes >= firstHour * 60 && (
+                <div className="absolute left-0 right-0 pointer-events-none" style={{ top: top(nowMinutes) }}>
+                  <div className="h-0.5 bg-red-500 relative">
+                    <div className="absolute -left-1 -top-1 w-2.5 h-2.5 rounded-full bg-red-500" />
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TimeGrid
@@ -1,29 +1,153 @@
 import { useState, useEffect, useRef } from 'react'
-import { Send, RotateCcw, Loader } from 'lucide-react'
+import { Send, RotateCcw, Loader, Undo2 } from 'lucide-react'
 import { useAuth } from '../../hooks/useAuth'
 import { useMessages } from '../../hooks/useMessages'
 import { useItems } from '../../hooks/useItems'
-import { analyzeWithAI } from '../../lib/ai'
+import { useCalendar } from '../../hooks/useCalendar'
+import { format, addMinutes } from 'date-fns'
+import { analyzeWithAI, fetchQuota, MAX_MESSAGE_LENGTH } from '../../lib/ai'
+import { insertsChangeset, mergeChangesets, invertChangeset, isEmptyChangeset } from '../../lib/changeset'
+import { workHours, toMinutes } from '../../lib/planner'
+import { parseWhen } from '../../lib/when'
+import { dueFromInput } from '../../lib/due'
+import ReviewProposal from './ReviewProposal'
+
+const DEFAULT_BLOCK_MINUTES = 60
+
+// A date in the message itself ("call dentist tomorrow at 3") fills in what the AI
+// left out for a single new item: a deadline becomes its due date, a time a block
+// suggestion the user has to accept ("I called the dentist at 3" must not book one)
+const withMessageDate = (result, message, options) => {
+  const when = parseWhen(message, options)
+  if (!when || result.items?.length !== 1) return result
+  const [item] = result.items
+
+  if (when.deadline || when.allDay) {
+    if (item.due_at) return result
+    const due_at = when.allDay ? dueFromInput(when.day, when.timeZone) : when.start.toISOString()
+    return { ...result, items: [{ ...item, due_at }] }
+  }
+
+  if (item.classification === 'NOISE' || when.start < new Date() || result.schedules.some(s => s.name === item.name)) return result
+  const end = when.end || addMinutes(when.start, item.estimate_minutes || DEFAULT_BLOCK_MINUTES)
+  return { ...result, suggestion: { itemId: null, name: item.name, start: when.start, end } }
+}
+
+const serializeSchedule = (schedule) => ({ ...schedule, start: schedule.start.toISOString(), end: schedule.end.toISOString() })
 
 const ChatView = () => {
   const { profile } = useAuth()
-  const { messages, addMessage, clearMessages } = useMessages()
-  const { items, addItems, updateItems } = useItems()
+  const { messages, addMessage, updateMessage, clearMessages } = useMessages()
+  const { items, addItems, updateItems, applyChangeset } = useItems()
+  const { createEventFromItem, deleteEvent } = useCalendar()
   const [input, setInput] = useState('')
   const [isProcessing, setIsProcessing] = useState(false)
+  const [streamingText, setStreamingText] = useState('')
   const [error, setError] = useState('')
+  const [quota, setQuota] = useState(null)
+  const [undoingId, setUndoingId] = useState(null)
+  const [reviewingId, setReviewingId] = useState(null)
+  const [maxLength, setMaxLength] = useState(MAX_MESSAGE_LENGTH)
   const messagesEndRef = useRef(null)
 
-  const currentHour = new Date().getHours()
-  const inSignalWindow = currentHour < 13
+  const now = new Date()
+  const inSignalWindow = now.getHours() * 60 + now.getMinutes() < toMinutes(workHours(profile).signalWindowEnd)
+  const quotaExhausted = quota?.limit != null && quota.remaining <= 0
+  const reviewMode = !!profile?.settings?.review_ai_changes
+  const tooLong = input.trim().length > maxLength
+
+  // Load today's AI quota
+  useEffect(() => {
+    fetchQuota()
+      .then(setQuota)
+      .catch(err => console.warn('[Chat] Quota unavailable:', err.message))
+  }, [])
 
   // Auto-scroll to bottom
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
-  }, [messages])
+  }, [messages, streamingText])
+
+  // Apply an AI result to items and calendar, returning the reversible changeset
+  const applyResult = async (result) => {
+    // Add new items
+    let added = []
+    if (result.items && result.items.length > 0) {
+      added = await addItems(result.items)
+    }
+    
+    // Update existing items (reclassifications, completions)
+    let updated = null
+    if (result.updates && result.updates.length > 0) {
+      updated = await updateItems(result.updates)
+    }
+
+    // Block time for scheduled items, including ones added this turn
+    const events = []
+    for (const schedule of result.schedules || []) {
+      const item = schedule.itemId
+        ? items.find(i => i.id === schedule.itemId)
+        : added.find(i => i.name === schedule.name)
+      if (item) {
+        const event = await createEventFromItem(item, schedule.start, schedule.end)
+        if (event) events.push(event.id)
+      }
+    }
+
+    return mergeChangesets(insertsChangeset(added), updated, { events })
+  }
+
+  const handleUndoTurn = async (msg) => {
+    if (!msg.changeset || msg.changeset.undone_at || undoingId) return
+
+    try {
+      setUndoingId(msg.id)
+      await applyChangeset(invertChangeset(msg.changeset))
+      for (const eventId of msg.changeset.events || []) {
+        await deleteEvent(eventId)
+      }
+      await updateMessage(msg.id, {
+        changeset: { ...msg.changeset, undone_at: new Date().toISOString() }
+      })
+    } catch (err) {
+      console.error('Undo error:', err)
+      setError('Failed to undo those changes. Please try again.')
+    } finally {
+      setUndoingId(null)
+    }
+  }
+
+  // Review mode: apply only what the user accepted from the proposal
+  const handleAcceptProposal = async (msg, accepted) => {
+    try {
+      setReviewingId(msg.id)
+      const changeset = await applyResult({
+        ...accepted,
+        schedules: accepted.schedules.map(s => ({ ...s, start: new Date(s.start), end: new Date(s.end) }))
+      })
+      // Keep what the turn already applied, so one undo covers both
+      await updateMessage(msg.id, {
+        proposal: { ...msg.proposal, status: 'accepted' },
+        ...(!isEmptyChangeset(changeset) && { changeset: mergeChangesets(msg.changeset, changeset) })
+      })
+    } catch (err) {
+      console.error('Accept error:', err)
+      setError('Failed to apply those changes. Please try again.')
+    } finally {
+      setReviewingId(null)
+    }
+  }
+
+  const handleDiscardProposal = async (msg) => {
+    try {
+      await updateMessage(msg.id, { proposal: { ...msg.proposal, status: 'discarded' } })
+    } catch (err) {
+      console.error('Discard error:', err)
+    }
+  }
 
   const handleSend = async () => {
-    if (!input.trim() || isProcessing) return
+    if (!input.trim() || isProcessing || quotaExhausted || tooLong) return
 
     const userMessage = input.trim()
     setInput('')
@@ -35,22 +159,62 @@ const ChatView = () => {
     try {
       setIsProcessing(true)
       
-      const result = await analyzeWithAI(userMessage, profile, items)
+      const aiResult = await analyzeWithAI(userMessage, items, false, {
+        onToken: (_, textSoFar) => setStreamingText(textSoFar),
+        duplicateThreshold: profile?.settings?.duplicate_threshold,
+        semanticMatching: !!profile?.settings?.semantic_matching
+      })
+      const { suggestion, ...result } = withMessageDate(aiResult, userMessage, {
+        timeZone: profile?.settings?.timezone,
+        ...workHours(profile)
+      })
       
-      // Add AI response to chat
-      await addMessage('assistant', result.response)
-      
-      // Add new items
-      if (result.items && result.items.length > 0) {
-        await addItems(result.items)
+      // Add AI response to chat (replaces the streaming bubble)
+      setStreamingText('')
+      if (result.quota) setQuota(result.quota)
+
+      const hasChanges = result.items?.length || result.updates?.length || result.schedules?.length
+      if (reviewMode && hasChanges) {
+        // Hold changes for review under the message instead of applying them
+        await addMessage('assistant', result.response, {
+          proposal: {
+            items: result.items,
+            updates: result.updates,
+            schedules: [...result.schedules, ...(suggestion ? [suggestion] : [])].map(serializeSchedule)
+          }
+        })
+        return
       }
+
+      const saved = await addMessage('assistant', result.response)
       
-      // Update existing items (reclassifications)
-      if (result.updates && result.updates.length > 0) {
-        await updateItems(result.updates)
+      // Apply changes and link them to the message so they can be undone
+      const changeset = await applyResult(result)
+      const item = suggestion && changeset.inserts.find(row => row.name === suggestion.name)
+      if (saved?.id && !isEmptyChangeset(changeset)) {
+        await updateMessage(saved.id, {
+          changeset,
+          // The block itself waits for the user, under the message like a review
+          ...(item && { proposal: { items: [], updates: [], schedules: [serializeSchedule({ ...suggestion, itemId: item.id })] } })
+        })
       }
     } catch (err) {
       console.error('Chat error:', err)
+      setStreamingText('')
+
+      if (err.code === 'quota_exceeded') {
+        setQuota(err.quota)
+        return
+      }
+
+      // Not a connection problem: give the text back to shorten, nothing to save
+      if (err.code === 'message_too_long') {
+        if (err.maxLength) setMaxLength(err.maxLength)
+        setInput(userMessage)
+        setError(err.message)
+        return
+      }
+
       setError('Failed to get response. Please try again.')
       await addMessage('assistant', "Sorry, I'm having trouble connecting right now. Please try again in a moment.")
     } finally {
@@ -100,11 +264,42 @@ const ChatView = () => {
                 : 'bg-slate-800 rounded-bl-md'
             }`}>
               <p className="whitespace-pre-wrap text-sm">{msg.content}</p>
+              {msg.role === 'assistant' && msg.proposal && msg.id && (
+                <ReviewProposal
+                  proposal={msg.proposal}
+                  items={items}
+                  busy={reviewingId === msg.id}
+                  onAccept={(accepted) => handleAcceptProposal(msg, accepted)}
+                  onDiscard={() => handleDiscardProposal(msg)}
+                />
+              )}
+              {msg.role === 'assistant' && !isEmptyChangeset(msg.changeset) && (
+                msg.changeset.undone_at ? (
+                  <p className="mt-2 text-xs text-slate-500">Changes undone</p>
+                ) : (
+                  <button
+                    onClick={() => handleUndoTurn(msg)}
+                    disabled={!!undoingId}
+                    className="mt-2 flex items-center gap-1 text-xs text-slate-400 hover:text-white disabled:opacity-50"
+                  >
+                    {undoingId === msg.id ? <Loader className="animate-spin" size={12} /> : <Undo2 size={12} />}
+                    Undo these changes
+                  </button>
+                )
+              )}
             </div>
           </div>
         ))}
 
-        {isProcessing && (
+        {isProcessing && streamingText && (
+          <div className="flex justify-start">
+            <div className="max-w-[85%] p-3 rounded-2xl bg-slate-800 rounded-bl-md">
+              <p className="whitespace-pre-wrap text-sm">{streamingText}</p>
+            </div>
+          </div>
+        )}
+
+        {isProcessing && !streamingText && (
           <div className="flex justify-start">
             <div className="bg-slate-800 p-3 rounded-2xl rounded-bl-md">
               <Loader className="animate-spin" size={20} />
@@ -125,6 +320,16 @@ const ChatView = () => {
 
       {/* Input */}
       <div className="p-4 border-t border-slate-700">
+        {quotaExhausted ? (
+          <div className="mb-3 bg-yellow-900/50 border border-yellow-700 px-4 py-2 rounded-lg text-sm text-yellow-300">
+            You've used all {quota.limit} free AI requests for today. They reset at{' '}
+            {format(new Date(quota.resetsAt), 'h:mm a')}. Your list and calendar still work in the meantime.
+          </div>
+        ) : quota?.limit != null && (
+          <p className="mb-2 text-xs text-slate-500 text-right">
+            {quota.remaining} of {quota.limit} AI requests left today
+          </p>
+        )}
         <div className="flex gap-2">
           <button
             onClick={handleClearChat}
@@ -138,18 +343,23 @@ const ChatView = () => {
             value={input}
             onChange={(e) => setInput(e.target.value)}
             onKeyDown={handleKeyDown}
-            placeholder="Dump what's on your mind..."
+            placeholder={quotaExhausted ? 'Daily AI limit reached' : "Dump what's on your mind..."}
             className="flex-1 p-3 bg-slate-800 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
-            disabled={isProcessing}
+            disabled={isProcessing || quotaExhausted}
           />
           <button
             onClick={handleSend}
-            disabled={isProcessing || !input.trim()}
+            disabled={isProcessing || quotaExhausted || tooLong || !input.trim()}
             className="p-3 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded-xl"
           >
             <Send size={20} />
           </button>
         </div>
+        {input.trim().length > maxLength * 0.8 && (
+          <p className={`mt-2 text-xs text-right ${tooLong ? 'text-red-400' : 'text-slate-500'}`}>
+            {input.trim().length} / {maxLength} characters{tooLong && ' — shorten it to send'}
+          </p>
+        )}
       </div>
     </div>
   )
@@ -0,0 +1,165 @@
+import { useState } from 'react'
+import { Check, X, Loader } from 'lucide-react'
+import { format } from 'date-fns'
+import { formatEstimate } from '../../lib/due'
+
+const CLASSIFICATIONS = ['SIGNAL', 'NECESSARY', 'NOISE']
+
+const classificationColor = {
+  SIGNAL: 'text-green-400',
+  NECESSARY: 'text-yellow-400',
+  NOISE: 'text-red-400'
+}
+
+// "due Oct 24 · ~15m · low energy" for the details an entry sets
+const detailText = (entry) => [
+  entry.due_at && `due ${format(new Date(entry.due_at), 'MMM d')}`,
+  entry.estimate_minutes && `~${formatEstimate(entry.estimate_minutes)}`,
+  entry.energy && `${entry.energy} energy`
+].filter(Boolean).join(' · ')
+
+// Editable checklist of proposed AI changes shown under an assistant message
+const ReviewProposal = ({ proposal, items, onAccept, onDiscard, busy = false }) => {
+  const [newItems, setNewItems] = useState(() => (proposal.items || []).map(item => ({ ...item, selected: true })))
+  const [updates, setUpdates] = useState(() => (proposal.updates || []).map(update => ({ ...update, selected: true })))
+  const [schedules, setSchedules] = useState(() => (proposal.schedules || []).map(schedule => ({ ...schedule, selected: true })))
+
+  if (proposal.status) {
+    return (
+      <p className="mt-2 text-xs text-slate-500">
+        {proposal.status === 'accepted' ? 'Suggestions applied' : 'Suggestions discarded'}
+      </p>
+    )
+  }
+
+  const editAt = (setter, index, changes) => {
+    setter(prev => prev.map((entry, i) => i === index ? { ...entry, ...changes } : entry))
+  }
+
+  const selectedCount = [...newItems, ...updates, ...schedules].filter(entry => entry.selected).length
+
+  const handleAccept = () => {
+    const strip = ({ selected, ...entry }) => entry
+    onAccept({
+      items: newItems.filter(item => item.selected && item.name.trim()).map(strip),
+      updates: updates.filter(update => update.selected).map(strip),
+      schedules: schedules.filter(schedule => schedule.selected).map(strip)
+    })
+  }
+
+  return (
+    <div className="mt-3 pt-3 border-t border-slate-700 space-y-3">
+      {newItems.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-xs text-slate-400 font-medium">New items</p>
+          {newItems.map((item, i) => (
+            <div key={i} className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={item.selected}
+                onChange={(e) => editAt(setNewItems, i, { selected: e.target.checked })}
+                className="accent-blue-500"
+              />
+              <input
+                type="text"
+                value={item.name}
+                onChange={(e) => editAt(setNewItems, i, { name: e.target.value })}
+                disabled={!item.selected}
+                className="flex-1 min-w-0 px-2 py-1 bg-slate-700 rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-500 disabled:opacity-50"
+              />
+              {detailText(item) && <span className="text-xs text-slate-400 shrink-0">{detailText(item)}</span>}
+              <select
+                value={item.classification}
+                onChange={(e) => editAt(setNewItems, i, { classification: e.target.value })}
+                disabled={!item.selected}
+                className={`px-1 py-1 bg-slate-700 rounded text-xs ${classificationColor[item.classification]} disabled:opacity-50`}
+              >
+                {CLASSIFICATIONS.map(c => <option key={c} value={c}>{c}</option>)}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {updates.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-xs text-slate-400 font-medium">Changes to tracked items</p>
+          {updates.map((update, i) => {
+            const item = items.find(entry => entry.id === update.id)
+            return (
+              <div key={update.id} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={update.selected}
+                  onChange={(e) => editAt(setUpdates, i, { selected: e.target.checked })}
+                  className="accent-blue-500"
+                />
+                <span className="flex-1 min-w-0 truncate text-sm">{item?.name || 'Unknown item'}</span>
+                {update.completed ? (
+                  <span className="text-xs text-green-400">Mark done</span>
+                ) : update.classification && (
+                  <>
+                    <span className={`text-xs ${classificationColor[item?.classification]}`}>{item?.classification}</span>
+                    <span className="text-xs text-slate-500">→</span>
+                    <select
+                      value={update.classification}
+                      onChange={(e) => editAt(setUpdates, i, { classification: e.target.value })}
+                      disabled={!update.selected}
+                      className={`px-1 py-1 bg-slate-700 rounded text-xs ${classificationColor[update.classification]} disabled:opacity-50`}
+                    >
+                      {CLASSIFICATIONS.map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                  </>
+                )}
+                {!update.completed && !update.classification && (
+                  <span className="text-xs text-slate-400">{detailText(update)}</span>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {schedules.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-xs text-slate-400 font-medium">Time blocks</p>
+          {schedules.map((schedule, i) => (
+            <label key={i} className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={schedule.selected}
+                onChange={(e) => editAt(setSchedules, i, { selected: e.target.checked })}
+                className="accent-blue-500"
+              />
+              <span className="flex-1 min-w-0 truncate">{schedule.name}</span>
+              <span className="text-xs text-slate-400">
+                {format(new Date(schedule.start), 'EEE h:mm a')} – {format(new Date(schedule.end), 'h:mm a')}
+              </span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-2 pt-1">
+        <button
+          onClick={handleAccept}
+          disabled={busy || selectedCount === 0}
+          className="flex-1 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded-lg text-sm font-medium flex items-center justify-center gap-1"
+        >
+          {busy ? <Loader className="animate-spin" size={14} /> : <Check size={14} />}
+          Accept {selectedCount}
+        </button>
+        <button
+          onClick={onDiscard}
+          disabled={busy}
+          className="px-3 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded-lg text-sm flex items-center gap-1"
+        >
+          <X size={14} />
+          Discard
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ReviewProposal
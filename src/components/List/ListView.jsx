@@ -1,26 +1,62 @@
-import { useState, useRef } from 'react'
-import { Circle, CheckCircle, Trash2, RefreshCw, ChevronDown, ChevronUp, Calendar, Loader } from 'lucide-react'
+import { useState, useRef, useEffect } from 'react'
+import { Circle, CheckCircle, Trash2, RefreshCw, ChevronDown, ChevronUp, Calendar, Loader, Undo2, Redo2, Repeat, Inbox, ArrowDownUp, ListChecks, Sparkles, X } from 'lucide-react'
+import { format } from 'date-fns'
 import { useItems } from '../../hooks/useItems'
-import { useAuth } from '../../hooks/useAuth'
+import { useUndo } from '../../hooks/useUndo'
 import { useMessages } from '../../hooks/useMessages'
-import { analyzeWithAI } from '../../lib/ai'
+import { analyzeWithAI, breakDownItem } from '../../lib/ai'
+import { REPEAT_OPTIONS, repeatOption, describeRule } from '../../lib/recurrence'
+import { BUCKETS, bucketLabel, bucketOf } from '../../lib/status'
+import { ENERGY_LEVELS, dueFromInput, dueState, compareDue, formatEstimate } from '../../lib/due'
+import { MAX_STEPS, checklistProgress, addSteps, toggleStep, removeStep } from '../../lib/checklist'
+import SwipeRow from './SwipeRow'
+import Triage from './Triage'
 
-const ListView = ({ onScheduleItem }) => {
-  const { profile } = useAuth()
-  const { items, signals, necessary, noise, completed, toggleComplete, deleteItem, clearCompleted, addItems, updateItems, reload } = useItems()
+const BUCKET_TABS = [{ id: 'all', label: 'All' }, ...BUCKETS]
+
+const EMPTY_BUCKET = {
+  inbox: 'Inbox zero. New items from chat land here.',
+  today: 'Nothing planned for today. Swipe an item right to add it.',
+  week: 'Nothing planned for this week.',
+  someday: 'Nothing parked for someday. Swipe an item left to park it.'
+}
+
+const ESTIMATE_OPTIONS = [5, 10, 15, 30, 45, 60, 90, 120, 180, 240]
+
+const DUE_BADGE = {
+  overdue: { label: 'Overdue', className: 'bg-red-900/60 text-red-300' },
+  today: { label: 'Due today', className: 'bg-orange-900/60 text-orange-300' }
+}
+
+const ListView = ({ onScheduleItem, focusItemId }) => {
+  const { items, signals, necessary, noise, inbox, completed, toggleComplete, deleteItem, clearCompleted, addItems, updateItem, updateItems, applyChangeset, reload } = useItems()
+  const { record, undo, redo, canUndo, canRedo, undoLabel, redoLabel } = useUndo()
   const { addMessage } = useMessages()
-  const [expandedId, setExpandedId] = useState(null)
+  const [expandedId, setExpandedId] = useState(focusItemId || null)
   const [isReprioritizing, setIsReprioritizing] = useState(false)
   const [isRefreshing, setIsRefreshing] = useState(false)
   const [pullDistance, setPullDistance] = useState(0)
+  const [bucket, setBucket] = useState('all')
+  const [triaging, setTriaging] = useState(false)
+  const [sortByDue, setSortByDue] = useState(false)
+  const [breakdown, setBreakdown] = useState(null)
+  const [addingStepTo, setAddingStepTo] = useState(null)
   const listRef = useRef(null)
+  const touchStartX = useRef(0)
   const touchStartY = useRef(0)
   const isPulling = useRef(false)
 
   const PULL_THRESHOLD = 80
 
+  // Scroll a deep-linked item into view once it has loaded
+  const focusFound = items.some(item => item.id === focusItemId)
+  useEffect(() => {
+    if (focusFound) document.getElementById(`item-${focusItemId}`)?.scrollIntoView({ block: 'center' })
+  }, [focusFound, focusItemId])
+
   const handleTouchStart = (e) => {
     if (listRef.current?.scrollTop === 0) {
+      touchStartX.current = e.touches[0].clientX
       touchStartY.current = e.touches[0].clientY
       isPulling.current = true
     }
@@ -31,6 +67,8 @@ const ListView = ({ onScheduleItem }) => {
     
     const currentY = e.touches[0].clientY
     const diff = currentY - touchStartY.current
+    // Sideways is a row swipe, not a pull
+    if (Math.abs(e.touches[0].clientX - touchStartX.current) > diff) return
     
     if (diff > 0 && listRef.current?.scrollTop === 0) {
       e.preventDefault()
@@ -65,7 +103,7 @@ const ListView = ({ onScheduleItem }) => {
       const userMessage = "What should be my top priority now?"
       await addMessage('user', userMessage)
 
-      const result = await analyzeWithAI(userMessage, profile, items, true)
+      const result = await analyzeWithAI(userMessage, items, true)
       await addMessage('assistant', result.response)
 
       // Add any new items
@@ -84,15 +122,144 @@ const ListView = ({ onScheduleItem }) => {
     }
   }
 
-  const handleDelete = (id) => {
+  // Manual edits are recorded so they can be undone
+  const handleToggle = async (item) => {
+    try {
+      const changeset = await toggleComplete(item.id)
+      record(item.completed ? `Reopen "${item.name}"` : `Complete "${item.name}"`, changeset)
+    } catch (err) {
+      console.error('Toggle error:', err)
+    }
+  }
+
+  // Repeating items come back as a new instance when completed
+  const handleRepeatChange = async (item, rule) => {
+    try {
+      const changeset = await updateItem(item.id, {
+        recurrence_rule: rule || null,
+        recurrence_start: rule ? item.recurrence_start || new Date().toISOString() : null
+      })
+      record(rule ? `Repeat "${item.name}"` : `Stop repeating "${item.name}"`, changeset)
+    } catch (err) {
+      console.error('Repeat error:', err)
+    }
+  }
+
+  const handleMove = async (item, status) => {
+    if (bucketOf(item) === status && !item.completed) return
+    try {
+      const changeset = await updateItem(item.id, { status })
+      record(`Move "${item.name}" to ${bucketLabel(status)}`, changeset)
+    } catch (err) {
+      console.error('Move error:', err)
+    }
+  }
+
+  // Due date, estimate and energy edits from the expanded card
+  const handleDetailChange = async (item, changes, label) => {
+    try {
+      const changeset = await updateItem(item.id, changes)
+      record(`${label} "${item.name}"`, changeset)
+    } catch (err) {
+      console.error('Edit error:', err)
+    }
+  }
+
+  // Checklist edits replace the whole list, so undo restores it exactly
+  const handleChecklistChange = async (item, checklist, label) => {
+    try {
+      const changeset = await updateItem(item.id, { checklist })
+      record(`${label} "${item.name}"`, changeset)
+    } catch (err) {
+      console.error('Checklist error:', err)
+    }
+  }
+
+  const handleAddStep = (item, input) => {
+    const text = input.value.trim()
+    input.value = ''
+    setAddingStepTo(item.id)
+    handleChecklistChange(item, addSteps(item.checklist, [text]), 'Add step to')
+  }
+
+  const handleToggleStep = async (item, step) => {
+    const checklist = toggleStep(item.checklist, step.id)
+    await handleChecklistChange(item, checklist, step.done ? 'Reopen step of' : 'Check off step of')
+
+    // The last step done: offer to finish the item itself
+    const { done, total } = checklistProgress(checklist)
+    if (!step.done && !item.completed && done === total && window.confirm(`All steps done. Complete "${item.name}"?`)) {
+      await handleToggle(item)
+    }
+  }
+
+  // "AI: break this down": proposed steps wait for review under the checklist
+  const handleBreakDown = async (item) => {
+    setBreakdown({ itemId: item.id, status: 'loading' })
+    try {
+      const { steps, note } = await breakDownItem(item)
+      setBreakdown({ itemId: item.id, status: 'review', steps, skipped: new Set(), note })
+    } catch (err) {
+      console.error('Breakdown error:', err)
+      setBreakdown({
+        itemId: item.id,
+        status: 'error',
+        error: err.code === 'quota_exceeded' ? "You've used today's AI requests" : "Couldn't get steps. Please try again."
+      })
+    }
+  }
+
+  const toggleProposedStep = (index) => {
+    setBreakdown(prev => {
+      const skipped = new Set(prev.skipped)
+      if (skipped.has(index)) skipped.delete(index)
+      else skipped.add(index)
+      return { ...prev, skipped }
+    })
+  }
+
+  const handleAcceptBreakdown = async (item) => {
+    const accepted = breakdown.steps.filter((_, i) => !breakdown.skipped.has(i))
+    setBreakdown(null)
+    if (accepted.length) await handleChecklistChange(item, addSteps(item.checklist, accepted), 'Break down')
+  }
+
+  const handleDelete = async (id) => {
     if (window.confirm('Delete this item?')) {
-      deleteItem(id)
+      try {
+        const item = items.find(i => i.id === id)
+        const changeset = await deleteItem(id)
+        record(`Delete "${item?.name}"`, changeset)
+      } catch (err) {
+        console.error('Delete error:', err)
+      }
     }
   }
 
-  const handleClearCompleted = () => {
+  const handleClearCompleted = async () => {
     if (window.confirm('Clear all completed items?')) {
-      clearCompleted()
+      try {
+        const changeset = await clearCompleted()
+        record(`Clear ${completed.length} completed`, changeset)
+      } catch (err) {
+        console.error('Clear error:', err)
+      }
+    }
+  }
+
+  const handleUndo = async () => {
+    try {
+      await undo(applyChangeset)
+    } catch (err) {
+      console.error('Undo error:', err)
+    }
+  }
+
+  const handleRedo = async () => {
+    try {
+      await redo(applyChangeset)
+    } catch (err) {
+      console.error('Redo error:', err)
     }
   }
 
@@ -122,77 +289,292 @@ const ListView = ({ onScheduleItem }) => {
       }
     }
     const c = colorClasses[color]
+    const status = bucketOf(item)
+    const due = dueState(item)
+    const steps = item.checklist || []
+    const progress = checklistProgress(steps)
+    const proposal = breakdown?.itemId === item.id ? breakdown : null
+    const proposedCount = proposal?.status === 'review' ? proposal.steps.length - proposal.skipped.size : 0
 
     return (
-      <div className={`${c.bg} border ${c.border} rounded-lg overflow-hidden`}>
-        <div className="p-3 flex items-center gap-3">
-          <button onClick={() => toggleComplete(item.id)}>
-            {item.completed ? (
-              <CheckCircle size={20} className="text-green-400" />
-            ) : (
-              <Circle size={20} className={c.text} />
-            )}
-          </button>
-          
-          <button
-            onClick={() => setExpandedId(isExpanded ? null : item.id)}
-            className={`flex-1 text-left text-sm ${color === 'red' ? 'opacity-60' : ''}`}
-          >
-            {item.name}
-          </button>
-
-          <div className="flex items-center gap-1">
-            {color === 'green' && onScheduleItem && (
-              <button
-                onClick={() => onScheduleItem(item)}
-                className="p-1 text-slate-500 hover:text-blue-400"
-                title="Add to calendar"
-              >
-                <Calendar size={16} />
-              </button>
-            )}
-            <button
-              onClick={() => setExpandedId(isExpanded ? null : item.id)}
-              className="p-1 text-slate-500"
-            >
-              {isExpanded ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+      <SwipeRow
+        className="rounded-lg"
+        right={status !== 'today' ? { label: 'Today', className: 'bg-green-800', onSwipe: () => handleMove(item, 'today') } : null}
+        left={status !== 'someday' ? { label: 'Someday', className: 'bg-slate-700', onSwipe: () => handleMove(item, 'someday') } : null}
+      >
+        <div id={`item-${item.id}`} className={`${c.bg} border ${c.border} rounded-lg overflow-hidden`}>
+          <div className="p-3 flex items-center gap-3">
+            <button onClick={() => handleToggle(item)}>
+              {item.completed ? (
+                <CheckCircle size={20} className="text-green-400" />
+              ) : (
+                <Circle size={20} className={c.text} />
+              )}
             </button>
+            
             <button
-              onClick={() => handleDelete(item.id)}
-              className="p-1 text-slate-500 hover:text-red-400"
+              onClick={() => setExpandedId(isExpanded ? null : item.id)}
+              className={`flex-1 text-left text-sm ${color === 'red' ? 'opacity-60' : ''}`}
             >
-              <Trash2 size={16} />
-            </button>
-          </div>
-        </div>
-
-        {isExpanded && (
-          <div className={`px-4 pb-4 pt-1 border-t ${c.expandBorder} ${c.expandBg}`}>
-            <div className="space-y-2 text-sm">
-              <div>
-                <span className={`${c.text} font-medium`}>WHAT:</span>
-                <span className="text-slate-300 ml-2">{item.what || 'No details captured'}</span>
-              </div>
-              <div>
-                <span className={`${c.text} font-medium`}>
-                  {color === 'red' ? 'WHY NOISE:' : 'WHY:'}
+              {item.name}
+              {item.recurrence_rule && (
+                <span className="inline-flex items-center gap-1 ml-2 text-xs text-slate-400" title={describeRule(item.recurrence_rule)}>
+                  <Repeat size={12} />
+                  {item.recurrence_start && format(new Date(item.recurrence_start), 'MMM d')}
                 </span>
-                <span className="text-slate-300 ml-2">
-                  {item.why || (color === 'red' ? "Doesn't advance priorities" : 'Advances key priority')}
+              )}
+              {due ? (
+                <span className={`ml-2 text-xs px-1.5 py-0.5 rounded ${DUE_BADGE[due].className}`}>
+                  {DUE_BADGE[due].label}
                 </span>
-              </div>
-              <div>
-                <span className={`${c.text} font-medium`}>
-                  {color === 'red' ? 'ACTION:' : 'NEXT:'}
-                </span>
-                <span className="text-slate-300 ml-2">
-                  {item.next_action || (color === 'red' ? 'Ignore or decline' : 'Define next action')}
+              ) : item.due_at && !item.completed && (
+                <span className="ml-2 text-xs text-slate-400">due {format(new Date(item.due_at), 'MMM d')}</span>
+              )}
+              {item.estimate_minutes && (
+                <span className="ml-2 text-xs text-slate-500">~{formatEstimate(item.estimate_minutes)}</span>
+              )}
+              {progress.total > 0 && (
+                <span
+                  className={`inline-flex items-center gap-1 ml-2 text-xs ${
+                    progress.done === progress.total ? 'text-green-400' : 'text-slate-400'
+                  }`}
+                  title={`${progress.done} of ${progress.total} steps done`}
+                >
+                  <ListChecks size={12} />
+                  {progress.done}/{progress.total}
                 </span>
-              </div>
+              )}
+            </button>
+
+            <div className="flex items-center gap-1">
+              {color === 'green' && onScheduleItem && (
+                <button
+                  onClick={() => onScheduleItem(item)}
+                  className="p-1 text-slate-500 hover:text-blue-400"
+                  title="Add to calendar"
+                >
+                  <Calendar size={16} />
+                </button>
+              )}
+              <button
+                onClick={() => setExpandedId(isExpanded ? null : item.id)}
+                className="p-1 text-slate-500"
+              >
+                {isExpanded ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+              </button>
+              <button
+                onClick={() => handleDelete(item.id)}
+                className="p-1 text-slate-500 hover:text-red-400"
+              >
+                <Trash2 size={16} />
+              </button>
             </div>
           </div>
-        )}
-      </div>
+
+          {isExpanded && (
+            <div className={`px-4 pb-4 pt-1 border-t ${c.expandBorder} ${c.expandBg}`}>
+              <div className="space-y-2 text-sm">
+                <div>
+                  <span className={`${c.text} font-medium`}>WHAT:</span>
+                  <span className="text-slate-300 ml-2">{item.what || 'No details captured'}</span>
+                </div>
+                <div>
+                  <span className={`${c.text} font-medium`}>
+                    {color === 'red' ? 'WHY NOISE:' : 'WHY:'}
+                  </span>
+                  <span className="text-slate-300 ml-2">
+                    {item.why || (color === 'red' ? "Doesn't advance priorities" : 'Advances key priority')}
+                  </span>
+                </div>
+                <div>
+                  <span className={`${c.text} font-medium`}>
+                    {color === 'red' ? 'ACTION:' : 'NEXT:'}
+                  </span>
+                  <span className="text-slate-300 ml-2">
+                    {item.next_action || (color === 'red' ? 'Ignore or decline' : 'Define next action')}
+                  </span>
+                </div>
+                <div className="flex items-center">
+                  <span className={`${c.text} font-medium`}>REPEATS:</span>
+                  <select
+                    value={repeatOption(item.recurrence_rule)}
+                    onChange={(e) => handleRepeatChange(item, e.target.value)}
+                    className="ml-2 bg-transparent text-slate-300 focus:outline-none"
+                  >
+                    {REPEAT_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value} className="bg-slate-800">{option.label}</option>
+                    ))}
+                    {item.recurrence_rule && !REPEAT_OPTIONS.some(option => option.value === repeatOption(item.recurrence_rule)) && (
+                      <option value={repeatOption(item.recurrence_rule)} className="bg-slate-800">{describeRule(item.recurrence_rule)}</option>
+                    )}
+                  </select>
+                </div>
+                <div className="flex items-center">
+                  <span className={`${c.text} font-medium`}>LIST:</span>
+                  <select
+                    value={status}
+                    onChange={(e) => handleMove(item, e.target.value)}
+                    className="ml-2 bg-transparent text-slate-300 focus:outline-none"
+                  >
+                    {BUCKETS.map(({ id, label }) => (
+                      <option key={id} value={id} className="bg-slate-800">{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex items-center">
+                  <span className={`${c.text} font-medium`}>DUE:</span>
+                  <input
+                    type="date"
+                    value={item.due_at ? format(new Date(item.due_at), 'yyyy-MM-dd') : ''}
+                    onChange={(e) => handleDetailChange(
+                      item,
+                      { due_at: dueFromInput(e.target.value) },
+                      e.target.value ? 'Set due date of' : 'Clear due date of'
+                    )}
+                    className="ml-2 bg-transparent text-slate-300 focus:outline-none [color-scheme:dark]"
+                  />
+                </div>
+                <div className="flex items-center">
+                  <span className={`${c.text} font-medium`}>ESTIMATE:</span>
+                  <select
+                    value={item.estimate_minutes || ''}
+                    onChange={(e) => handleDetailChange(item, { estimate_minutes: Number(e.target.value) || null }, 'Estimate')}
+                    className="ml-2 bg-transparent text-slate-300 focus:outline-none"
+                  >
+                    <option value="" className="bg-slate-800">None</option>
+                    {ESTIMATE_OPTIONS.map(minutes => (
+                      <option key={minutes} value={minutes} className="bg-slate-800">{formatEstimate(minutes)}</option>
+                    ))}
+                    {item.estimate_minutes && !ESTIMATE_OPTIONS.includes(item.estimate_minutes) && (
+                      <option value={item.estimate_minutes} className="bg-slate-800">{formatEstimate(item.estimate_minutes)}</option>
+                    )}
+                  </select>
+                </div>
+                <div className="flex items-center">
+                  <span className={`${c.text} font-medium`}>ENERGY:</span>
+                  <select
+                    value={item.energy || ''}
+                    onChange={(e) => handleDetailChange(item, { energy: e.target.value || null }, 'Set energy of')}
+                    className="ml-2 bg-transparent text-slate-300 focus:outline-none"
+                  >
+                    <option value="" className="bg-slate-800">Not set</option>
+                    {ENERGY_LEVELS.map(level => (
+                      <option key={level} value={level} className="bg-slate-800 capitalize">{level}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <div className="flex items-center justify-between">
+                    <span className={`${c.text} font-medium`}>
+                      CHECKLIST:{progress.total > 0 && ` ${progress.done}/${progress.total}`}
+                    </span>
+                    {!item.completed && (
+                      <button
+                        onClick={() => handleBreakDown(item)}
+                        disabled={proposal?.status === 'loading' || steps.length >= MAX_STEPS}
+                        className="flex items-center gap-1 text-xs text-slate-400 hover:text-white disabled:opacity-50"
+                      >
+                        {proposal?.status === 'loading'
+                          ? <Loader size={12} className="animate-spin" />
+                          : <Sparkles size={12} />}
+                        AI: break this down
+                      </button>
+                    )}
+                  </div>
+                  {steps.length > 0 && (
+                    <ul className="mt-1 space-y-1">
+                      {steps.map(step => (
+                        <li key={step.id} className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={step.done}
+                            onChange={() => handleToggleStep(item, step)}
+                            className="accent-blue-500 shrink-0"
+                          />
+                          <span className={`flex-1 min-w-0 ${step.done ? 'line-through text-slate-500' : 'text-slate-300'}`}>
+                            {step.text}
+                          </span>
+                          <button
+                            onClick={() => handleChecklistChange(item, removeStep(steps, step.id), 'Remove step from')}
+                            className="p-0.5 text-slate-500 hover:text-red-400"
+                            title="Remove step"
+                          >
+                            <X size={14} />
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  {proposal?.status === 'error' && <p className="mt-1 text-xs text-red-400">{proposal.error}</p>}
+                  {proposal?.status === 'review' && (
+                    <div className="mt-2 p-2 bg-slate-800/80 rounded-lg space-y-1">
+                      {proposal.note && <p className="text-xs text-slate-400">{proposal.note}</p>}
+                      {!proposal.steps.length && <p className="text-xs text-slate-500">No new steps suggested</p>}
+                      {proposal.steps.map((text, i) => (
+                        <label key={i} className="flex items-center gap-2 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={!proposal.skipped.has(i)}
+                            onChange={() => toggleProposedStep(i)}
+                            className="accent-blue-500 shrink-0"
+                          />
+                          <span className="text-slate-300">{text}</span>
+                        </label>
+                      ))}
+                      <div className="flex gap-2 pt-1">
+                        <button
+                          onClick={() => handleAcceptBreakdown(item)}
+                          disabled={!proposedCount}
+                          className="px-3 py-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded text-xs font-medium"
+                        >
+                          Add {proposedCount} {proposedCount === 1 ? 'Step' : 'Steps'}
+                        </button>
+                        <button
+                          onClick={() => setBreakdown(null)}
+                          className="px-3 py-1 text-xs text-slate-400 hover:text-white"
+                        >
+                          Discard
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  {!item.completed && steps.length < MAX_STEPS && (
+                    <input
+                      type="text"
+                      placeholder="Add a step"
+                      autoFocus={addingStepTo === item.id}
+                      onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.value.trim() && handleAddStep(item, e.currentTarget)}
+                      className="mt-1 w-full px-2 py-1 bg-slate-800/60 rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-500"
+                    />
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      </SwipeRow>
+    )
+  }
+
+  // Open items in the selected bucket, most urgent first when sorting by due date
+  const inBucket = (list) => {
+    const shown = bucket === 'all' ? list : list.filter(item => bucketOf(item) === bucket)
+    return sortByDue ? [...shown].sort(compareDue) : shown
+  }
+  const shownSignals = inBucket(signals)
+  const shownNecessary = inBucket(necessary)
+  const shownNoise = inBucket(noise)
+
+  if (triaging) {
+    return (
+      <Triage
+        items={inbox}
+        onMove={handleMove}
+        onComplete={handleToggle}
+        onClose={() => setTriaging(false)}
+      />
     )
   }
 
@@ -219,6 +601,71 @@ const ListView = ({ onScheduleItem }) => {
       </div>
 
       <div className="p-4">
+        {/* Undo / Redo */}
+        {(canUndo || canRedo) && (
+          <div className="flex items-center justify-end gap-2 mb-3 text-xs">
+            <button
+              onClick={handleUndo}
+              disabled={!canUndo}
+              className="flex items-center gap-1 px-2 py-1 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 disabled:opacity-30"
+              title={undoLabel ? `Undo: ${undoLabel}` : 'Undo'}
+            >
+              <Undo2 size={14} /> Undo
+            </button>
+            <button
+              onClick={handleRedo}
+              disabled={!canRedo}
+              className="flex items-center gap-1 px-2 py-1 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 disabled:opacity-30"
+              title={redoLabel ? `Redo: ${redoLabel}` : 'Redo'}
+            >
+              <Redo2 size={14} /> Redo
+            </button>
+          </div>
+        )}
+
+        {/* Buckets */}
+        <div className="flex gap-1 mb-3 overflow-x-auto">
+          {BUCKET_TABS.map(({ id, label }) => {
+            const count = id === 'all' ? null : items.filter(item => !item.completed && bucketOf(item) === id).length
+            return (
+              <button
+                key={id}
+                onClick={() => setBucket(id)}
+                className={`shrink-0 px-3 py-1.5 rounded-lg text-sm ${
+                  bucket === id ? 'bg-slate-600 text-white' : 'bg-slate-800 text-slate-400 hover:text-white'
+                }`}
+              >
+                {label}{count ? ` ${count}` : ''}
+              </button>
+            )
+          })}
+        </div>
+
+        <div className="flex justify-end mb-3">
+          <button
+            onClick={() => setSortByDue(prev => !prev)}
+            className={`flex items-center gap-1 px-2 py-1 rounded-lg text-xs hover:bg-slate-800 ${
+              sortByDue ? 'text-blue-400' : 'text-slate-400 hover:text-white'
+            }`}
+          >
+            <ArrowDownUp size={14} /> {sortByDue ? 'Sorted by due date' : 'Sort by due date'}
+          </button>
+        </div>
+
+        {/* Inbox triage */}
+        {inbox.length > 0 && (bucket === 'all' || bucket === 'inbox') && (
+          <button
+            onClick={() => setTriaging(true)}
+            className="w-full mb-3 p-3 bg-slate-800 hover:bg-slate-700 border border-slate-700 rounded-xl flex items-center gap-3 text-left"
+          >
+            <Inbox size={20} className="text-blue-400 shrink-0" />
+            <span className="flex-1 text-sm">
+              {inbox.length} {inbox.length === 1 ? 'item' : 'items'} waiting in your inbox
+            </span>
+            <span className="text-sm text-blue-400 font-medium">Triage</span>
+          </button>
+        )}
+
         {/* Reprioritize Button */}
         {items.filter(i => !i.completed).length > 0 && (
           <button
@@ -232,11 +679,11 @@ const ListView = ({ onScheduleItem }) => {
         )}
 
       {/* Signals */}
-      {signals.length > 0 && (
+      {shownSignals.length > 0 && (
         <div className="mb-6">
           <h3 className="text-green-400 font-bold mb-3">🟢 SIGNALS — Do These</h3>
           <div className="space-y-2">
-            {signals.map(item => (
+            {shownSignals.map(item => (
               <ItemCard key={item.id} item={item} color="green" />
             ))}
           </div>
@@ -244,11 +691,11 @@ const ListView = ({ onScheduleItem }) => {
       )}
 
       {/* Necessary */}
-      {necessary.length > 0 && (
+      {shownNecessary.length > 0 && (
         <div className="mb-6">
           <h3 className="text-yellow-400 font-bold mb-3">🟡 NECESSARY — Batch These</h3>
           <div className="space-y-2">
-            {necessary.map(item => (
+            {shownNecessary.map(item => (
               <ItemCard key={item.id} item={item} color="yellow" />
             ))}
           </div>
@@ -256,19 +703,24 @@ const ListView = ({ onScheduleItem }) => {
       )}
 
       {/* Noise */}
-      {noise.length > 0 && (
+      {shownNoise.length > 0 && (
         <div className="mb-6">
           <h3 className="text-red-400 font-bold mb-3">🔴 NOISE — Ignore These</h3>
           <div className="space-y-2">
-            {noise.map(item => (
+            {shownNoise.map(item => (
               <ItemCard key={item.id} item={item} color="red" />
             ))}
           </div>
         </div>
       )}
 
+      {/* Empty bucket */}
+      {bucket !== 'all' && !shownSignals.length && !shownNecessary.length && !shownNoise.length && (
+        <p className="text-center py-8 text-sm text-slate-500">{EMPTY_BUCKET[bucket]}</p>
+      )}
+
       {/* Completed */}
-      {completed.length > 0 && (
+      {bucket === 'all' && completed.length > 0 && (
         <div className="mb-6">
           <div className="flex justify-between items-center mb-3">
             <h3 className="text-slate-400 font-bold">✓ Completed</h3>
@@ -285,7 +737,7 @@ const ListView = ({ onScheduleItem }) => {
                 key={item.id}
                 className="bg-slate-800/50 rounded-lg p-3 flex items-center gap-3 opacity-50"
               >
-                <button onClick={() => toggleComplete(item.id)}>
+                <button onClick={() => handleToggle(item)}>
                   <CheckCircle size={20} className="text-green-400" />
                 </button>
                 <span className="flex-1 text-sm line-through">{item.name}</span>
@@ -0,0 +1,95 @@
+import { useState, useRef } from 'react'
+
+const SWIPE_THRESHOLD = 80
+const DRAG_THRESHOLD = 8
+
+/**
+ * A row that can be swiped sideways (pointer events, so mouse drags work too).
+ * `right` and `left` ({ label, className, onSwipe }) are the actions for each
+ * direction, revealed underneath while swiping; either may be null. Vertical
+ * scrolling stays with the browser.
+ */
+const SwipeRow = ({ right, left, className = '', children }) => {
+  const drag = useRef(null)
+  const justSwiped = useRef(false)
+  const [offset, setOffset] = useState(0)
+
+  const handlePointerDown = (e) => {
+    if (e.button > 0 || (!right && !left)) return
+    drag.current = { x: e.clientX, y: e.clientY, dx: 0, swiping: false }
+  }
+
+  const handlePointerMove = (e) => {
+    const session = drag.current
+    if (!session) return
+    const dx = e.clientX - session.x
+    const dy = e.clientY - session.y
+
+    if (!session.swiping) {
+      if (Math.abs(dx) < DRAG_THRESHOLD && Math.abs(dy) < DRAG_THRESHOLD) return
+      // Mostly vertical: a scroll, not a swipe
+      if (Math.abs(dy) >= Math.abs(dx)) {
+        drag.current = null
+        return
+      }
+      session.swiping = true
+      e.currentTarget.setPointerCapture(e.pointerId)
+    }
+
+    // Only directions with an action move the row
+    session.dx = (dx > 0 && right) || (dx < 0 && left) ? dx : 0
+    setOffset(session.dx)
+  }
+
+  const handlePointerUp = () => {
+    const session = drag.current
+    drag.current = null
+    setOffset(0)
+    if (!session?.swiping) return
+
+    justSwiped.current = true
+    if (session.dx >= SWIPE_THRESHOLD) right.onSwipe()
+    else if (session.dx <= -SWIPE_THRESHOLD) left.onSwipe()
+  }
+
+  const handlePointerCancel = () => {
+    drag.current = null
+    setOffset(0)
+  }
+
+  // The click that ends a swipe doesn't reach the row's buttons
+  const handleClickCapture = (e) => {
+    if (!justSwiped.current) return
+    justSwiped.current = false
+    e.stopPropagation()
+  }
+
+  const action = offset > 0 ? right : offset < 0 ? left : null
+
+  return (
+    <div className={`relative overflow-hidden ${className}`}>
+      {action && (
+        <div
+          className={`absolute inset-0 flex items-center px-4 text-sm font-medium ${
+            offset > 0 ? 'justify-start' : 'justify-end'
+          } ${action.className} ${Math.abs(offset) >= SWIPE_THRESHOLD ? '' : 'opacity-60'}`}
+        >
+          {action.label}
+        </div>
+      )}
+      <div
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerCancel}
+        onClickCapture={handleClickCapture}
+        className={`relative touch-pan-y ${offset ? '' : 'transition-transform'}`}
+        style={{ transform: offset ? `translateX(${offset}px)` : undefined }}
+      >
+        {children}
+      </div>
+    </div>
+  )
+}
+
+export default SwipeRow
@@ -0,0 +1,118 @@
+import { useState } from 'react'
+import { CheckCircle, SkipForward, X, Inbox } from 'lucide-react'
+import SwipeRow from './SwipeRow'
+
+const classificationColor = {
+  SIGNAL: 'text-green-400',
+  NECESSARY: 'text-yellow-400',
+  NOISE: 'text-red-400'
+}
+
+const MOVES = [
+  { status: 'today', label: 'Today', className: 'bg-green-700 hover:bg-green-600' },
+  { status: 'week', label: 'This Week', className: 'bg-blue-700 hover:bg-blue-600' },
+  { status: 'someday', label: 'Someday', className: 'bg-slate-600 hover:bg-slate-500' }
+]
+
+/**
+ * "Inbox zero": one inbox item at a time, moved to a bucket by button or swipe
+ * (right for Today, left for Someday). Moved items leave `items`, so the next
+ * one shows; skipped ones are only hidden until the screen closes.
+ */
+const Triage = ({ items, onMove, onComplete, onClose }) => {
+  const [skipped, setSkipped] = useState(new Set())
+  const [busy, setBusy] = useState(false)
+
+  const queue = items.filter(item => !skipped.has(item.id))
+  const item = queue[0]
+
+  const handle = async (action) => {
+    if (busy) return
+    setBusy(true)
+    try {
+      await action()
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="h-full flex flex-col p-4">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold flex items-center gap-2">
+          <Inbox size={20} /> Triage
+        </h2>
+        <div className="flex items-center gap-3">
+          {item && <span className="text-sm text-slate-400">{queue.length} left</span>}
+          <button onClick={onClose} className="p-1 hover:bg-slate-800 rounded" title="Close">
+            <X size={20} />
+          </button>
+        </div>
+      </div>
+
+      {!item ? (
+        <div className="flex-1 flex flex-col items-center justify-center text-center gap-3">
+          <CheckCircle size={48} className="text-green-400" />
+          <p className="text-lg font-semibold">{skipped.size ? 'Nothing left to triage' : 'Inbox zero'}</p>
+          <p className="text-sm text-slate-400">
+            {skipped.size ? `${skipped.size} skipped items stay in the inbox` : 'Every item has a place'}
+          </p>
+          <button onClick={onClose} className="mt-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 rounded-xl font-medium">
+            Back to list
+          </button>
+        </div>
+      ) : (
+        <>
+          <SwipeRow
+            key={item.id}
+            className="rounded-xl mb-4"
+            right={{ label: 'Today', className: 'bg-green-700', onSwipe: () => handle(() => onMove(item, 'today')) }}
+            left={{ label: 'Someday', className: 'bg-slate-600', onSwipe: () => handle(() => onMove(item, 'someday')) }}
+          >
+            <div className="bg-slate-800 rounded-xl p-4 space-y-2 text-sm select-none">
+              <p className={`text-xs font-bold ${classificationColor[item.classification] || 'text-slate-400'}`}>
+                {item.classification}
+              </p>
+              <p className="text-base font-medium">{item.name}</p>
+              {item.what && <p className="text-slate-300">{item.what}</p>}
+              {item.why && <p className="text-slate-400"><span className="font-medium">Why:</span> {item.why}</p>}
+              {item.next_action && <p className="text-slate-400"><span className="font-medium">Next:</span> {item.next_action}</p>}
+            </div>
+          </SwipeRow>
+
+          <div className="grid grid-cols-3 gap-2 mb-2">
+            {MOVES.map(({ status, label, className }) => (
+              <button
+                key={status}
+                onClick={() => handle(() => onMove(item, status))}
+                disabled={busy}
+                className={`py-3 rounded-xl text-sm font-medium disabled:opacity-50 ${className}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <button
+              onClick={() => handle(() => onComplete(item))}
+              disabled={busy}
+              className="py-2 rounded-xl text-sm bg-slate-800 hover:bg-slate-700 disabled:opacity-50 flex items-center justify-center gap-2"
+            >
+              <CheckCircle size={16} /> Done
+            </button>
+            <button
+              onClick={() => setSkipped(prev => new Set(prev).add(item.id))}
+              disabled={busy}
+              className="py-2 rounded-xl text-sm bg-slate-800 hover:bg-slate-700 disabled:opacity-50 flex items-center justify-center gap-2"
+            >
+              <SkipForward size={16} /> Skip
+            </button>
+          </div>
+          <p className="text-xs text-slate-500 text-center mt-4">Swipe right for Today, left for Someday</p>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default Triage
@@ -0,0 +1,177 @@
+import { useState, useMemo, useEffect } from 'react'
+import { Loader, CheckCircle, AlertCircle } from 'lucide-react'
+import { CSV_FIELDS, guessCSVMapping, csvRowsToItems } from '../../lib/export'
+import { classifyBatches, classifyNames, fetchQuota } from '../../lib/ai'
+
+const CLASSIFICATIONS = ['SIGNAL', 'NECESSARY', 'NOISE']
+
+// Validation preview and import for parsed item lists. CSV sources
+// ({ headers, rows }) get a column-mapping step; text lists arrive parsed.
+const ItemImport = ({ source, onImport, onClose }) => {
+  const { headers, rows } = source
+  const [mapping, setMapping] = useState(() => (headers ? guessCSVMapping(headers) : null))
+  const [useAI, setUseAI] = useState(true)
+  const [fallback, setFallback] = useState('NECESSARY')
+  const [step, setStep] = useState(null)
+  const [result, setResult] = useState(null)
+  const [failure, setFailure] = useState('')
+  const [quota, setQuota] = useState(null)
+
+  const parsed = useMemo(
+    () => (headers ? csvRowsToItems(rows, mapping) : source.parsed),
+    [headers, rows, mapping, source.parsed]
+  )
+  const total = parsed.items.length + parsed.unclassified.length
+  // One AI request per batch, shown before the user commits to it
+  const aiCalls = useMemo(() => classifyBatches(parsed.unclassified.map(item => item.name)).length, [parsed.unclassified])
+  const overQuota = quota?.limit != null && aiCalls > quota.remaining
+
+  useEffect(() => {
+    if (!aiCalls) return
+    fetchQuota()
+      .then(setQuota)
+      .catch(err => console.warn('[Import] Quota unavailable:', err.message))
+  }, [aiCalls])
+
+  const handleImport = async () => {
+    setFailure('')
+    try {
+      let classified = parsed.unclassified.map(item => ({ ...item, classification: fallback }))
+      let aiClassified = 0
+
+      if (useAI && parsed.unclassified.length) {
+        setStep('Classifying with AI…')
+        const classifications = await classifyNames(parsed.unclassified.map(item => item.name))
+        classified = parsed.unclassified.map(item => ({
+          ...item,
+          classification: classifications.get(item.name) || fallback
+        }))
+        aiClassified = classifications.size
+      }
+
+      setStep('Importing…')
+      const imported = await onImport([...parsed.items, ...classified])
+      setResult({ ...imported, aiClassified })
+    } catch (err) {
+      console.error('[Import] Failed:', err)
+      setFailure(err.code === 'quota_exceeded'
+        ? 'Out of AI requests for today — turn off AI classification to import now'
+        : err.message || 'Import failed')
+    } finally {
+      setStep(null)
+    }
+  }
+
+  if (result) {
+    return (
+      <div className="space-y-3 text-sm">
+        <p className="flex items-center gap-2 text-green-300">
+          <CheckCircle size={18} />
+          Imported {result.added} items{result.aiClassified > 0 && `, ${result.aiClassified} classified by AI`}
+        </p>
+        {result.skipped.length > 0 && (
+          <div>
+            <p className="text-slate-400 mb-1">Skipped {result.skipped.length} items already on your list:</p>
+            <ul className="text-xs text-slate-500 space-y-0.5 max-h-32 overflow-y-auto">
+              {result.skipped.map((entry, i) => (
+                <li key={i}>{entry.name} → {entry.matchedName}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+        <button
+          onClick={onClose}
+          className="w-full py-3 bg-slate-700 hover:bg-slate-600 rounded-xl font-medium"
+        >
+          Done
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4 text-sm">
+      {headers && (
+        <div className="space-y-2">
+          <p className="text-xs text-slate-400 font-medium">Columns</p>
+          {CSV_FIELDS.map(({ key, label }) => (
+            <div key={key} className="flex items-center gap-2">
+              <span className="w-28 shrink-0 text-slate-300">{label}{key === 'name' && ' *'}</span>
+              <select
+                value={mapping[key]}
+                onChange={(e) => setMapping(prev => ({ ...prev, [key]: Number(e.target.value) }))}
+                className="flex-1 min-w-0 px-2 py-1 bg-slate-700 rounded text-xs"
+              >
+                <option value={-1}>(none)</option>
+                {headers.map((header, i) => (
+                  <option key={i} value={i}>{header || `Column ${i + 1}`}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="text-slate-400">
+        {headers ? `${total} of ${rows.length} rows ready` : `${total} items ready`}
+        {parsed.unclassified.length > 0 && ` • ${parsed.unclassified.length} without a classification`}
+      </p>
+
+      {parsed.errors.length > 0 && (
+        <div className="p-3 bg-yellow-900/30 border border-yellow-800 rounded-lg text-yellow-300">
+          <p className="flex items-center gap-2 mb-1">
+            <AlertCircle size={16} />
+            {parsed.errors.length} {headers ? 'rows' : 'lines'} will be skipped
+          </p>
+          <ul className="text-xs space-y-0.5 max-h-24 overflow-y-auto">
+            {parsed.errors.map((error, i) => <li key={i}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {parsed.unclassified.length > 0 && (
+        <div className="space-y-2">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={useAI}
+              onChange={(e) => setUseAI(e.target.checked)}
+              className="accent-blue-500"
+            />
+            Classify them with AI (uses {aiCalls} AI request{aiCalls === 1 ? '' : 's'}
+            {quota?.limit != null && ` of ${quota.remaining} left today`})
+          </label>
+          {useAI && overQuota && (
+            <p className="text-xs text-yellow-300">
+              That's more than you have left today — turn off AI classification to import now
+            </p>
+          )}
+          <label className="flex items-center gap-2">
+            <span className="text-slate-400">{useAI ? 'If AI can\'t decide' : 'Classify them as'}</span>
+            <select
+              value={fallback}
+              onChange={(e) => setFallback(e.target.value)}
+              className="px-2 py-1 bg-slate-700 rounded text-xs"
+            >
+              {CLASSIFICATIONS.map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {failure && (
+        <p className="p-3 bg-red-900/50 border border-red-700 rounded-lg text-red-300">{failure}</p>
+      )}
+
+      <button
+        onClick={handleImport}
+        disabled={!!step || total === 0}
+        className="w-full py-3 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded-xl font-medium flex items-center justify-center gap-2"
+      >
+        {step ? <><Loader className="animate-spin" size={18} /> {step}</> : `Import ${total} Items`}
+      </button>
+    </div>
+  )
+}
+
+export default ItemImport
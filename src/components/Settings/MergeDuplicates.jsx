@@ -0,0 +1,146 @@
+import { useState } from 'react'
+import { Merge, SkipForward, Loader } from 'lucide-react'
+import { format } from 'date-fns'
+
+const MERGE_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'classification', label: 'Classification' },
+  { key: 'what', label: 'What' },
+  { key: 'why', label: 'Why' },
+  { key: 'next_action', label: 'Next action' }
+]
+
+const classificationColor = {
+  SIGNAL: 'text-green-400',
+  NECESSARY: 'text-yellow-400',
+  NOISE: 'text-red-400'
+}
+
+// Default picks keep the survivor's values, falling back to the first copy that has one
+const defaultPicks = (group, survivorId) => {
+  const survivor = group.items.find(item => item.id === survivorId)
+  return Object.fromEntries(MERGE_FIELDS.map(({ key }) => {
+    const source = survivor[key] ? survivor : group.items.find(item => item[key]) || survivor
+    return [key, source.id]
+  }))
+}
+
+const DuplicateGroup = ({ group, onMerge, onSkip, busy }) => {
+  const [survivorId, setSurvivorId] = useState(group.items[0].id)
+  const [picks, setPicks] = useState(() => defaultPicks(group, group.items[0].id))
+
+  // Only fields where the copies disagree need a choice
+  const conflicts = MERGE_FIELDS.filter(({ key }) =>
+    new Set(group.items.map(item => item[key] || '')).size > 1
+  )
+
+  const handleSurvivor = (id) => {
+    setSurvivorId(id)
+    setPicks(defaultPicks(group, id))
+  }
+
+  const handleMerge = () => {
+    const survivor = group.items.find(item => item.id === survivorId)
+    const fields = {}
+    for (const { key } of MERGE_FIELDS) {
+      const value = group.items.find(item => item.id === picks[key])[key]
+      if (value !== survivor[key]) fields[key] = value
+    }
+    onMerge(survivorId, group.items.filter(item => item.id !== survivorId).map(item => item.id), fields)
+  }
+
+  return (
+    <div className="bg-slate-700/50 rounded-xl p-3 space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="text-xs text-slate-400">{group.items.length} similar items</p>
+        <span className="text-xs px-2 py-0.5 bg-slate-700 rounded-full">{Math.round(group.score * 100)}% match</span>
+      </div>
+
+      <div className="space-y-1">
+        <p className="text-xs text-slate-400 font-medium">Keep</p>
+        {group.items.map(item => (
+          <label key={item.id} className="flex items-center gap-2 text-sm">
+            <input
+              type="radio"
+              name={`survivor-${group.items[0].id}`}
+              checked={survivorId === item.id}
+              onChange={() => handleSurvivor(item.id)}
+              className="accent-blue-500"
+            />
+            <span className="flex-1 min-w-0 truncate">{item.name}</span>
+            <span className={`text-xs ${classificationColor[item.classification]}`}>{item.classification}</span>
+            {item.completed && <span className="text-xs text-slate-500">done</span>}
+            <span className="text-xs text-slate-500">{format(new Date(item.created_at), 'MMM d')}</span>
+          </label>
+        ))}
+      </div>
+
+      {conflicts.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-xs text-slate-400 font-medium">Merge fields</p>
+          {conflicts.map(({ key, label }) => (
+            <div key={key} className="flex items-center gap-2">
+              <span className="w-24 shrink-0 text-xs text-slate-400">{label}</span>
+              <select
+                value={picks[key]}
+                onChange={(e) => setPicks(prev => ({ ...prev, [key]: e.target.value }))}
+                className="flex-1 min-w-0 px-2 py-1 bg-slate-700 rounded text-xs"
+              >
+                {group.items.map(item => (
+                  <option key={item.id} value={item.id}>{item[key] || '(empty)'}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          onClick={handleMerge}
+          disabled={busy}
+          className="flex-1 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded-lg text-sm font-medium flex items-center justify-center gap-1"
+        >
+          {busy ? <Loader className="animate-spin" size={14} /> : <Merge size={14} />}
+          Merge {group.items.length - 1} into one
+        </button>
+        <button
+          onClick={onSkip}
+          disabled={busy}
+          className="px-3 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded-lg text-sm flex items-center gap-1"
+        >
+          <SkipForward size={14} />
+          Skip
+        </button>
+      </div>
+    </div>
+  )
+}
+
+// Review screen for candidate duplicate groups; nothing is deleted without a merge click
+const MergeDuplicates = ({ groups, onMerge, busy = false }) => {
+  const [skipped, setSkipped] = useState(new Set())
+
+  const groupKey = (group) => group.items.map(item => item.id).join(':')
+  const visible = groups.filter(group => !skipped.has(groupKey(group)))
+
+  if (!visible.length) {
+    return <p className="text-sm text-slate-400 text-center py-6">No duplicates found</p>
+  }
+
+  return (
+    <div className="space-y-3">
+      {visible.map(group => (
+        <DuplicateGroup
+          key={groupKey(group)}
+          group={group}
+          onMerge={onMerge}
+          onSkip={() => setSkipped(prev => new Set(prev).add(groupKey(group)))}
+          busy={busy}
+        />
+      ))}
+    </div>
+  )
+}
+
+export default MergeDuplicates
@@ -0,0 +1,165 @@
+import { useState } from 'react'
+import { Loader, CheckCircle, AlertCircle } from 'lucide-react'
+import { format } from 'date-fns'
+import { planRestore, restoreBackup } from '../../lib/backup'
+
+const STEPS = {
+  planning: 'Matching items against your list…',
+  restoring: 'Writing backup…',
+  refreshing: 'Refreshing…'
+}
+
+// Preview, options and report for restoring a validated backup
+const RestoreBackup = ({ backup, errors, existingItems, onRestored, onClose }) => {
+  const [mode, setMode] = useState('merge')
+  const [includeProfile, setIncludeProfile] = useState(false)
+  const [step, setStep] = useState(null)
+  const [report, setReport] = useState(null)
+  const [failure, setFailure] = useState('')
+
+  const handleRestore = async () => {
+    if (mode === 'replace' && !window.confirm('Replace deletes all current items, messages and events before restoring. Continue?')) {
+      return
+    }
+
+    setFailure('')
+    try {
+      setStep('planning')
+      const plan = planRestore(backup, existingItems, { mode, includeProfile })
+
+      setStep('restoring')
+      const counts = await restoreBackup(plan)
+
+      setStep('refreshing')
+      await onRestored(counts)
+
+      setReport({
+        ...counts,
+        skippedItems: plan.skipped,
+        skippedMessages: plan.messages.length - counts.messages,
+        skippedEvents: plan.events.length - counts.events
+      })
+    } catch (err) {
+      console.error('[Restore] Failed:', err)
+      setFailure(err.message || 'Restore failed')
+    } finally {
+      setStep(null)
+    }
+  }
+
+  const counts = [
+    ['Items', backup.items.length],
+    ['Messages', backup.messages.length],
+    ['Calendar events', backup.calendar_events.length]
+  ]
+
+  if (report) {
+    return (
+      <div className="space-y-3 text-sm">
+        <p className="flex items-center gap-2 text-green-300">
+          <CheckCircle size={18} />
+          Restored {report.items} items, {report.messages} messages, {report.events} events
+          {report.profile && ' and your profile'}
+        </p>
+        {report.skippedItems.length > 0 && (
+          <div>
+            <p className="text-slate-400 mb-1">Skipped {report.skippedItems.length} items already on your list:</p>
+            <ul className="text-xs text-slate-500 space-y-0.5 max-h-32 overflow-y-auto">
+              {report.skippedItems.map((entry, i) => (
+                <li key={i}>{entry.name} → {entry.matchedName}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {(report.skippedMessages > 0 || report.skippedEvents > 0) && (
+          <p className="text-slate-400">
+            Skipped {report.skippedMessages} messages and {report.skippedEvents} events that already existed
+          </p>
+        )}
+        {errors.length > 0 && (
+          <p className="text-yellow-300">{errors.length} invalid entries in the file were not restored</p>
+        )}
+        <button
+          onClick={onClose}
+          className="w-full py-3 bg-slate-700 hover:bg-slate-600 rounded-xl font-medium"
+        >
+          Done
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="grid grid-cols-3 gap-2 text-center">
+        {counts.map(([label, count]) => (
+          <div key={label} className="bg-slate-700 rounded-lg p-2">
+            <p className="text-lg font-bold">{count}</p>
+            <p className="text-xs text-slate-400">{label}</p>
+          </div>
+        ))}
+      </div>
+      {backup.exportedAt && (
+        <p className="text-xs text-slate-500 text-center">
+          Backup from {format(new Date(backup.exportedAt), 'MMM d, yyyy h:mm a')} • version {backup.version}
+        </p>
+      )}
+
+      {errors.length > 0 && (
+        <div className="p-3 bg-yellow-900/30 border border-yellow-800 rounded-lg text-yellow-300">
+          <p className="flex items-center gap-2 mb-1">
+            <AlertCircle size={16} />
+            {errors.length} invalid entries will be skipped
+          </p>
+          <ul className="text-xs space-y-0.5 max-h-24 overflow-y-auto">
+            {errors.map((error, i) => <li key={i}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <label className="flex items-start gap-2">
+          <input type="radio" checked={mode === 'merge'} onChange={() => setMode('merge')} className="mt-1 accent-blue-500" />
+          <span>
+            Merge
+            <span className="block text-xs text-slate-500">Add to your current data, skipping items you already have</span>
+          </span>
+        </label>
+        <label className="flex items-start gap-2">
+          <input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} className="mt-1 accent-blue-500" />
+          <span>
+            Replace
+            <span className="block text-xs text-slate-500">Delete current items, messages and events first</span>
+          </span>
+        </label>
+        {backup.profile && (
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={includeProfile}
+              onChange={(e) => setIncludeProfile(e.target.checked)}
+              className="accent-blue-500"
+            />
+            Also restore profile and settings
+          </label>
+        )}
+      </div>
+
+      {failure && (
+        <p className="p-3 bg-red-900/50 border border-red-700 rounded-lg text-red-300">
+          {failure}. Nothing was changed.
+        </p>
+      )}
+
+      <button
+        onClick={handleRestore}
+        disabled={!!step}
+        className="w-full py-3 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded-xl font-medium flex items-center justify-center gap-2"
+      >
+        {step ? <><Loader className="animate-spin" size={18} /> {STEPS[step]}</> : 'Restore Backup'}
+      </button>
+    </div>
+  )
+}
+
+export default RestoreBackup
@@ -1,36 +1,64 @@
-import { useState } from 'react'
-import { User, Download, Upload, MessageSquare, LogOut, ChevronRight, Loader, CheckCircle, AlertCircle, Trash2 } from 'lucide-react'
+import { useState, useMemo } from 'react'
+import { User, Download, Upload, MessageSquare, LogOut, ChevronRight, Loader, CheckCircle, AlertCircle, Merge, ListChecks, Sparkles, SlidersHorizontal, CalendarDays, Copy } from 'lucide-react'
 import { useAuth } from '../../hooks/useAuth'
 import { useItems } from '../../hooks/useItems'
 import { useMessages } from '../../hooks/useMessages'
 import { useFeedback } from '../../hooks/useFeedback'
-import { exportJSON, exportCSV, importJSON } from '../../lib/export'
+import { useUndo } from '../../hooks/useUndo'
+import { useCalendarFeed } from '../../hooks/useCalendarFeed'
+import { exportJSON, exportCSV, exportTodoTxt, exportMarkdown, importJSON, importCSV, importTextList } from '../../lib/export'
+import { DEFAULT_THRESHOLD } from '../../lib/similarity'
+import MergeDuplicates from './MergeDuplicates'
+import RestoreBackup from './RestoreBackup'
+import ItemImport from './ItemImport'
+import { fetchBackupData, validateBackup } from '../../lib/backup'
+import { workHours } from '../../lib/planner'
+
+// Workday hours beyond workday_start live in profile.settings
+const profileFormFor = (profile) => {
+  const { workdayStart, workdayEnd, signalWindowEnd } = workHours(profile)
+  return {
+    name: profile?.name || '',
+    role: profile?.role || '',
+    workday_start: workdayStart,
+    workday_end: workdayEnd,
+    signal_window_end: signalWindowEnd
+  }
+}
 
 const SettingsView = () => {
-  const { user, profile, signOut, updateProfile } = useAuth()
-  const { items, cleanupDuplicates } = useItems()
-  const { messages } = useMessages()
+  const { user, profile, signOut, updateProfile, refreshProfile } = useAuth()
+  const { items, importItems, findDuplicateGroups, mergeItems, cleanupNames, reload: reloadItems } = useItems()
+  const { record } = useUndo()
+  const calendarFeed = useCalendarFeed()
+  const { messages, reload: reloadMessages } = useMessages()
   const { submitFeedback } = useFeedback()
   
   const [activeSection, setActiveSection] = useState(null)
+  const [restore, setRestore] = useState(null)
+  const [itemImport, setItemImport] = useState(null)
   const [loading, setLoading] = useState(false)
   const [message, setMessage] = useState({ type: '', text: '' })
   
   // Profile edit state
   const [editingProfile, setEditingProfile] = useState(false)
-  const [profileForm, setProfileForm] = useState({
-    name: profile?.name || '',
-    role: profile?.role || '',
-    workday_start: profile?.workday_start || '08:00'
-  })
+  const [profileForm, setProfileForm] = useState(() => profileFormFor(profile))
   
   // Feedback state
   const [feedbackType, setFeedbackType] = useState('bug')
   const [feedbackMessage, setFeedbackMessage] = useState('')
 
-  const handleExportJSON = () => {
-    exportJSON({ items, messages, profile })
-    setMessage({ type: 'success', text: 'Backup exported!' })
+  const handleExportJSON = async () => {
+    try {
+      setLoading(true)
+      await exportJSON(await fetchBackupData(user.id, profile))
+      setMessage({ type: 'success', text: 'Backup exported!' })
+    } catch (err) {
+      console.error('[Settings] Export error:', err)
+      setMessage({ type: 'error', text: 'Export failed: ' + err.message })
+    } finally {
+      setLoading(false)
+    }
   }
 
   const handleExportCSV = () => {
@@ -38,28 +66,68 @@ const SettingsView = () => {
     setMessage({ type: 'success', text: 'Items exported to CSV!' })
   }
 
+  const handleExportTodoTxt = () => {
+    exportTodoTxt(items)
+    setMessage({ type: 'success', text: 'Items exported to todo.txt!' })
+  }
+
+  const handleExportMarkdown = () => {
+    exportMarkdown(items)
+    setMessage({ type: 'success', text: 'Items exported to Markdown!' })
+  }
+
   const handleImport = async (e) => {
     const file = e.target.files?.[0]
     if (!file) return
 
     try {
       setLoading(true)
-      const data = await importJSON(file)
-      setMessage({ type: 'success', text: `Imported ${data.items?.length || 0} items. Refresh to see changes.` })
+      setMessage({ type: '', text: '' })
+      if (/\.csv$/i.test(file.name)) {
+        setItemImport({ title: 'Import CSV', ...(await importCSV(file)) })
+        setActiveSection('import')
+      } else if (/\.(txt|md|markdown)$/i.test(file.name)) {
+        const parsed = await importTextList(file)
+        setItemImport({ title: /\.txt$/i.test(file.name) ? 'Import todo.txt' : 'Import Checklist', parsed })
+        setActiveSection('import')
+      } else {
+        setRestore(await validateBackup(await importJSON(file)))
+        setActiveSection('restore')
+      }
     } catch (err) {
-      setMessage({ type: 'error', text: 'Failed to import file' })
+      setMessage({ type: 'error', text: `Can't import ${file.name}: ${err.message}` })
     } finally {
       setLoading(false)
       e.target.value = ''
     }
   }
 
+  const handleImportItems = async (incoming) => {
+    const result = await importItems(incoming)
+    if (result.added) record(`Import ${result.added} items`, result.changeset)
+    return result
+  }
+
+  // Pull restored rows into the open views
+  const handleRestored = async (counts) => {
+    try {
+      await Promise.all([
+        reloadItems(true),
+        reloadMessages(),
+        counts.profile && refreshProfile()
+      ])
+    } catch (err) {
+      console.error('[Settings] Refresh after restore failed:', err)
+    }
+  }
+
   const handleUpdateProfile = async () => {
     setMessage({ type: '', text: '' })
     try {
       setLoading(true)
       console.log('Saving profile:', profileForm)
-      await updateProfile(profileForm)
+      const { workday_end, signal_window_end, ...fields } = profileForm
+      await updateProfile({ ...fields, settings: { ...profile?.settings, workday_end, signal_window_end } })
       console.log('Profile saved successfully')
       setEditingProfile(false)
       setActiveSection(null)
@@ -103,21 +171,71 @@ const SettingsView = () => {
     }
   }
 
-  const handleCleanupDuplicates = async () => {
-    if (window.confirm('This will remove duplicate items and clean up names. Continue?')) {
-      try {
-        setLoading(true)
-        const result = await cleanupDuplicates()
-        setMessage({ 
-          type: 'success', 
-          text: `Cleanup complete! Removed ${result.removed} duplicates, cleaned ${result.renamed || 0} names.` 
-        })
-      } catch (err) {
-        console.error('[Settings] Cleanup error:', err)
-        setMessage({ type: 'error', text: 'Cleanup failed: ' + err.message })
-      } finally {
-        setLoading(false)
-      }
+  // Save one key in profile.settings
+  const handleToggleSetting = async (key) => {
+    const settings = profile?.settings || {}
+    try {
+      await updateProfile({ settings: { ...settings, [key]: !settings[key] } })
+    } catch (err) {
+      console.error('[Settings] Setting update error:', err)
+      setMessage({ type: 'error', text: 'Failed to save setting' })
+    }
+  }
+
+  const handleThresholdChange = async (value) => {
+    try {
+      await updateProfile({ settings: { ...(profile?.settings || {}), duplicate_threshold: value } })
+    } catch (err) {
+      console.error('[Settings] Setting update error:', err)
+      setMessage({ type: 'error', text: 'Failed to save setting' })
+    }
+  }
+
+  const handleFeedAction = async (action, confirmText, successText) => {
+    if (confirmText && !window.confirm(confirmText)) return
+    try {
+      await action()
+      setMessage({ type: 'success', text: successText })
+    } catch (err) {
+      setMessage({ type: 'error', text: 'Calendar feed update failed: ' + err.message })
+    }
+  }
+
+  const handleCopyFeedUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(calendarFeed.feedUrl)
+      setMessage({ type: 'success', text: 'Feed link copied' })
+    } catch (err) {
+      setMessage({ type: 'error', text: 'Copy failed — select the link and copy it manually' })
+    }
+  }
+
+  const handleMerge = async (survivorId, duplicateIds, fields) => {
+    try {
+      setLoading(true)
+      const survivor = items.find(item => item.id === survivorId)
+      const changeset = await mergeItems(survivorId, duplicateIds, fields)
+      record(`Merge into "${fields.name || survivor?.name}"`, changeset)
+      setMessage({ type: 'success', text: `Merged ${duplicateIds.length} duplicate${duplicateIds.length === 1 ? '' : 's'}` })
+    } catch (err) {
+      console.error('[Settings] Merge error:', err)
+      setMessage({ type: 'error', text: 'Merge failed: ' + err.message })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleCleanupNames = async () => {
+    try {
+      setLoading(true)
+      const result = await cleanupNames()
+      if (result.changeset) record(`Clean ${result.renamed} names`, result.changeset)
+      setMessage({ type: 'success', text: `Cleaned ${result.renamed} names` })
+    } catch (err) {
+      console.error('[Settings] Cleanup error:', err)
+      setMessage({ type: 'error', text: 'Cleanup failed: ' + err.message })
+    } finally {
+      setLoading(false)
     }
   }
 
@@ -134,6 +252,32 @@ const SettingsView = () => {
     </button>
   )
 
+  const duplicateThreshold = profile?.settings?.duplicate_threshold ?? DEFAULT_THRESHOLD
+  const duplicateGroups = useMemo(
+    () => activeSection === 'merge' ? findDuplicateGroups(duplicateThreshold) : [],
+    [activeSection, findDuplicateGroups, duplicateThreshold]
+  )
+
+  const ToggleItem = ({ icon: Icon, label, description, checked, onToggle }) => (
+    <button
+      onClick={onToggle}
+      role="switch"
+      aria-checked={checked}
+      className="w-full flex items-center justify-between p-4 hover:bg-slate-800 rounded-xl text-left"
+    >
+      <div className="flex items-center gap-3">
+        <Icon size={20} />
+        <div>
+          <span>{label}</span>
+          {description && <p className="text-xs text-slate-500">{description}</p>}
+        </div>
+      </div>
+      <div className={`w-10 h-6 rounded-full p-1 transition-colors ${checked ? 'bg-blue-600' : 'bg-slate-600'}`}>
+        <div className={`w-4 h-4 bg-white rounded-full transition-transform ${checked ? 'translate-x-4' : ''}`} />
+      </div>
+    </button>
+  )
+
   return (
     <div className="h-full overflow-y-auto p-4">
       {/* Status message */}
@@ -176,15 +320,44 @@ const SettingsView = () => {
             icon={User} 
             label="Edit Profile" 
             onClick={() => {
-              setProfileForm({
-                name: profile?.name || '',
-                role: profile?.role || '',
-                workday_start: profile?.workday_start || '08:00'
-              })
+              setProfileForm(profileFormFor(profile))
               setEditingProfile(true)
               setActiveSection('profile')
             }} 
           />
+          <ToggleItem
+            icon={ListChecks}
+            label="Review AI Changes"
+            description="Approve new items and reclassifications before they're saved"
+            checked={!!profile?.settings?.review_ai_changes}
+            onToggle={() => handleToggleSetting('review_ai_changes')}
+          />
+          <ToggleItem
+            icon={Sparkles}
+            label="Semantic Matching"
+            description="Use embeddings to catch reworded duplicates (if enabled on the server)"
+            checked={!!profile?.settings?.semantic_matching}
+            onToggle={() => handleToggleSetting('semantic_matching')}
+          />
+          <div className="p-4 rounded-xl">
+            <div className="flex items-center gap-3 mb-2">
+              <SlidersHorizontal size={20} />
+              <label htmlFor="duplicate-threshold" className="flex-1">Duplicate Sensitivity</label>
+              <span className="text-sm text-slate-400">{Math.round(duplicateThreshold * 100)}%</span>
+            </div>
+            <input
+              id="duplicate-threshold"
+              type="range"
+              min="0.5"
+              max="0.95"
+              step="0.05"
+              defaultValue={duplicateThreshold}
+              onPointerUp={(e) => handleThresholdChange(parseFloat(e.target.value))}
+              onKeyUp={(e) => handleThresholdChange(parseFloat(e.target.value))}
+              className="w-full accent-blue-600"
+            />
+            <p className="text-xs text-slate-500">Lower catches more duplicates, higher only near-identical names</p>
+          </div>
           <MenuItem 
             icon={Download} 
             label="Export Data" 
@@ -192,25 +365,30 @@ const SettingsView = () => {
           />
           <MenuItem 
             icon={Upload} 
-            label="Import Backup" 
+            label="Import Data" 
             onClick={() => document.getElementById('import-file').click()} 
           />
           <input
             id="import-file"
             type="file"
-            accept=".json"
+            accept=".json,.csv,.txt,.md,.markdown"
             onChange={handleImport}
             className="hidden"
           />
+          <MenuItem 
+            icon={CalendarDays} 
+            label="Calendar Feed" 
+            onClick={() => setActiveSection('feed')} 
+          />
           <MenuItem 
             icon={MessageSquare} 
             label="Report a Problem" 
             onClick={() => setActiveSection('feedback')} 
           />
           <MenuItem 
-            icon={Trash2} 
-            label="Clean Up Duplicates" 
-            onClick={handleCleanupDuplicates} 
+            icon={Merge} 
+            label="Merge Duplicates" 
+            onClick={() => setActiveSection('merge')} 
           />
           <div className="pt-4 border-t border-slate-700 mt-4">
             <MenuItem 
@@ -264,6 +442,26 @@ const SettingsView = () => {
                 className="w-full p-3 bg-slate-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
               />
             </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm text-slate-400 mb-2">Signal Window Ends</label>
+                <input
+                  type="time"
+                  value={profileForm.signal_window_end}
+                  onChange={(e) => setProfileForm({ ...profileForm, signal_window_end: e.target.value })}
+                  className="w-full p-3 bg-slate-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm text-slate-400 mb-2">Workday End</label>
+                <input
+                  type="time"
+                  value={profileForm.workday_end}
+                  onChange={(e) => setProfileForm({ ...profileForm, workday_end: e.target.value })}
+                  className="w-full p-3 bg-slate-700 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            </div>
             <button
               onClick={handleUpdateProfile}
               disabled={loading}
@@ -303,6 +501,20 @@ const SettingsView = () => {
               <p className="font-medium">Items Only (CSV)</p>
               <p className="text-sm text-slate-400">Open in Excel or Google Sheets</p>
             </button>
+            <button
+              onClick={handleExportTodoTxt}
+              className="w-full p-4 bg-slate-700 hover:bg-slate-600 rounded-xl text-left"
+            >
+              <p className="font-medium">todo.txt</p>
+              <p className="text-sm text-slate-400">Priorities A/B/C for Signal, Necessary, Noise</p>
+            </button>
+            <button
+              onClick={handleExportMarkdown}
+              className="w-full p-4 bg-slate-700 hover:bg-slate-600 rounded-xl text-left"
+            >
+              <p className="font-medium">Markdown Checklist</p>
+              <p className="text-sm text-slate-400">One section per classification</p>
+            </button>
           </div>
 
           <p className="text-xs text-slate-500 mt-4 text-center">
@@ -311,6 +523,155 @@ const SettingsView = () => {
         </div>
       )}
 
+      {/* Calendar feed */}
+      {activeSection === 'feed' && (
+        <div className="bg-slate-800 rounded-xl p-4">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="font-semibold">Calendar Feed</h3>
+            <button 
+              onClick={() => setActiveSection(null)}
+              className="text-slate-400 hover:text-white"
+            >
+              ×
+            </button>
+          </div>
+
+          <p className="text-sm text-slate-400 mb-4">
+            Subscribe to this link in Google Calendar, Outlook or Apple Calendar to see your time blocks there. Anyone with the link can view your events.
+          </p>
+
+          {calendarFeed.feedUrl ? (
+            <div className="space-y-3">
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  readOnly
+                  value={calendarFeed.feedUrl}
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 min-w-0 p-3 bg-slate-700 rounded-xl text-xs"
+                />
+                <button
+                  onClick={handleCopyFeedUrl}
+                  className="p-3 bg-slate-700 hover:bg-slate-600 rounded-xl"
+                  title="Copy link"
+                >
+                  <Copy size={16} />
+                </button>
+              </div>
+              <a
+                href={calendarFeed.webcalUrl}
+                className="block w-full py-3 bg-blue-600 hover:bg-blue-700 rounded-xl font-medium text-center"
+              >
+                Open in Calendar App
+              </a>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleFeedAction(calendarFeed.rotate, 'Reset the link? Existing subscriptions will stop updating.', 'New feed link created')}
+                  disabled={calendarFeed.busy}
+                  className="flex-1 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded-lg text-sm"
+                >
+                  Reset Link
+                </button>
+                <button
+                  onClick={() => handleFeedAction(calendarFeed.revoke, 'Turn off the feed? Existing subscriptions will stop updating.', 'Calendar feed turned off')}
+                  disabled={calendarFeed.busy}
+                  className="flex-1 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded-lg text-sm text-red-400"
+                >
+                  Turn Off
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              onClick={() => handleFeedAction(calendarFeed.rotate, null, 'Calendar feed link created')}
+              disabled={calendarFeed.busy}
+              className="w-full py-3 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded-xl font-medium flex items-center justify-center gap-2"
+            >
+              {calendarFeed.busy ? <Loader className="animate-spin" size={18} /> : 'Create Feed Link'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Backup restore */}
+      {activeSection === 'restore' && restore && (
+        <div className="bg-slate-800 rounded-xl p-4">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="font-semibold">Restore Backup</h3>
+            <button 
+              onClick={() => setActiveSection(null)}
+              className="text-slate-400 hover:text-white"
+            >
+              ×
+            </button>
+          </div>
+
+          <RestoreBackup
+            backup={restore.backup}
+            errors={restore.errors}
+            existingItems={items}
+            onRestored={handleRestored}
+            onClose={() => {
+              setRestore(null)
+              setActiveSection(null)
+            }}
+          />
+        </div>
+      )}
+
+      {/* CSV, todo.txt and Markdown import */}
+      {activeSection === 'import' && itemImport && (
+        <div className="bg-slate-800 rounded-xl p-4">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="font-semibold">{itemImport.title}</h3>
+            <button 
+              onClick={() => setActiveSection(null)}
+              className="text-slate-400 hover:text-white"
+            >
+              ×
+            </button>
+          </div>
+
+          <ItemImport
+            source={itemImport}
+            onImport={handleImportItems}
+            onClose={() => {
+              setItemImport(null)
+              setActiveSection(null)
+            }}
+          />
+        </div>
+      )}
+
+      {/* Duplicate merge review */}
+      {activeSection === 'merge' && (
+        <div className="bg-slate-800 rounded-xl p-4">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="font-semibold">Merge Duplicates</h3>
+            <button 
+              onClick={() => setActiveSection(null)}
+              className="text-slate-400 hover:text-white"
+            >
+              ×
+            </button>
+          </div>
+
+          <MergeDuplicates
+            groups={duplicateGroups}
+            onMerge={handleMerge}
+            busy={loading}
+          />
+
+          <button
+            onClick={handleCleanupNames}
+            disabled={loading}
+            className="w-full mt-4 py-2 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded-lg text-sm"
+          >
+            Strip "Signal:" style prefixes from names
+          </button>
+        </div>
+      )}
+
       {/* Feedback form */}
       {activeSection === 'feedback' && (
         <div className="bg-slate-800 rounded-xl p-4">
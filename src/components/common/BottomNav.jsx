@@ -1,9 +1,10 @@
 import { MessageCircle, List, Calendar, Settings } from 'lucide-react'
 
-const BottomNav = ({ activeView, onViewChange, signalCount = 0 }) => {
+// The list badge counts signals, or in red the items overdue or due today
+const BottomNav = ({ activeView, onViewChange, signalCount = 0, dueCount = 0 }) => {
   const tabs = [
     { id: 'chat', icon: MessageCircle, label: 'Chat' },
-    { id: 'list', icon: List, label: 'List', badge: signalCount },
+    { id: 'list', icon: List, label: 'List', badge: dueCount || signalCount, urgent: dueCount > 0 },
     { id: 'calendar', icon: Calendar, label: 'Calendar' },
     { id: 'settings', icon: Settings, label: 'Settings' }
   ]
@@ -26,7 +27,7 @@ const BottomNav = ({ activeView, onViewChange, signalCount = 0 }) => {
               <div className="relative">
                 <Icon size={22} />
                 {tab.badge > 0 && (
-                  <span className="absolute -top-1 -right-2 w-4 h-4 bg-green-500 rounded-full text-[10px] flex items-center justify-center text-white font-bold">
+                  <span className={`absolute -top-1 -right-2 w-4 h-4 ${tab.urgent ? 'bg-red-500' : 'bg-green-500'} rounded-full text-[10px] flex items-center justify-center text-white font-bold`}>
                     {tab.badge > 9 ? '9+' : tab.badge}
                   </span>
                 )}
@@ -13,6 +13,13 @@ import { supabase } from '../lib/supabase'
 
 const AuthContext = createContext({})
 
+// settings.timezone is the zone chat, quick add and the calendar feed read dates in.
+// Every profile gets one when it's created or saved; a zone already set is kept.
+const withTimezone = (settings) => ({
+  ...settings,
+  timezone: settings?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone
+})
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null)
   const [profile, setProfile] = useState(null)
@@ -34,7 +41,16 @@ export const AuthProvider = ({ children }) => {
 
       if (existing) {
         console.log('[Auth] Profile found')
-        return existing
+        if (existing.settings?.timezone) return existing
+
+        // Profiles saved before the zone was recorded
+        const { data: updated } = await supabase
+          .from('users')
+          .update({ settings: withTimezone(existing.settings) })
+          .eq('id', authUser.id)
+          .select()
+          .single()
+        return updated || existing
       }
 
       // Create new profile if not found (PGRST116 = not found)
@@ -45,6 +61,7 @@ export const AuthProvider = ({ children }) => {
           .insert({
             id: authUser.id,
             email: authUser.email,
+            settings: withTimezone({}),
             onboarding_completed: false,
             created_at: new Date().toISOString()
           })
@@ -218,6 +235,7 @@ export const AuthProvider = ({ children }) => {
         id: user.id,
         email: user.email,
         ...profileData,
+        settings: withTimezone({ ...profile?.settings, ...profileData.settings }),
         onboarding_completed: true,
         updated_at: new Date().toISOString()
       })
@@ -233,7 +251,7 @@ export const AuthProvider = ({ children }) => {
     setProfile(data)
     setNeedsOnboarding(false)
     return data
-  }, [user])
+  }, [user, profile])
 
   // Update profile
   const updateProfile = useCallback(async (updates) => {
@@ -245,6 +263,7 @@ export const AuthProvider = ({ children }) => {
       .from('users')
       .update({
         ...updates,
+        ...(updates.settings && { settings: withTimezone(updates.settings) }),
         updated_at: new Date().toISOString()
       })
       .eq('id', user.id)
@@ -261,6 +280,25 @@ export const AuthProvider = ({ children }) => {
     return data
   }, [user])
 
+  // Re-read the profile after it changed server-side (e.g. a backup restore)
+  const refreshProfile = useCallback(async () => {
+    if (!user) throw new Error('Not authenticated')
+
+    const { data, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', user.id)
+      .single()
+
+    if (error) {
+      console.error('[Auth] Refresh error:', error)
+      throw error
+    }
+
+    setProfile(data)
+    return data
+  }, [user])
+
   const value = {
     user,
     profile,
@@ -271,7 +309,8 @@ export const AuthProvider = ({ children }) => {
     signIn,
     signOut,
     completeOnboarding,
-    updateProfile
+    updateProfile,
+    refreshProfile
   }
 
   return (
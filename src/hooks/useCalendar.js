@@ -1,41 +1,53 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useMemo } from 'react'
 import { supabase } from '../lib/supabase'
 import { useAuth } from './useAuth'
 import { startOfMonth, endOfMonth, startOfWeek, endOfWeek, addMonths } from 'date-fns'
+import { ownEventId } from '../lib/ics'
+import { expandEvents, splitSeries } from '../lib/recurrence'
 
 export const useCalendar = () => {
   const { user } = useAuth()
-  const [events, setEvents] = useState([])
+  // Stored rows; recurring series are expanded into `events` below
+  const [records, setRecords] = useState([])
   const [loading, setLoading] = useState(true)
   const [currentMonth, setCurrentMonth] = useState(new Date())
 
-  // Load events for visible range
+  // Loaded range: current month plus buffer. Week and day views move
+  // currentMonth to the date they show, so only a new month reloads.
+  const monthStart = startOfMonth(currentMonth).getTime()
+  const range = useMemo(() => ({
+    from: startOfWeek(startOfMonth(addMonths(monthStart, -1))),
+    to: endOfWeek(endOfMonth(addMonths(monthStart, 1)))
+  }), [monthStart])
+
+  const events = useMemo(() => expandEvents(records, range), [records, range])
+
+  // Load events for visible range, plus every series that started before its end
   const loadEvents = useCallback(async () => {
     if (!user) return
 
     try {
       setLoading(true)
       
-      // Get range: current month plus buffer
-      const start = startOfWeek(startOfMonth(addMonths(currentMonth, -1)))
-      const end = endOfWeek(endOfMonth(addMonths(currentMonth, 1)))
+      const start = range.from.toISOString()
+      const end = range.to.toISOString()
 
       const { data, error } = await supabase
         .from('calendar_events')
         .select('*')
         .eq('user_id', user.id)
-        .gte('start_time', start.toISOString())
-        .lte('start_time', end.toISOString())
+        .lte('start_time', end)
+        .or(`start_time.gte.${start},recurrence_rule.not.is.null`)
         .order('start_time', { ascending: true })
 
       if (error) throw error
-      setEvents(data || [])
+      setRecords(data || [])
     } catch (err) {
       console.error('Error loading events:', err)
     } finally {
       setLoading(false)
     }
-  }, [user, currentMonth])
+  }, [user, range])
 
   useEffect(() => {
     loadEvents()
@@ -59,7 +71,7 @@ export const useCalendar = () => {
         .single()
 
       if (error) throw error
-      setEvents(prev => [...prev, data].sort((a, b) => 
+      setRecords(prev => [...prev, data].sort((a, b) => 
         new Date(a.start_time) - new Date(b.start_time)
       ))
       return data
@@ -70,14 +82,15 @@ export const useCalendar = () => {
   }
 
   // Create event from item (signal → time block)
-  const createEventFromItem = async (item, startTime, endTime) => {
+  const createEventFromItem = async (item, startTime, endTime, recurrenceRule = null) => {
     return addEvent({
       item_id: item.id,
       title: item.name,
       description: item.what || item.next_action || '',
       start_time: startTime.toISOString(),
       end_time: endTime.toISOString(),
-      all_day: false
+      all_day: false,
+      recurrence_rule: recurrenceRule
     })
   }
 
@@ -98,7 +111,7 @@ export const useCalendar = () => {
         .single()
 
       if (error) throw error
-      setEvents(prev => prev.map(e => e.id === id ? data : e))
+      setRecords(prev => prev.map(e => e.id === id ? data : e))
       return data
     } catch (err) {
       console.error('Error updating event:', err)
@@ -110,7 +123,7 @@ export const useCalendar = () => {
   const deleteEvent = async (id) => {
     if (!user) return
 
-    setEvents(prev => prev.filter(e => e.id !== id))
+    setRecords(prev => prev.filter(e => e.id !== id && e.recurrence_parent_id !== id))
 
     try {
       const { error } = await supabase
@@ -127,6 +140,209 @@ export const useCalendar = () => {
     }
   }
 
+  // The stored series behind an occurrence (expanded, or edited on its own) and which occurrence it is
+  const seriesOf = (event) => {
+    const seriesId = event.series_id || event.recurrence_parent_id
+    const series = records.find(e => e.id === seriesId)
+    if (!series) throw new Error('This event no longer repeats')
+    return { series, at: event.occurrence_start || event.recurrence_original_start }
+  }
+
+  /**
+   * Edit an occurrence of a recurring event. scope 'this' stores it as its own
+   * row replacing that occurrence; 'following' ends the series before it and
+   * starts a new one from it with the updates applied.
+   */
+  const updateOccurrence = async (occurrence, updates, scope = 'this') => {
+    if (!user) throw new Error('Not authenticated')
+
+    const { series, at } = seriesOf(occurrence)
+    const { recurrence_rule: rule, ...changes } = updates
+
+    try {
+      if (scope === 'this') {
+        if (occurrence.recurrence_parent_id) return await updateEvent(occurrence.id, changes)
+        return await addEvent({
+          item_id: series.item_id,
+          title: series.title,
+          description: series.description,
+          start_time: occurrence.start_time,
+          end_time: occurrence.end_time,
+          all_day: series.all_day,
+          ...changes,
+          recurrence_parent_id: series.id,
+          recurrence_original_start: at
+        })
+      }
+
+      const { head, tail } = splitSeries(series, at)
+      if (!head) return await updateEvent(series.id, updates)
+
+      const split = Date.parse(at)
+      const { data, error } = await supabase
+        .from('calendar_events')
+        .insert({
+          user_id: user.id,
+          item_id: series.item_id,
+          title: series.title,
+          description: series.description,
+          start_time: occurrence.start_time,
+          end_time: occurrence.end_time,
+          all_day: series.all_day,
+          recurrence_rule: rule === undefined ? tail : rule,
+          recurrence_exdates: series.recurrence_exdates.filter(date => Date.parse(date) >= split),
+          ...changes
+        })
+        .select()
+        .single()
+      if (error) throw error
+
+      const { error: seriesError } = await supabase
+        .from('calendar_events')
+        .update({
+          recurrence_rule: head,
+          recurrence_exdates: series.recurrence_exdates.filter(date => Date.parse(date) < split),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', series.id)
+        .eq('user_id', user.id)
+      if (seriesError) throw seriesError
+
+      // Occurrences edited on their own move to the new series
+      const { error: overridesError } = await supabase
+        .from('calendar_events')
+        .update({ recurrence_parent_id: data.id })
+        .eq('recurrence_parent_id', series.id)
+        .gte('recurrence_original_start', new Date(split).toISOString())
+        .eq('user_id', user.id)
+      if (overridesError) throw overridesError
+
+      return data
+    } catch (err) {
+      console.error('Error updating occurrence:', err)
+      throw err
+    } finally {
+      await loadEvents()
+    }
+  }
+
+  // Delete one occurrence ('this') or it and every later one ('following')
+  const deleteOccurrence = async (occurrence, scope = 'this') => {
+    if (!user) return
+
+    const { series, at } = seriesOf(occurrence)
+    const split = Date.parse(at)
+
+    try {
+      if (scope === 'following') {
+        const { head } = splitSeries(series, at)
+        if (!head) return await deleteEvent(series.id)
+
+        const { error } = await supabase
+          .from('calendar_events')
+          .delete()
+          .eq('recurrence_parent_id', series.id)
+          .gte('recurrence_original_start', new Date(split).toISOString())
+          .eq('user_id', user.id)
+        if (error) throw error
+
+        await updateEvent(series.id, {
+          recurrence_rule: head,
+          recurrence_exdates: series.recurrence_exdates.filter(date => Date.parse(date) < split)
+        })
+        return
+      }
+
+      if (occurrence.recurrence_parent_id) await deleteEvent(occurrence.id)
+      await updateEvent(series.id, { recurrence_exdates: [...series.recurrence_exdates, at] })
+    } catch (err) {
+      console.error('Error deleting occurrence:', err)
+      loadEvents()
+      throw err
+    }
+  }
+
+  /**
+   * Match parsed .ics rows (see lib/ics parseCalendar) against stored events.
+   * Keys seen in an earlier import, and UIDs from our own export, become
+   * updates; the rest are new. Occurrences of re-imported recurring events
+   * inside the window that are no longer in the file are marked stale.
+   */
+  const previewImport = async ({ events: parsed, window }) => {
+    if (!user) throw new Error('Not authenticated')
+
+    const { data, error } = await supabase
+      .from('calendar_events')
+      .select('id, external_uid, start_time')
+      .eq('user_id', user.id)
+    if (error) throw error
+
+    const byKey = new Map(data.filter(e => e.external_uid).map(e => [e.external_uid, e.id]))
+    const ids = new Set(data.map(e => e.id))
+
+    const rows = parsed.map(event => {
+      const ownId = ownEventId(event.key)
+      const id = byKey.get(event.key) || (ids.has(ownId) ? ownId : null)
+      return {
+        id: id || crypto.randomUUID(),
+        isNew: !id,
+        external_uid: id && id === ownId ? null : event.key,
+        title: event.title,
+        description: event.description,
+        start_time: event.start_time,
+        end_time: event.end_time,
+        all_day: event.all_day
+      }
+    })
+
+    const keys = new Set(parsed.map(e => e.key))
+    const recurringUids = new Set(parsed.filter(e => e.recurring).map(e => e.uid))
+    const stale = data.filter(e => {
+      if (!e.external_uid || keys.has(e.external_uid)) return false
+      const uid = e.external_uid.slice(0, e.external_uid.lastIndexOf('/'))
+      const start = new Date(e.start_time).getTime()
+      return recurringUids.has(uid) && start >= window.from && start <= window.to
+    })
+
+    return {
+      rows,
+      added: rows.filter(r => r.isNew).length,
+      updated: rows.filter(r => !r.isNew).length,
+      staleIds: stale.map(e => e.id)
+    }
+  }
+
+  // Write a previewImport result
+  const importEvents = async ({ rows, staleIds }) => {
+    if (!user) throw new Error('Not authenticated')
+
+    console.log('[Calendar] Importing', rows.length, 'events,', staleIds.length, 'stale')
+
+    try {
+      if (rows.length) {
+        const { error } = await supabase
+          .from('calendar_events')
+          .upsert(rows.map(({ isNew, ...row }) => ({
+            ...row,
+            user_id: user.id,
+            updated_at: new Date().toISOString()
+          })))
+        if (error) throw error
+      }
+
+      if (staleIds.length) {
+        const { error } = await supabase
+          .from('calendar_events')
+          .delete()
+          .in('id', staleIds)
+          .eq('user_id', user.id)
+        if (error) throw error
+      }
+    } finally {
+      await loadEvents()
+    }
+  }
+
   // Get events for a specific date
   const getEventsForDate = (date) => {
     const dateStr = date.toISOString().split('T')[0]
@@ -135,6 +351,7 @@ export const useCalendar = () => {
 
   return {
     events,
+    records,
     loading,
     currentMonth,
     setCurrentMonth,
@@ -142,6 +359,10 @@ export const useCalendar = () => {
     createEventFromItem,
     updateEvent,
     deleteEvent,
+    updateOccurrence,
+    deleteOccurrence,
+    previewImport,
+    importEvents,
     getEventsForDate,
     reload: loadEvents
   }
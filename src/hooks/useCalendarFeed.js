@@ -0,0 +1,37 @@
+import { useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { useAuth } from './useAuth'
+
+// Manage the subscribable /api/calendar/<token>.ics feed link
+export const useCalendarFeed = () => {
+  const { profile, refreshProfile } = useAuth()
+  const [busy, setBusy] = useState(false)
+
+  const token = profile?.calendar_token
+  const feedUrl = token ? `${window.location.origin}/api/calendar/${token}.ics` : null
+
+  const run = async (rpc) => {
+    try {
+      setBusy(true)
+      const { error } = await supabase.rpc(rpc)
+      if (error) throw error
+
+      // Re-read the profile for the new token
+      await refreshProfile()
+    } catch (err) {
+      console.error('[CalendarFeed] Error:', err)
+      throw err
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return {
+    feedUrl,
+    webcalUrl: feedUrl?.replace(/^https?:/, 'webcal:'),
+    busy,
+    // Creating and resetting are the same: a fresh token invalidates the old link
+    rotate: () => run('rotate_calendar_token'),
+    revoke: () => run('revoke_calendar_token')
+  }
+}
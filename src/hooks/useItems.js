@@ -5,22 +5,20 @@
  * - Optimistic updates with rollback
  * - Real-time sync across devices
  * - Proper error boundaries
- * - Deduplication and cleanup utilities
+ * - Duplicate detection and field-by-field merging
+ * - Reversible changesets for undo/redo
+ * - Status kept in step with completion (see lib/status)
+ * - Checklists of steps on items (see lib/checklist)
  */
 
 import { useState, useEffect, useCallback, useRef } from 'react'
 import { supabase } from '../lib/supabase'
 import { useAuth } from './useAuth'
-
-// Normalize name for comparison
-const normalizeName = (name) => {
-  return name
-    .toLowerCase()
-    .replace(/^(signal|necessary|noise)[:\s]*/i, '')
-    .replace(/[^\w\s]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim()
-}
+import { updatesChangeset, insertsChangeset, deletesChangeset, mergeChangesets } from '../lib/changeset'
+import { createSimilarityEngine } from '../lib/similarity'
+import { nextOccurrence } from '../lib/recurrence'
+import { withStatus, bucketOf } from '../lib/status'
+import { normalizeChecklist, resetChecklist } from '../lib/checklist'
 
 export const useItems = () => {
   const { user } = useAuth()
@@ -144,6 +142,10 @@ export const useItems = () => {
       what: item.what || null,
       why: item.why || null,
       next_action: item.next_action || null,
+      due_at: item.due_at || null,
+      estimate_minutes: item.estimate_minutes || null,
+      energy: item.energy || null,
+      checklist: normalizeChecklist(item.checklist),
       user_id: user.id,
       status: 'inbox',
       completed: false,
@@ -190,13 +192,15 @@ export const useItems = () => {
   }, [user])
 
   // Update multiple items (batch)
-  const updateItems = useCallback(async (updates) => {
-    if (!user || !updates?.length) return
+  const updateItems = useCallback(async (changes) => {
+    if (!user || !changes?.length) return
+    const updates = changes.map(({ id, ...fields }) => ({ id, ...withStatus(fields) }))
 
     console.log('[Items] Batch updating', updates.length, 'items')
 
     // Optimistic update
     const previousItems = [...items]
+    const changeset = updatesChangeset(updates, items)
     setItems(prev => prev.map(item => {
       const update = updates.find(u => u.id === item.id)
       return update ? { ...item, ...update } : item
@@ -230,6 +234,10 @@ export const useItems = () => {
       if (failed.length > 0) {
         console.warn('[Items]', failed.length, 'updates failed')
       }
+
+      // Only successful updates are reversible
+      const failedIds = new Set(failed.map(r => r.id))
+      return { ...changeset, updates: changeset.updates.filter(u => !failedIds.has(u.id)) }
     } catch (err) {
       console.error('[Items] Batch update failed:', err)
       setItems(previousItems)
@@ -240,12 +248,14 @@ export const useItems = () => {
   }, [user, items])
 
   // Update single item
-  const updateItem = useCallback(async (id, updates) => {
+  const updateItem = useCallback(async (id, changes) => {
     if (!user) throw new Error('Not authenticated')
+    const updates = withStatus(changes)
 
     console.log('[Items] Updating', id)
 
     const previousItems = [...items]
+    const changeset = updatesChangeset([{ id, ...updates }], items)
     setItems(prev => prev.map(item =>
       item.id === id ? { ...item, ...updates } : item
     ))
@@ -263,6 +273,7 @@ export const useItems = () => {
       setTimeout(() => pendingOps.current.delete(id), 2000)
 
       if (updateError) throw updateError
+      return changeset
     } catch (err) {
       console.error('[Items] Update failed:', err)
       setItems(previousItems)
@@ -272,17 +283,6 @@ export const useItems = () => {
     }
   }, [user, items])
 
-  // Toggle completion
-  const toggleComplete = useCallback(async (id) => {
-    const item = items.find(i => i.id === id)
-    if (!item) return
-
-    await updateItem(id, {
-      completed: !item.completed,
-      completed_at: !item.completed ? new Date().toISOString() : null
-    })
-  }, [items, updateItem])
-
   // Delete item
   const deleteItem = useCallback(async (id) => {
     if (!user) throw new Error('Not authenticated')
@@ -290,6 +290,7 @@ export const useItems = () => {
     console.log('[Items] Deleting', id)
 
     const previousItems = [...items]
+    const changeset = deletesChangeset(items.filter(item => item.id === id))
     setItems(prev => prev.filter(item => item.id !== id))
 
     try {
@@ -305,6 +306,7 @@ export const useItems = () => {
       setTimeout(() => pendingOps.current.delete(id), 2000)
 
       if (deleteError) throw deleteError
+      return changeset
     } catch (err) {
       console.error('[Items] Delete failed:', err)
       setItems(previousItems)
@@ -336,6 +338,7 @@ export const useItems = () => {
         .eq('completed', true)
 
       if (deleteError) throw deleteError
+      return deletesChangeset(completedItems)
     } catch (err) {
       console.error('[Items] Clear failed:', err)
       setItems(previousItems)
@@ -345,85 +348,253 @@ export const useItems = () => {
     }
   }, [user, items])
 
-  // Clean up duplicates
-  const cleanupDuplicates = useCallback(async () => {
-    if (!user) return { removed: 0, renamed: 0 }
+  // Apply a changeset (see lib/changeset). Undo by passing invertChangeset(cs).
+  const applyChangeset = useCallback(async (changeset) => {
+    if (!user) throw new Error('Not authenticated')
+
+    const { inserts = [], updates = [], deletes = [] } = changeset
+    const touchedIds = [...inserts, ...deletes, ...updates].map(change => change.id)
 
-    console.log('[Items] Starting cleanup...')
+    console.log('[Items] Applying changeset:', inserts.length, 'inserts,', updates.length, 'updates,', deletes.length, 'deletes')
+
+    // Optimistic update
+    const previousItems = [...items]
+    const deletedIds = new Set(deletes.map(row => row.id))
+    setItems(prev => [
+      ...inserts.filter(row => !prev.some(item => item.id === row.id)),
+      ...prev
+        .filter(item => !deletedIds.has(item.id))
+        .map(item => {
+          const update = updates.find(u => u.id === item.id)
+          return update ? { ...item, ...update.after } : item
+        })
+    ])
 
     try {
       setSyncing(true)
+      touchedIds.forEach(id => pendingOps.current.add(id))
 
-      // Group by normalized name
-      const groups = new Map()
-      items.forEach(item => {
-        const normalized = normalizeName(item.name)
-        if (!groups.has(normalized)) {
-          groups.set(normalized, [])
-        }
-        groups.get(normalized).push(item)
-      })
+      if (deletes.length) {
+        const { error } = await supabase
+          .from('items')
+          .delete()
+          .in('id', [...deletedIds])
+          .eq('user_id', user.id)
+        if (error) throw error
+      }
 
-      const toDelete = []
-      const toUpdate = []
+      // Restored rows keep their original ids
+      if (inserts.length) {
+        const { error } = await supabase
+          .from('items')
+          .upsert(inserts.map(row => ({ ...row, user_id: user.id })))
+        if (error) throw error
+      }
 
-      groups.forEach((group) => {
-        if (group.length > 1) {
-          // Sort by created_at, keep oldest
-          group.sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
-          
-          const keeper = group[0]
-          const duplicates = group.slice(1)
+      for (const { id, after } of updates) {
+        const { error } = await supabase
+          .from('items')
+          .update({ ...after, updated_at: new Date().toISOString() })
+          .eq('id', id)
+          .eq('user_id', user.id)
+        if (error) throw error
+      }
+    } catch (err) {
+      console.error('[Items] Changeset failed:', err)
+      setItems(previousItems)
+      // Partial writes may have landed; resync with the database
+      loadItems(true)
+      throw err
+    } finally {
+      setTimeout(() => touchedIds.forEach(id => pendingOps.current.delete(id)), 2000)
+      setSyncing(false)
+    }
+  }, [user, items, loadItems])
 
-          // Clean keeper's name if needed
-          const cleanedName = keeper.name.replace(/^(signal|necessary|noise)[:\s]*/i, '').trim()
-          if (cleanedName !== keeper.name) {
-            toUpdate.push({ id: keeper.id, name: cleanedName })
-          }
+  // The instance that follows a recurring item, unless it already exists or the series has ended
+  const nextInstance = (item) => {
+    if (!item.recurrence_rule || items.some(i => i.recurrence_parent_id === item.id)) return null
 
-          duplicates.forEach(dup => toDelete.push(dup.id))
-        } else if (group.length === 1) {
-          const item = group[0]
-          const cleanedName = item.name.replace(/^(signal|necessary|noise)[:\s]*/i, '').trim()
-          if (cleanedName !== item.name) {
-            toUpdate.push({ id: item.id, name: cleanedName })
-          }
-        }
-      })
+    const current = item.recurrence_start || item.created_at
+    let start
+    try {
+      start = nextOccurrence(item.recurrence_rule, current, Math.max(Date.parse(current), Date.now()))
+    } catch (err) {
+      console.warn('[Items] Bad recurrence rule on', item.id, err.message)
+      return null
+    }
+    if (!start) return null
 
-      // Delete duplicates
-      if (toDelete.length > 0) {
-        console.log('[Items] Deleting', toDelete.length, 'duplicates')
-        await supabase
-          .from('items')
-          .delete()
-          .in('id', toDelete)
+    // A deadline moves with the series, as far ahead as the start does
+    const due = item.due_at && Date.parse(item.due_at) + Date.parse(start) - Date.parse(current)
+    const now = new Date().toISOString()
+    return {
+      id: crypto.randomUUID(),
+      name: item.name,
+      classification: item.classification,
+      what: item.what,
+      why: item.why,
+      next_action: item.next_action,
+      checklist: resetChecklist(item.checklist),
+      due_at: due ? new Date(due).toISOString() : null,
+      estimate_minutes: item.estimate_minutes ?? null,
+      energy: item.energy ?? null,
+      status: 'inbox',
+      completed: false,
+      completed_at: null,
+      recurrence_rule: item.recurrence_rule,
+      recurrence_start: start,
+      recurrence_parent_id: item.id,
+      created_at: now,
+      updated_at: now
+    }
+  }
+
+  // Toggle completion
+  const toggleComplete = useCallback(async (id) => {
+    const item = items.find(i => i.id === id)
+    if (!item) return
+
+    const changes = withStatus({
+      completed: !item.completed,
+      completed_at: !item.completed ? new Date().toISOString() : null
+    })
+    const next = !item.completed && nextInstance(item)
+    if (!next) return updateItem(id, changes)
+
+    // Completing a recurring item creates its next instance in the same (undoable) changeset
+    console.log('[Items] Next', item.name, 'on', next.recurrence_start)
+    const changeset = mergeChangesets(updatesChangeset([{ id, ...changes }], items), insertsChangeset([next]))
+    await applyChangeset(changeset)
+    return changeset
+  }, [items, updateItem, applyChangeset])
+
+  // Insert imported items, skipping any that match an existing (or earlier imported) item
+  const importItems = useCallback(async (incoming) => {
+    if (!user) throw new Error('Not authenticated')
+
+    const engine = createSimilarityEngine()
+    const candidates = [...items]
+    const rows = []
+    const skipped = []
+    const now = new Date().toISOString()
+
+    for (const item of incoming) {
+      const match = engine.findBestMatch(item.name, candidates)?.item
+      if (match) {
+        skipped.push({ name: item.name, matchedName: match.name })
+        continue
       }
 
-      // Update names
-      for (const { id, name } of toUpdate) {
-        await supabase
+      const row = {
+        ...withStatus({ completed: false, ...item }),
+        id: crypto.randomUUID(),
+        completed_at: item.completed ? item.completed_at || now : null,
+        created_at: item.created_at || now,
+        updated_at: now
+      }
+      rows.push(row)
+      candidates.push(row)
+    }
+
+    console.log('[Items] Importing', rows.length, 'items,', skipped.length, 'duplicates skipped')
+
+    const changeset = insertsChangeset(rows)
+    if (rows.length) await applyChangeset(changeset)
+    return { changeset, added: rows.length, skipped }
+  }, [user, items, applyChangeset])
+
+  // Candidate duplicate groups ({ items, score }), oldest item first in each group
+  const findDuplicateGroups = useCallback((threshold) => {
+    // Completed instances of a recurring item share its name by design
+    return createSimilarityEngine({ threshold })
+      .groupDuplicates(items.filter(item => !(item.completed && item.recurrence_rule)))
+      .map(group => ({
+        ...group,
+        items: [...group.items].sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      }))
+      .sort((a, b) => b.score - a.score)
+  }, [items])
+
+  // Merge duplicates into a survivor. `fields` holds the values picked for the survivor.
+  // Linked calendar events are re-pointed first so deleting the copies never orphans them.
+  const mergeItems = useCallback(async (survivorId, duplicateIds, fields = {}) => {
+    if (!user) throw new Error('Not authenticated')
+    if (!duplicateIds?.length) return
+
+    console.log('[Items] Merging', duplicateIds.length, 'items into', survivorId)
+
+    const previousItems = [...items]
+    const changeset = mergeChangesets(
+      updatesChangeset([{ id: survivorId, ...fields }], items),
+      deletesChangeset(items.filter(item => duplicateIds.includes(item.id)))
+    )
+    const touchedIds = [survivorId, ...duplicateIds]
+
+    setItems(prev => prev
+      .filter(item => !duplicateIds.includes(item.id))
+      .map(item => item.id === survivorId ? { ...item, ...fields } : item)
+    )
+
+    try {
+      setSyncing(true)
+      touchedIds.forEach(id => pendingOps.current.add(id))
+
+      const { error: eventsError } = await supabase
+        .from('calendar_events')
+        .update({ item_id: survivorId, updated_at: new Date().toISOString() })
+        .in('item_id', duplicateIds)
+        .eq('user_id', user.id)
+      if (eventsError) throw eventsError
+
+      if (Object.keys(fields).length) {
+        const { error } = await supabase
           .from('items')
-          .update({ name, updated_at: new Date().toISOString() })
-          .eq('id', id)
+          .update({ ...fields, updated_at: new Date().toISOString() })
+          .eq('id', survivorId)
+          .eq('user_id', user.id)
+        if (error) throw error
       }
 
-      // Reload
-      await loadItems()
+      const { error: deleteError } = await supabase
+        .from('items')
+        .delete()
+        .in('id', duplicateIds)
+        .eq('user_id', user.id)
+      if (deleteError) throw deleteError
 
-      console.log('[Items] Cleanup done:', toDelete.length, 'removed,', toUpdate.length, 'renamed')
-      return { removed: toDelete.length, renamed: toUpdate.length }
+      // Undo restores the rows; re-pointed events stay on the survivor
+      return changeset
     } catch (err) {
-      console.error('[Items] Cleanup failed:', err)
+      console.error('[Items] Merge failed:', err)
+      setItems(previousItems)
+      loadItems(true)
       throw err
     } finally {
+      setTimeout(() => touchedIds.forEach(id => pendingOps.current.delete(id)), 2000)
       setSyncing(false)
     }
   }, [user, items, loadItems])
 
+  // Strip leftover "Signal:"-style prefixes from item names
+  const cleanupNames = useCallback(async () => {
+    if (!user) return { renamed: 0 }
+
+    const renames = items
+      .map(item => ({ id: item.id, name: item.name.replace(/^(signal|necessary|noise)[:\s]*/i, '').trim() }))
+      .filter(({ id, name }) => name && name !== items.find(item => item.id === id).name)
+
+    if (!renames.length) return { renamed: 0 }
+
+    console.log('[Items] Cleaning', renames.length, 'names')
+    const changeset = await updateItems(renames)
+    return { renamed: changeset.updates.length, changeset }
+  }, [user, items, updateItems])
+
   // Computed views
   const signals = items.filter(i => i.classification === 'SIGNAL' && !i.completed)
   const necessary = items.filter(i => i.classification === 'NECESSARY' && !i.completed)
+  const inbox = items.filter(i => !i.completed && bucketOf(i) === 'inbox')
   const noise = items.filter(i => i.classification === 'NOISE' && !i.completed)
   const completed = items.filter(i => i.completed)
 
@@ -433,6 +604,7 @@ export const useItems = () => {
     signals,
     necessary,
     noise,
+    inbox,
     completed,
     
     // State
@@ -448,7 +620,11 @@ export const useItems = () => {
     toggleComplete,
     deleteItem,
     clearCompleted,
-    cleanupDuplicates,
+    applyChangeset,
+    importItems,
+    findDuplicateGroups,
+    mergeItems,
+    cleanupNames,
     reload: loadItems
   }
 }
@@ -31,7 +31,9 @@ export const useMessages = () => {
         setMessages(data.map(m => ({
           id: m.id,
           role: m.role,
-          content: m.content
+          content: m.content,
+          changeset: m.changeset || null,
+          proposal: m.proposal || null
         })))
       } else {
         // Personalize initial message if we have profile
@@ -75,7 +77,9 @@ export const useMessages = () => {
             return [...prev, {
               id: payload.new.id,
               role: payload.new.role,
-              content: payload.new.content
+              content: payload.new.content,
+              changeset: payload.new.changeset || null,
+              proposal: payload.new.proposal || null
             }]
           })
         }
@@ -90,11 +94,11 @@ export const useMessages = () => {
     }
   }, [user, loadMessages])
 
-  // Add a message
-  const addMessage = async (role, content) => {
-    if (!user) return
+  // Add a message. Resolves to the saved message (with id), or null if saving failed.
+  const addMessage = async (role, content, { changeset = null, proposal = null } = {}) => {
+    if (!user) return null
 
-    const newMessage = { role, content }
+    const newMessage = { role, content, changeset, proposal }
     
     // Optimistic update
     setMessages(prev => [...prev, newMessage])
@@ -106,6 +110,8 @@ export const useMessages = () => {
           user_id: user.id,
           role,
           content,
+          changeset,
+          proposal,
           created_at: new Date().toISOString()
         })
         .select()
@@ -118,13 +124,35 @@ export const useMessages = () => {
         const updated = [...prev]
         const lastIndex = updated.length - 1
         if (updated[lastIndex].content === content) {
-          updated[lastIndex] = { id: data.id, role, content }
+          updated[lastIndex] = { id: data.id, role, content, changeset, proposal }
         }
         return updated
       })
+      return { id: data.id, role, content, changeset, proposal }
     } catch (err) {
       console.error('Error saving message:', err)
       // Keep the message in UI even if save fails
+      return null
+    }
+  }
+
+  // Update a saved message (used to attach changesets and resolve proposals)
+  const updateMessage = async (id, updates) => {
+    if (!user || !id) return
+
+    setMessages(prev => prev.map(m => m.id === id ? { ...m, ...updates } : m))
+
+    try {
+      const { error } = await supabase
+        .from('messages')
+        .update(updates)
+        .eq('id', id)
+        .eq('user_id', user.id)
+
+      if (error) throw error
+    } catch (err) {
+      console.error('Error updating message:', err)
+      throw err
     }
   }
 
@@ -152,6 +180,8 @@ export const useMessages = () => {
     messages,
     loading,
     addMessage,
-    clearMessages
+    updateMessage,
+    clearMessages,
+    reload: loadMessages
   }
 }
@@ -0,0 +1,72 @@
+/**
+ * Signal Sorter Undo Hook
+ *
+ * App-wide undo/redo stack for manual item edits. Entries are changesets
+ * (see lib/changeset), so undoing is just applying the inverse.
+ */
+
+import { useState, createContext, useContext, useCallback } from 'react'
+import { invertChangeset, isEmptyChangeset } from '../lib/changeset'
+
+const MAX_ENTRIES = 50
+
+const UndoContext = createContext(null)
+
+export const UndoProvider = ({ children }) => {
+  const [undoStack, setUndoStack] = useState([])
+  const [redoStack, setRedoStack] = useState([])
+
+  // Record a completed edit. A new edit clears the redo stack.
+  const record = useCallback((label, changeset) => {
+    if (isEmptyChangeset(changeset)) return
+    setUndoStack(prev => [...prev, { label, changeset }].slice(-MAX_ENTRIES))
+    setRedoStack([])
+  }, [])
+
+  // Undo the latest edit using `apply` (useItems().applyChangeset)
+  const undo = useCallback(async (apply) => {
+    const entry = undoStack[undoStack.length - 1]
+    if (!entry) return null
+
+    console.log('[Undo] Undoing:', entry.label)
+    await apply(invertChangeset(entry.changeset))
+    setUndoStack(prev => prev.slice(0, -1))
+    setRedoStack(prev => [...prev, entry])
+    return entry
+  }, [undoStack])
+
+  const redo = useCallback(async (apply) => {
+    const entry = redoStack[redoStack.length - 1]
+    if (!entry) return null
+
+    console.log('[Undo] Redoing:', entry.label)
+    await apply(entry.changeset)
+    setRedoStack(prev => prev.slice(0, -1))
+    setUndoStack(prev => [...prev, entry])
+    return entry
+  }, [redoStack])
+
+  const value = {
+    record,
+    undo,
+    redo,
+    canUndo: undoStack.length > 0,
+    canRedo: redoStack.length > 0,
+    undoLabel: undoStack[undoStack.length - 1]?.label || null,
+    redoLabel: redoStack[redoStack.length - 1]?.label || null
+  }
+
+  return (
+    <UndoContext.Provider value={value}>
+      {children}
+    </UndoContext.Provider>
+  )
+}
+
+export const useUndo = () => {
+  const context = useContext(UndoContext)
+  if (!context) {
+    throw new Error('useUndo must be used within UndoProvider')
+  }
+  return context
+}
@@ -1,54 +1,22 @@
 /**
  * Signal Sorter AI Service
- * 
- * World-class implementation with:
- * - Structured JSON output for reliable parsing
- * - Fuzzy matching for duplicate detection
- * - Levenshtein distance for name similarity
+ *
+ * - Native tool calls for item changes, fenced JSON/regex as legacy fallback
+ * - Prompt and conversation context assembled server-side
+ * - Similarity engine (lexical, synonyms, optional embeddings) for duplicate detection
  * - Proper error handling and retry logic
  */
 
-// Levenshtein distance for fuzzy matching
-const levenshtein = (a, b) => {
-  if (!a.length) return b.length
-  if (!b.length) return a.length
-  
-  const matrix = []
-  for (let i = 0; i <= b.length; i++) matrix[i] = [i]
-  for (let j = 0; j <= a.length; j++) matrix[0][j] = j
-  
-  for (let i = 1; i <= b.length; i++) {
-    for (let j = 1; j <= a.length; j++) {
-      matrix[i][j] = b.charAt(i - 1) === a.charAt(j - 1)
-        ? matrix[i - 1][j - 1]
-        : Math.min(
-            matrix[i - 1][j - 1] + 1,
-            matrix[i][j - 1] + 1,
-            matrix[i - 1][j] + 1
-          )
-    }
-  }
-  return matrix[b.length][a.length]
-}
+import { supabase } from './supabase'
+import { createSimilarityEngine, normalize } from './similarity'
+import { dueFromInput, normalizeEstimate, normalizeEnergy } from './due'
 
-// Calculate similarity ratio (0-1)
-const similarity = (a, b) => {
-  const normalized1 = normalize(a)
-  const normalized2 = normalize(b)
-  const maxLen = Math.max(normalized1.length, normalized2.length)
-  if (maxLen === 0) return 1
-  return 1 - levenshtein(normalized1, normalized2) / maxLen
-}
+const VALID_CLASSIFICATIONS = ['SIGNAL', 'NECESSARY', 'NOISE']
 
-// Normalize text for comparison
-const normalize = (text) => {
-  return text
-    .toLowerCase()
-    .replace(/^(signal|necessary|noise)[:\s]*/i, '')
-    .replace(/[^\w\s]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim()
-}
+// Longest message /api/chat accepts by default (MAX_MESSAGE_LENGTH on the server)
+export const MAX_MESSAGE_LENGTH = 4000
+
+const defaultEngine = createSimilarityEngine()
 
 // Clean item name for display
 const cleanName = (name) => {
@@ -62,103 +30,143 @@ const cleanName = (name) => {
 }
 
 // Find best matching existing item (returns null if no good match)
-const findMatchingItem = (name, existingItems, threshold = 0.75) => {
-  const normalizedName = normalize(name)
-  let bestMatch = null
-  let bestScore = 0
-  
-  for (const item of existingItems) {
-    const score = similarity(normalizedName, normalize(item.name))
-    if (score > threshold && score > bestScore) {
-      bestMatch = item
-      bestScore = score
-    }
-  }
-  
-  return bestMatch
+export const findMatchingItem = (name, existingItems, engine = defaultEngine) => {
+  return engine.findBestMatch(name, existingItems)?.item || null
 }
 
-// Build system prompt
-const buildSystemPrompt = (userContext, activeItems, completedItems, mode) => {
-  const { name, role, work_priorities, personal_priorities, goals, workday_start, focus_challenge } = userContext || {}
-
-  const contextBlock = [
-    name && `User: ${name}`,
-    role && `Role: ${role}`,
-    work_priorities?.length && `Work priorities: ${work_priorities.join(', ')}`,
-    personal_priorities?.length && `Personal priorities: ${personal_priorities.join(', ')}`,
-    goals?.length && `Goals: ${goals.join(', ')}`,
-    workday_start && `Workday starts: ${workday_start}`,
-    focus_challenge && `Focus challenge: ${focus_challenge}`
-  ].filter(Boolean).join('\n')
-
-  const activeItemsList = activeItems.length 
-    ? activeItems.map(i => `  - "${i.name}" [${i.classification}]`).join('\n')
-    : '  None yet'
-
-  const recentCompleted = completedItems.slice(0, 5)
-  const completedList = recentCompleted.length
-    ? recentCompleted.map(i => `  - "${i.name}"`).join('\n')
-    : '  None'
-
-  if (mode === 'reprioritize') {
-    return `You are a decisive productivity coach helping ${name || 'the user'} prioritize.
-
-${contextBlock}
-
-CURRENT ACTIVE ITEMS:
-${activeItemsList}
+// Record one extracted item as new, or as a reclassification of a tracked item
+const collectItem = (item, existingItems, { newItems, updates, seenNames }, engine) => {
+  if (!item?.name || !VALID_CLASSIFICATIONS.includes(item.classification)) return
 
-RECENTLY COMPLETED:
-${completedList}
+  const cleanedName = cleanName(item.name)
+  if (cleanedName.length < 3) return
 
-YOUR TASK: Analyze their current items and tell them exactly what to focus on NOW.
+  const normalizedName = normalize(cleanedName)
+  if (seenNames.has(normalizedName)) return
+  seenNames.add(normalizedName)
 
-RESPONSE FORMAT:
-1. Start with their #1 priority and why
-2. Give a brief ranking of their top 3 items
-3. Be direct and actionable - no fluff
-
-DO NOT suggest new items. Only work with what they have.
-Keep response under 150 words. Be a decisive coach, not a passive assistant.`
+  // Deadline, estimate and energy, when mentioned
+  const details = {
+    due_at: dueFromInput(item.due),
+    estimate_minutes: normalizeEstimate(item.estimate_minutes),
+    energy: normalizeEnergy(item.energy)
   }
+  const mentioned = Object.fromEntries(Object.entries(details).filter(([, value]) => value !== null))
+
+  // Check for existing match
+  const existingMatch = findMatchingItem(cleanedName, existingItems, engine)
+
+  if (existingMatch) {
+    // Update if classification changed
+    if (existingMatch.classification !== item.classification) {
+      console.log(`[AI] Update: "${existingMatch.name}" ${existingMatch.classification} → ${item.classification}`)
+      updates.push({
+        id: existingMatch.id,
+        classification: item.classification,
+        what: item.what || existingMatch.what,
+        why: item.why || existingMatch.why,
+        next_action: item.next || existingMatch.next_action,
+        ...mentioned
+      })
+    } else if (Object.keys(mentioned).length) {
+      console.log(`[AI] Details: "${existingMatch.name}"`, mentioned)
+      updates.push({ id: existingMatch.id, ...mentioned })
+    }
+  } else {
+    // New item
+    console.log(`[AI] New: "${cleanedName}" (${item.classification})`)
+    newItems.push({
+      name: cleanedName,
+      classification: item.classification,
+      what: item.what || '',
+      why: item.why || '',
+      next_action: item.next || '',
+      ...details
+    })
+  }
+}
 
-  return `You are Signal Sorter, a decisive productivity AI for ${name || 'a busy professional'}${role ? ` working as ${role}` : ''}.
-
-${contextBlock}
-
-CURRENT TRACKED ITEMS:
-${activeItemsList}
-
-YOUR TASK: When the user dumps tasks/thoughts, classify each one and respond conversationally.
+// Apply tool calls returned by /api/chat (add_items, reclassify_item, complete_item, schedule_item)
+const applyToolCalls = (toolCalls, existingItems, engine = defaultEngine) => {
+  const newItems = []
+  const updates = []
+  const schedules = []
+  const seenNames = new Set()
+  const activeItems = existingItems.filter(i => !i.completed)
 
-OUTPUT FORMAT - For each NEW task (not already in the list above), output a JSON block:
-\`\`\`json
-{"items": [
-  {"name": "Short task name", "classification": "SIGNAL", "what": "What this involves", "why": "Why it matters", "next": "Specific next action"},
-  {"name": "Another task", "classification": "NECESSARY", "what": "...", "why": "...", "next": "..."},
-  {"name": "Low priority", "classification": "NOISE", "what": "...", "why": "Why it's noise", "next": "Defer/delegate/ignore"}
-]}
-\`\`\`
+  // Merge changes for the same item into a single update
+  const queueUpdate = (id, changes) => {
+    const pending = updates.find(u => u.id === id)
+    if (pending) Object.assign(pending, changes)
+    else updates.push({ id, ...changes })
+  }
 
-CLASSIFICATION RULES:
-- SIGNAL: Directly advances top priorities. High impact. Do these first.
-- NECESSARY: Must be done but can be batched. Medium impact.
-- NOISE: Doesn't advance priorities. Defer, delegate, or ignore.
+  for (const { name, input = {} } of toolCalls) {
+    if (name === 'add_items') {
+      for (const item of input.items || []) {
+        collectItem(item, existingItems, { newItems, updates, seenNames }, engine)
+      }
+    } else if (name === 'reclassify_item') {
+      const match = findMatchingItem(input.name || '', activeItems, engine)
+      if (!match || !VALID_CLASSIFICATIONS.includes(input.classification)) {
+        console.warn('[AI] Skipping reclassify for', input.name)
+        continue
+      }
+      if (match.classification !== input.classification) {
+        console.log(`[AI] Reclassify: "${match.name}" ${match.classification} → ${input.classification}`)
+        queueUpdate(match.id, {
+          classification: input.classification,
+          ...(input.why && { why: input.why })
+        })
+      }
+    } else if (name === 'complete_item') {
+      const match = findMatchingItem(input.name || '', activeItems, engine)
+      if (!match) {
+        console.warn('[AI] Skipping complete for', input.name)
+        continue
+      }
+      console.log(`[AI] Complete: "${match.name}"`)
+      queueUpdate(match.id, { completed: true, completed_at: new Date().toISOString(), status: 'completed' })
+    } else if (name === 'schedule_item') {
+      const start = new Date(input.start)
+      const end = new Date(input.end)
+      if (isNaN(start) || isNaN(end) || end <= start) {
+        console.warn('[AI] Skipping schedule with invalid times for', input.name)
+        continue
+      }
+      // Target may be tracked already or added earlier in this same turn
+      const match = findMatchingItem(input.name || '', activeItems, engine)
+      const pending = !match && newItems.find(i => normalize(i.name) === normalize(cleanName(input.name || '')))
+      if (!match && !pending) {
+        console.warn('[AI] Skipping schedule for unknown item', input.name)
+        continue
+      }
+      schedules.push({
+        itemId: match?.id || null,
+        name: match?.name || pending.name,
+        start,
+        end
+      })
+    } else {
+      console.warn('[AI] Unknown tool call:', name)
+    }
+  }
 
-CRITICAL RULES:
-1. Keep task names SHORT (3-6 words max)
-2. Be decisive - YOU classify, don't ask them to
-3. DO NOT include items that are already tracked (check the list above!)
-4. If the user mentions something already tracked, acknowledge it but don't re-add it
-5. After the JSON block, add a brief conversational summary
-6. End with: "**Your top signal: [specific task]**"
+  return { newItems, updates, schedules }
+}
 
-Respond like a smart coworker, not a formal assistant. Be direct and helpful.`
+// Summarize tool changes when the model replied with tool calls only
+const describeChanges = ({ newItems, updates, schedules }) => {
+  const parts = [
+    newItems.length && `added ${newItems.length} item${newItems.length === 1 ? '' : 's'}`,
+    updates.length && `updated ${updates.length}`,
+    schedules.length && `scheduled ${schedules.length}`
+  ].filter(Boolean)
+  return parts.length ? `Done — ${parts.join(', ')}.` : 'Got it.'
 }
 
-// Parse AI response to extract items
-const parseResponse = (response, existingItems) => {
+// Legacy: parse fenced JSON or emoji lines from the reply text
+const parseResponse = (response, existingItems, engine = defaultEngine) => {
   const newItems = []
   const updates = []
   const seenNames = new Set()
@@ -173,41 +181,7 @@ const parseResponse = (response, existingItems) => {
       
       if (Array.isArray(items)) {
         for (const item of items) {
-          if (!item.name || !item.classification) continue
-          
-          const cleanedName = cleanName(item.name)
-          if (cleanedName.length < 3) continue
-          
-          const normalizedName = normalize(cleanedName)
-          if (seenNames.has(normalizedName)) continue
-          seenNames.add(normalizedName)
-          
-          // Check for existing match
-          const existingMatch = findMatchingItem(cleanedName, existingItems)
-          
-          if (existingMatch) {
-            // Update if classification changed
-            if (existingMatch.classification !== item.classification) {
-              console.log(`[AI] Update: "${existingMatch.name}" ${existingMatch.classification} → ${item.classification}`)
-              updates.push({
-                id: existingMatch.id,
-                classification: item.classification,
-                what: item.what || existingMatch.what,
-                why: item.why || existingMatch.why,
-                next_action: item.next || existingMatch.next_action
-              })
-            }
-          } else {
-            // New item
-            console.log(`[AI] New: "${cleanedName}" (${item.classification})`)
-            newItems.push({
-              name: cleanedName,
-              classification: item.classification,
-              what: item.what || '',
-              why: item.why || '',
-              next_action: item.next || ''
-            })
-          }
+          collectItem(item, existingItems, { newItems, updates, seenNames }, engine)
         }
       }
     } catch (e) {
@@ -234,7 +208,7 @@ const parseResponse = (response, existingItems) => {
         if (isInvalidPhrase(cleanedName)) continue
         seenNames.add(normalizedName)
 
-        const existingMatch = findMatchingItem(cleanedName, existingItems)
+        const existingMatch = findMatchingItem(cleanedName, existingItems, engine)
         
         if (existingMatch) {
           if (existingMatch.classification !== classification) {
@@ -273,45 +247,177 @@ const isInvalidPhrase = (name) => {
   return invalid.some(phrase => lower.includes(phrase))
 }
 
-// Main export: Analyze with AI
-export const analyzeWithAI = async (userMessage, userContext, existingItems = [], isReprioritize = false) => {
-  const activeItems = existingItems.filter(i => !i.completed)
-  const completedItems = existingItems.filter(i => i.completed)
-  const mode = isReprioritize ? 'reprioritize' : 'classify'
-  
-  const systemPrompt = buildSystemPrompt(userContext, activeItems, completedItems, mode)
+// Authorization header for /api/chat from the current Supabase session
+const getAuthHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession()
+  return session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {}
+}
+
+// Read quota from /api/chat response headers (present on streamed responses too)
+const readQuota = (response) => {
+  const reset = response.headers.get('X-RateLimit-Reset')
+  if (!reset) return null
+
+  const limit = response.headers.get('X-RateLimit-Limit')
+  const remaining = response.headers.get('X-RateLimit-Remaining')
+  return {
+    tier: response.headers.get('X-Subscription-Tier') || 'free',
+    limit: limit === null ? null : Number(limit),
+    remaining: remaining === null ? null : Number(remaining),
+    resetsAt: reset
+  }
+}
 
-  console.log(`[AI] Request mode: ${mode}, active items: ${activeItems.length}`)
+// Error thrown for non-2xx /api/chat responses; carries `code`, `quota` and `maxLength` when present
+const chatError = async (response) => {
+  const errorData = await response.json().catch(() => ({}))
+  const error = new Error(errorData.error || `AI request failed (${response.status})`)
+  error.status = response.status
+  error.code = errorData.code
+  error.quota = errorData.quota || readQuota(response)
+  error.maxLength = errorData.maxLength
+  return error
+}
+
+// POST to /api/chat as the signed-in user, in the browser's time zone. Resolves to
+// the response (quota headers, JSON or stream); non-2xx responses throw chatError.
+const postChat = async (body) => {
+  const response = await fetch('/api/chat', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+    body: JSON.stringify({ ...body, timezone: Intl.DateTimeFormat().resolvedOptions().timeZone })
+  })
+  if (!response.ok) throw await chatError(response)
+  return response
+}
+
+// Fetch embedding vectors for names from /api/embed. Resolves to a Map of
+// name -> vector, or null when no embedding backend is configured.
+export const fetchEmbeddings = async (texts) => {
+  const unique = [...new Set(texts.filter(Boolean))]
+  if (!unique.length) return null
 
   try {
-    const response = await fetch('/api/chat', {
+    const response = await fetch('/api/embed', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        system: systemPrompt,
-        message: userMessage
-      })
+      headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+      body: JSON.stringify({ texts: unique })
     })
+    if (!response.ok) throw await chatError(response)
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      throw new Error(errorData.error || `AI request failed (${response.status})`)
+    const { vectors } = await response.json()
+    return new Map(unique.map((text, i) => [text, vectors[i]]))
+  } catch (error) {
+    console.warn('[AI] Embeddings unavailable, using lexical matching:', error.message)
+    return null
+  }
+}
+
+// Fetch today's AI quota without spending a call
+export const fetchQuota = async () => {
+  const response = await fetch('/api/chat', { headers: await getAuthHeaders() })
+  if (!response.ok) throw await chatError(response)
+  const data = await response.json()
+  return data.quota
+}
+
+// Read a server-sent-events response from /api/chat, reporting each text delta
+const readChatStream = async (response, onToken) => {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let fullText = ''
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true })
+
+    let boundary
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary + 2)
+
+      if (!rawEvent.startsWith('data:')) continue
+      const event = JSON.parse(rawEvent.slice(5).trim())
+
+      if (event.type === 'delta') {
+        fullText += event.text
+        onToken?.(event.text, fullText)
+      } else if (event.type === 'done') {
+        return { response: event.response || fullText, toolCalls: event.toolCalls || [] }
+      } else if (event.type === 'error') {
+        throw new Error(event.error || 'AI stream failed')
+      }
     }
+  }
 
-    const data = await response.json()
-    const aiResponse = data.response || ''
+  // Stream closed without a done event
+  if (!fullText) throw new Error('AI stream ended unexpectedly')
+  return { response: fullText, toolCalls: [] }
+}
+
+// Main export: Analyze with AI
+// The server builds the prompt and conversation history from the user's own data;
+// we only send the text and mode. `existingItems` is used to match changes locally.
+// Pass `onToken` to stream the reply; it receives (delta, textSoFar) as tokens arrive.
+// `duplicateThreshold` and `semanticMatching` tune how names are matched to tracked items.
+export const analyzeWithAI = async (userMessage, existingItems = [], isReprioritize = false, {
+  onToken,
+  duplicateThreshold,
+  semanticMatching = false
+} = {}) => {
+  const mode = isReprioritize ? 'reprioritize' : 'classify'
+  const stream = typeof onToken === 'function'
+
+  console.log(`[AI] Request mode: ${mode}${stream ? ', streaming' : ''}`)
+
+  try {
+    const response = await postChat({ message: userMessage, mode, stream })
+
+    const quota = readQuota(response)
+    let data
+    if (stream && response.headers.get('Content-Type')?.includes('text/event-stream')) {
+      data = await readChatStream(response, onToken)
+    } else {
+      data = await response.json()
+    }
+    let aiResponse = data.response || ''
+    const toolCalls = data.toolCalls || []
     
-    // Parse items from response (skip if reprioritize mode)
-    const { newItems, updates } = mode === 'reprioritize' 
-      ? { newItems: [], updates: [] }
-      : parseResponse(aiResponse, existingItems)
+    // Extract changes from the complete response (skip if reprioritize mode).
+    // Tool calls are authoritative; text parsing is the legacy fallback.
+    const extract = (engine) => toolCalls.length
+      ? applyToolCalls(toolCalls, existingItems, engine)
+      : { ...parseResponse(aiResponse, existingItems, engine), schedules: [] }
+
+    let changes = { newItems: [], updates: [], schedules: [] }
+    if (mode !== 'reprioritize') {
+      const engine = createSimilarityEngine({ threshold: duplicateThreshold })
+      changes = extract(engine)
+
+      // Second pass with embeddings can catch paraphrased duplicates the lexical pass missed
+      if (semanticMatching && changes.newItems.length) {
+        const names = [...changes.newItems, ...existingItems.filter(i => !i.completed)].map(i => i.name)
+        const vectors = await fetchEmbeddings(names)
+        if (vectors) {
+          changes = extract(createSimilarityEngine({ threshold: duplicateThreshold, vectors }))
+        }
+      }
+    }
+    const { newItems, updates, schedules } = changes
+
+    if (!aiResponse.trim()) aiResponse = describeChanges(changes)
     
-    console.log(`[AI] Result: ${newItems.length} new, ${updates.length} updates`)
+    console.log(`[AI] Result: ${newItems.length} new, ${updates.length} updates, ${schedules.length} schedules (${toolCalls.length ? 'tools' : 'text'})`)
 
     return {
       response: aiResponse,
       items: newItems,
-      updates
+      updates,
+      schedules,
+      quota
     }
   } catch (error) {
     console.error('[AI] Error:', error)
@@ -319,11 +425,110 @@ export const analyzeWithAI = async (userMessage, userContext, existingItems = []
   }
 }
 
+// Split names for classifyNames into batches under the server's message cap.
+// Each batch is one AI call, so the length is what an import costs.
+export const classifyBatches = (names, { batchChars = 3000 } = {}) => {
+  const batches = [[]]
+  let size = 0
+  for (const name of names) {
+    if (size + name.length > batchChars && batches.at(-1).length) {
+      batches.push([])
+      size = 0
+    }
+    batches.at(-1).push(name)
+    size += name.length + 6
+  }
+  return batches.filter(batch => batch.length)
+}
+
+// Classify bare item names (e.g. from an import) in sort mode: numbered names in,
+// one classification per number back, no chat history. Returns Map of name -> classification.
+export const classifyNames = async (names, options) => {
+  const classifications = new Map()
+  for (const batch of classifyBatches(names, options)) {
+    const message = `Classify these tasks:\n${batch.map((name, i) => `${i + 1}. ${name}`).join('\n')}`
+    const response = await postChat({ message, mode: 'sort' })
+
+    const data = await response.json()
+    for (const call of (data.toolCalls || []).filter(c => c.name === 'classify_tasks')) {
+      for (const entry of call.input?.classifications || []) {
+        const name = batch[Number(entry.index) - 1]
+        if (name && VALID_CLASSIFICATIONS.includes(entry.classification) && !classifications.has(name)) {
+          classifications.set(name, entry.classification)
+        }
+      }
+    }
+  }
+  return classifications
+}
+
+// Ask the AI to order items for planning and estimate how long each takes.
+// Returns { estimates: [{ item, minutes }], note, quota }, most important first.
+// The user's own estimate_minutes wins over the AI's; minutes is null when
+// neither exists. Only the first `limit` items are sent.
+export const estimatePlan = async (items, { limit = 40 } = {}) => {
+  const candidates = items.slice(0, limit)
+  const describe = (i) => [
+    `- ${i.name} [${i.classification}]`,
+    i.estimate_minutes && `~${i.estimate_minutes} min`,
+    i.due_at && `due ${new Date(i.due_at).toISOString()}`
+  ].filter(Boolean).join(' ')
+  const message = `Plan these tasks:\n${candidates.map(describe).join('\n')}`
+
+  const response = await postChat({ message, mode: 'plan' })
+
+  const data = await response.json()
+  const remaining = [...candidates]
+  const estimates = []
+  for (const call of (data.toolCalls || []).filter(c => c.name === 'plan_items')) {
+    for (const entry of call.input?.items || []) {
+      const item = findMatchingItem(entry.name || '', remaining)
+      if (!item) continue
+      remaining.splice(remaining.indexOf(item), 1)
+      const minutes = Number(entry.minutes)
+      estimates.push({ item, minutes: item.estimate_minutes || (Number.isFinite(minutes) && minutes > 0 ? minutes : null) })
+    }
+  }
+
+  return {
+    estimates: [...estimates, ...remaining.map(item => ({ item, minutes: item.estimate_minutes || null }))],
+    note: (data.response || '').trim(),
+    quota: readQuota(response)
+  }
+}
+
+// Ask the AI for the steps that finish `item`, beyond the ones it already has.
+// Returns { steps: [text], note, quota }; nothing is saved until the user accepts.
+export const breakDownItem = async (item) => {
+  const message = [
+    `Break this task down: ${item.name} [${item.classification}]`,
+    item.what && `What: ${item.what}`,
+    item.next_action && `Next action: ${item.next_action}`,
+    item.checklist?.length && `Steps I already have:\n${item.checklist.map(step => `- ${step.text}`).join('\n')}`
+  ].filter(Boolean).join('\n')
+
+  const response = await postChat({ message, mode: 'breakdown' })
+
+  const data = await response.json()
+  const existing = new Set((item.checklist || []).map(step => normalize(step.text)))
+  const steps = []
+  for (const call of (data.toolCalls || []).filter(c => c.name === 'propose_steps')) {
+    for (const step of call.input?.steps || []) {
+      const text = typeof step === 'string' ? step.trim() : ''
+      if (!text || existing.has(normalize(text))) continue
+      existing.add(normalize(text))
+      steps.push(text)
+    }
+  }
+
+  return { steps, note: (data.response || '').trim(), quota: readQuota(response) }
+}
+
 // Export utilities for testing
 export const _internal = {
   normalize,
   cleanName,
-  similarity,
   findMatchingItem,
-  parseResponse
+  parseResponse,
+  applyToolCalls
 }
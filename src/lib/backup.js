@@ -0,0 +1,135 @@
+/**
+ * JSON backup restore
+ *
+ * Pipeline: read file -> validateBackup (checksum, migrations, schema)
+ * -> planRestore (dedupe + id remap) -> restoreBackup (one restore_backup RPC, so it all lands or nothing does).
+ */
+
+import { supabase } from './supabase'
+import { findMatchingItem } from './ai'
+import { BACKUP_SCHEMA, migrateBackup, normalizeRecord } from './export'
+import { normalizeChecklist } from './checklist'
+
+export const RESTORE_MODES = ['merge', 'replace']
+
+// Everything a backup holds, read straight from the database (hooks only keep recent rows)
+export const fetchBackupData = async (userId, profile) => {
+  const [items, messages, events] = await Promise.all(
+    ['items', 'messages', 'calendar_events'].map(async (table) => {
+      const { data, error } = await supabase
+        .from(table)
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true })
+      if (error) throw error
+      return data || []
+    })
+  )
+  return { items, messages, calendar_events: events, profile }
+}
+
+const LABELS = { items: 'Item', messages: 'Message', calendar_events: 'Event' }
+
+/**
+ * Verify, upgrade and schema-check a parsed backup file. Throws when the file
+ * can't be restored at all; individual bad rows are dropped and reported in `errors`.
+ */
+export const validateBackup = async (raw) => {
+  const { version, exportedAt, data } = await migrateBackup(raw)
+
+  const errors = []
+  const collections = {}
+  for (const key of ['items', 'messages', 'calendar_events']) {
+    if (!Array.isArray(data[key])) throw new Error(`Backup field "${key}" must be a list`)
+
+    collections[key] = data[key].map((row, i) => {
+      const { record, error } = normalizeRecord(BACKUP_SCHEMA[key], row)
+      if (error) errors.push(`${LABELS[key]} ${i + 1}${row?.name ? ` ("${row.name}")` : ''}: ${error}`)
+      return record
+    }).filter(Boolean)
+  }
+
+  const { record: profileFields } = normalizeRecord(BACKUP_SCHEMA.profile, data.profile || {})
+  const profile = Object.fromEntries(Object.entries(profileFields).filter(([, value]) => value != null))
+  if (data.settings && typeof data.settings === 'object' && Object.keys(data.settings).length) {
+    profile.settings = data.settings
+  }
+
+  return {
+    backup: {
+      version,
+      exportedAt,
+      ...collections,
+      profile: Object.keys(profile).length ? profile : null
+    },
+    errors
+  }
+}
+
+/**
+ * Build the rows to write. Items and events get fresh ids; in merge mode, items
+ * matching an existing one are skipped and their events re-linked to the match.
+ * Backup rows are never matched against each other, and rows in a recurrence
+ * chain are always kept: same-named instances are the chain, not duplicates.
+ * Recurrence links follow the new ids.
+ */
+export const planRestore = (backup, existingItems, { mode = 'merge', includeProfile = false } = {}) => {
+  const idMap = new Map()
+  const items = []
+  const skipped = []
+  const candidates = mode === 'merge' ? existingItems : []
+  const chained = new Set(backup.items.flatMap(item => (
+    item.recurrence_parent_id ? [item.id, item.recurrence_parent_id] : []
+  )))
+
+  for (const { id, ...item } of backup.items) {
+    const match = !chained.has(id) && findMatchingItem(item.name, candidates)
+    if (match) {
+      if (id) idMap.set(id, match.id)
+      skipped.push({ name: item.name, matchedName: match.name })
+      continue
+    }
+
+    const newId = crypto.randomUUID()
+    if (id) idMap.set(id, newId)
+    const row = { ...item, id: newId, checklist: normalizeChecklist(item.checklist) }
+    items.push(row)
+  }
+
+  for (const item of items) {
+    item.recurrence_parent_id = idMap.get(item.recurrence_parent_id) ?? null
+  }
+
+  const eventIds = new Map(backup.calendar_events.filter(event => event.id).map(event => [event.id, crypto.randomUUID()]))
+  const events = backup.calendar_events.map(event => ({
+    ...event,
+    id: eventIds.get(event.id) ?? crypto.randomUUID(),
+    item_id: idMap.get(event.item_id) ?? null,
+    recurrence_parent_id: eventIds.get(event.recurrence_parent_id) ?? null
+  }))
+
+  return {
+    mode,
+    items,
+    messages: backup.messages,
+    events,
+    profile: includeProfile ? backup.profile : null,
+    skipped
+  }
+}
+
+// Write a plan in one transaction; returns inserted counts per table
+export const restoreBackup = async (plan) => {
+  if (!RESTORE_MODES.includes(plan.mode)) throw new Error(`Unknown restore mode: ${plan.mode}`)
+
+  const { data, error } = await supabase.rpc('restore_backup', {
+    p_mode: plan.mode,
+    p_items: plan.items,
+    p_messages: plan.messages,
+    p_events: plan.events,
+    p_profile: plan.profile
+  })
+
+  if (error) throw error
+  return data
+}
@@ -0,0 +1,46 @@
+/**
+ * Reversible item changesets
+ *
+ * A changeset records what a batch of edits did to the items table:
+ * - inserts: full rows that were created
+ * - deletes: full rows that were removed
+ * - updates: { id, before, after } with only the changed fields
+ * - events:  ids of calendar events created alongside (undo deletes them)
+ *
+ * Applying a changeset replays it; applying its inverse undoes it.
+ */
+
+export const emptyChangeset = () => ({ inserts: [], updates: [], deletes: [], events: [] })
+
+// Capture previous values for a list of { id, ...changes } from current items
+export const updatesChangeset = (updates, items) => ({
+  ...emptyChangeset(),
+  updates: updates.map(({ id, ...after }) => {
+    const item = items.find(i => i.id === id) || {}
+    const before = Object.fromEntries(Object.keys(after).map(key => [key, item[key] ?? null]))
+    return { id, before, after }
+  })
+})
+
+export const insertsChangeset = (rows) => ({ ...emptyChangeset(), inserts: rows })
+
+export const deletesChangeset = (rows) => ({ ...emptyChangeset(), deletes: rows })
+
+export const mergeChangesets = (...changesets) => changesets.reduce((merged, cs) => ({
+  inserts: [...merged.inserts, ...(cs?.inserts || [])],
+  updates: [...merged.updates, ...(cs?.updates || [])],
+  deletes: [...merged.deletes, ...(cs?.deletes || [])],
+  events: [...merged.events, ...(cs?.events || [])]
+}), emptyChangeset())
+
+// Inverse for undo. Created events are removed by the caller, so they aren't carried over.
+export const invertChangeset = (cs) => ({
+  inserts: cs.deletes || [],
+  deletes: cs.inserts || [],
+  updates: [...(cs.updates || [])].reverse().map(({ id, before, after }) => ({ id, before: after, after: before })),
+  events: []
+})
+
+export const isEmptyChangeset = (cs) => !cs || (
+  !cs.inserts?.length && !cs.updates?.length && !cs.deletes?.length && !cs.events?.length
+)
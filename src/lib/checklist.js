@@ -0,0 +1,39 @@
+/**
+ * Checklists on items
+ *
+ * items.checklist holds the steps a big item breaks down into, in order:
+ * [{ id, text, done }]. Lists are replaced whole on every change, so edits go
+ * through updateItem and undo like any other field.
+ */
+
+export const MAX_STEPS = 30
+const MAX_STEP_LENGTH = 200
+
+export const newStep = (text) => ({ id: crypto.randomUUID(), text: text.trim().slice(0, MAX_STEP_LENGTH), done: false })
+
+// Well-formed steps only, whatever was stored or restored
+export const normalizeChecklist = (value) => (Array.isArray(value) ? value : [])
+  .filter(step => typeof step?.text === 'string' && step.text.trim())
+  .slice(0, MAX_STEPS)
+  .map(step => ({
+    id: typeof step.id === 'string' && step.id ? step.id : crypto.randomUUID(),
+    text: step.text.trim().slice(0, MAX_STEP_LENGTH),
+    done: step.done === true
+  }))
+
+export const checklistProgress = (checklist) => {
+  const steps = checklist || []
+  return { done: steps.filter(step => step.done).length, total: steps.length }
+}
+
+export const addSteps = (checklist, texts) => [
+  ...(checklist || []),
+  ...texts.filter(text => text?.trim()).map(newStep)
+].slice(0, MAX_STEPS)
+
+export const toggleStep = (checklist, id) => checklist.map(step => (step.id === id ? { ...step, done: !step.done } : step))
+
+export const removeStep = (checklist, id) => checklist.filter(step => step.id !== id)
+
+// The same steps, none done (for the next instance of a recurring item)
+export const resetChecklist = (checklist) => normalizeChecklist(checklist).map(step => ({ ...step, done: false }))
@@ -0,0 +1,58 @@
+import { isSameDay } from 'date-fns'
+import { wallToInstant } from './recurrence.js'
+
+/**
+ * Due dates, estimates and energy on items
+ *
+ * due_at is a timestamp; a deadline given as a bare day ("by Friday") means
+ * the end of that day in the user's time zone (the browser's when none is
+ * given). estimate_minutes is the focused time a task needs, energy
+ * ('low' | 'medium' | 'high') how much it takes out of you.
+ */
+
+export const ENERGY_LEVELS = ['low', 'medium', 'high']
+export const MAX_ESTIMATE_MINUTES = 24 * 60
+
+// ISO timestamp for a due value; a 'yyyy-MM-dd' day is the end of that day in `timeZone`
+export const dueFromInput = (value, timeZone = null) => {
+  if (!value || typeof value !== 'string') return null
+  const day = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/)
+  if (day) {
+    const [, y, m, d] = day.map(Number)
+    return new Date(wallToInstant({ y, m, d, h: 23, mi: 59, s: 59 }, timeZone) + 999).toISOString()
+  }
+  const time = Date.parse(value)
+  return Number.isNaN(time) ? null : new Date(time).toISOString()
+}
+
+// Whole positive minutes, capped at a day; anything else is no estimate
+export const normalizeEstimate = (value) => {
+  const minutes = Math.round(Number(value))
+  return Number.isFinite(minutes) && minutes > 0 ? Math.min(minutes, MAX_ESTIMATE_MINUTES) : null
+}
+
+export const normalizeEnergy = (value) => {
+  const energy = String(value || '').trim().toLowerCase()
+  return ENERGY_LEVELS.includes(energy) ? energy : null
+}
+
+// 'overdue', 'today' or null for an item
+export const dueState = (item, now = new Date()) => {
+  if (!item.due_at || item.completed) return null
+  const due = new Date(item.due_at)
+  if (due < now) return 'overdue'
+  return isSameDay(due, now) ? 'today' : null
+}
+
+// Earliest deadline first, items without one last
+export const compareDue = (a, b) => {
+  if (!a.due_at || !b.due_at) return (a.due_at ? -1 : 0) + (b.due_at ? 1 : 0)
+  return Date.parse(a.due_at) - Date.parse(b.due_at)
+}
+
+// 15 -> "15m", 90 -> "1h 30m"
+export const formatEstimate = (minutes) => {
+  const hours = Math.floor(minutes / 60)
+  const rest = minutes % 60
+  return [hours && `${hours}h`, rest && `${rest}m`].filter(Boolean).join(' ')
+}
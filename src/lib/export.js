@@ -1,19 +1,216 @@
 import { format } from 'date-fns'
+import { buildCalendar } from './ics'
+import { ENERGY_LEVELS, dueFromInput, normalizeEstimate, normalizeEnergy } from './due'
 
-// Export items as JSON
-export const exportJSON = (data, filename = 'signal-sorter-backup') => {
-  const exportData = {
-    ...data,
+/**
+ * Backup format
+ *
+ * {
+ *   format: 'signal-sorter-backup',
+ *   version: BACKUP_VERSION,
+ *   exportedAt: ISO string,
+ *   checksum: 'sha256:<hex of canonical JSON of data>',
+ *   data: { profile, settings, items, messages, calendar_events }
+ * }
+ *
+ * Record fields are described by BACKUP_SCHEMA. Older backups are upgraded
+ * one version at a time through MIGRATIONS when they're read.
+ */
+
+export const BACKUP_FORMAT = 'signal-sorter-backup'
+export const BACKUP_VERSION = 2
+
+const text = (extra = {}) => ({ type: 'string', ...extra })
+const date = (extra = {}) => ({ type: 'date', ...extra })
+
+export const BACKUP_SCHEMA = {
+  items: {
+    id: text(),
+    name: text({ required: true }),
+    classification: text({ required: true, oneOf: ['SIGNAL', 'NECESSARY', 'NOISE'] }),
+    what: text(),
+    why: text(),
+    next_action: text(),
+    status: text({ oneOf: ['inbox', 'today', 'week', 'someday', 'completed'], default: 'inbox' }),
+    completed: { type: 'boolean', default: false },
+    completed_at: date(),
+    recurrence_rule: text(),
+    recurrence_start: date(),
+    recurrence_parent_id: text(),
+    due_at: date(),
+    estimate_minutes: { type: 'integer' },
+    energy: text({ oneOf: ENERGY_LEVELS }),
+    checklist: { type: 'array', default: [] },
+    created_at: date()
+  },
+  messages: {
+    role: text({ required: true, oneOf: ['user', 'assistant'] }),
+    content: text({ required: true }),
+    created_at: date()
+  },
+  calendar_events: {
+    id: text(),
+    item_id: text(),
+    title: text({ required: true }),
+    description: text(),
+    start_time: date({ required: true }),
+    end_time: date({ required: true }),
+    all_day: { type: 'boolean', default: false },
+    recurrence_rule: text(),
+    recurrence_exdates: { type: 'array', default: [] },
+    recurrence_parent_id: text(),
+    recurrence_original_start: date(),
+    created_at: date()
+  },
+  profile: {
+    name: text(),
+    role: text(),
+    workday_start: text(),
+    focus_challenge: text(),
+    work_priorities: { type: 'array' },
+    personal_priorities: { type: 'array' },
+    goals: { type: 'array' }
+  }
+}
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'string': return typeof value === 'string' && value.trim() !== ''
+    case 'date': return typeof value === 'string' && !Number.isNaN(Date.parse(value))
+    case 'boolean': return typeof value === 'boolean'
+    case 'integer': return Number.isInteger(value) && value > 0
+    case 'array': return Array.isArray(value)
+    default: return false
+  }
+}
+
+/**
+ * Coerce one record to a schema: unknown fields are dropped, empty optional
+ * fields become null (or their default). Returns { record } or { error }.
+ */
+export const normalizeRecord = (spec, record) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return { error: 'not an object' }
+
+  const normalized = {}
+  for (const [field, rule] of Object.entries(spec)) {
+    const value = record[field]
+    const valid = value != null && matchesType(value, rule.type) && (!rule.oneOf || rule.oneOf.includes(value))
+
+    if (valid) {
+      normalized[field] = value
+    } else if (rule.required) {
+      return { error: value == null || value === '' ? `missing ${field}` : `invalid ${field} ${JSON.stringify(value)}` }
+    } else {
+      normalized[field] = rule.default ?? null
+    }
+  }
+  return { record: normalized }
+}
+
+// JSON with sorted object keys, so the checksum doesn't depend on key order
+const canonicalJSON = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+export const backupChecksum = async (data) => {
+  const bytes = new TextEncoder().encode(canonicalJSON(data))
+  const digest = await crypto.subtle.digest('SHA-256', bytes)
+  const hex = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('')
+  return `sha256:${hex}`
+}
+
+const pickProfile = (profile) => Object.fromEntries(
+  Object.keys(BACKUP_SCHEMA.profile).filter(key => profile?.[key] != null).map(key => [key, profile[key]])
+)
+
+// MIGRATIONS[n] upgrades a version n backup to version n + 1
+const MIGRATIONS = {
+  // 1.0: flat { items, messages, calendar_events?, profile, exportedAt, version: '1.0' }, no checksum
+  1: (backup) => ({
+    format: BACKUP_FORMAT,
+    version: 2,
+    exportedAt: backup.exportedAt ?? null,
+    data: {
+      profile: pickProfile(backup.profile),
+      settings: backup.profile?.settings || {},
+      items: backup.items || [],
+      messages: backup.messages || [],
+      calendar_events: backup.calendar_events || []
+    }
+  })
+}
+
+const backupVersion = (backup) => {
+  if (backup.version === '1.0') return 1
+  return Number.isInteger(backup.version) ? backup.version : null
+}
+
+/**
+ * Verify and upgrade a parsed backup file to BACKUP_VERSION.
+ * Throws with a user-facing message if it's unrecognized, too new or corrupt.
+ */
+export const migrateBackup = async (raw) => {
+  if (!raw || typeof raw !== 'object') throw new Error('Not a Signal Sorter backup')
+
+  let version = backupVersion(raw)
+  if (version === null || (version > 1 && raw.format !== BACKUP_FORMAT)) {
+    throw new Error('Not a Signal Sorter backup')
+  }
+  if (version > BACKUP_VERSION) {
+    throw new Error(`Backup version ${version} was made by a newer version of Signal Sorter`)
+  }
+
+  // Version 1 predates checksums
+  if (version > 1) {
+    if (!raw.data || typeof raw.data !== 'object') throw new Error('Backup is corrupt: missing data')
+    if (raw.checksum !== await backupChecksum(raw.data)) {
+      throw new Error('Backup is corrupt: checksum does not match its contents')
+    }
+  }
+
+  let backup = raw
+  while (version < BACKUP_VERSION) {
+    backup = MIGRATIONS[version](backup)
+    version += 1
+  }
+  return backup
+}
+
+// Build a current-version backup from { profile, items, messages, calendar_events }
+export const createBackup = async ({ profile, items = [], messages = [], calendar_events = [] }) => {
+  const data = {
+    profile: pickProfile(profile),
+    settings: profile?.settings || {},
+    items,
+    messages,
+    calendar_events
+  }
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
     exportedAt: new Date().toISOString(),
-    version: '1.0'
+    checksum: await backupChecksum(data),
+    data
   }
-  const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' })
+}
+
+// Export a full backup as JSON
+export const exportJSON = async (data, filename = 'signal-sorter-backup') => {
+  const backup = await createBackup(data)
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' })
   downloadBlob(blob, `${filename}-${format(new Date(), 'yyyy-MM-dd')}.json`)
 }
 
 // Export items as CSV
 export const exportCSV = (items, filename = 'signal-sorter-items') => {
-  const headers = ['Name', 'Classification', 'What', 'Why', 'Next Action', 'Status', 'Completed', 'Created At']
+  const headers = ['Name', 'Classification', 'What', 'Why', 'Next Action', 'Status', 'Completed', 'Due', 'Estimate Minutes', 'Energy', 'Created At']
   const rows = items.map(item => [
     escapeCsv(item.name),
     item.classification,
@@ -22,6 +219,9 @@ export const exportCSV = (items, filename = 'signal-sorter-items') => {
     escapeCsv(item.next_action || ''),
     item.status || 'inbox',
     item.completed ? 'Yes' : 'No',
+    item.due_at ? format(new Date(item.due_at), 'yyyy-MM-dd HH:mm') : '',
+    item.estimate_minutes || '',
+    item.energy || '',
     item.created_at ? format(new Date(item.created_at), 'yyyy-MM-dd HH:mm') : ''
   ])
 
@@ -30,29 +230,390 @@ export const exportCSV = (items, filename = 'signal-sorter-items') => {
   downloadBlob(blob, `${filename}-${format(new Date(), 'yyyy-MM-dd')}.csv`)
 }
 
+/**
+ * Parse CSV text per RFC 4180: quoted fields may contain commas, newlines and
+ * doubled quotes; CRLF or LF row endings; a leading BOM is ignored.
+ * Returns an array of rows (arrays of strings), skipping blank lines.
+ */
+export const parseCSV = (input) => {
+  const text = input.replace(/^\uFEFF/, '')
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  let i = 0
+
+  const endField = () => {
+    row.push(field)
+    field = ''
+  }
+  const endRow = () => {
+    endField()
+    if (row.length > 1 || row[0] !== '') rows.push(row)
+    row = []
+  }
+
+  while (i < text.length) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i += 2
+        continue
+      }
+      if (char === '"') quoted = false
+      else field += char
+      i++
+      continue
+    }
+
+    if (char === '"' && field === '') quoted = true
+    else if (char === ',') endField()
+    else if (char === '\r' && text[i + 1] === '\n') {
+      endRow()
+      i++
+    } else if (char === '\n' || char === '\r') endRow()
+    else field += char
+    i++
+  }
+
+  if (quoted) throw new Error('Unterminated quoted field')
+  if (field !== '' || row.length) endRow()
+  return rows
+}
+
+// Item fields a CSV column can map to, with header names recognised automatically
+export const CSV_FIELDS = [
+  { key: 'name', label: 'Name', aliases: ['name', 'title', 'task', 'item', 'subject'] },
+  { key: 'classification', label: 'Classification', aliases: ['classification', 'category', 'type'] },
+  { key: 'what', label: 'What', aliases: ['what', 'description', 'notes', 'details'] },
+  { key: 'why', label: 'Why', aliases: ['why', 'reason'] },
+  { key: 'next_action', label: 'Next Action', aliases: ['next action', 'next_action', 'next step'] },
+  { key: 'status', label: 'Status', aliases: ['status', 'list'] },
+  { key: 'completed', label: 'Completed', aliases: ['completed', 'done', 'complete'] },
+  { key: 'due_at', label: 'Due', aliases: ['due', 'due date', 'due_at', 'deadline'] },
+  { key: 'estimate_minutes', label: 'Estimate Minutes', aliases: ['estimate minutes', 'estimate_minutes', 'estimate', 'minutes'] },
+  { key: 'energy', label: 'Energy', aliases: ['energy', 'effort'] },
+  { key: 'created_at', label: 'Created At', aliases: ['created at', 'created_at', 'created', 'date'] }
+]
+
+// Map field key -> column index (or -1) from a header row
+export const guessCSVMapping = (headers) => {
+  const normalized = headers.map(header => header.trim().toLowerCase())
+  return Object.fromEntries(CSV_FIELDS.map(({ key, aliases }) => [
+    key,
+    normalized.findIndex(header => aliases.includes(header))
+  ]))
+}
+
+const TRUTHY = ['yes', 'y', 'true', '1', 'x', 'done', 'completed']
+
+/**
+ * Turn mapped CSV rows into item fields, validated against BACKUP_SCHEMA.items
+ * (the table's CHECK constraints). Rows without a classification come back in
+ * `unclassified` so the caller can classify them; bad rows are reported in `errors`.
+ */
+export const csvRowsToItems = (rows, mapping) => {
+  const spec = BACKUP_SCHEMA.items
+  const items = []
+  const unclassified = []
+  const errors = []
+
+  rows.forEach((row, i) => {
+    const cell = (key) => (mapping[key] >= 0 ? (row[mapping[key]] ?? '').trim() : '')
+    const line = `Row ${i + 2}`
+    const name = cell('name')
+    if (!name) {
+      errors.push(`${line}: missing name`)
+      return
+    }
+
+    const classification = cell('classification').toUpperCase()
+    if (classification && !spec.classification.oneOf.includes(classification)) {
+      errors.push(`${line} ("${name}"): classification must be ${spec.classification.oneOf.join(', ')}`)
+      return
+    }
+
+    const status = cell('status').toLowerCase()
+    if (status && !spec.status.oneOf.includes(status)) {
+      errors.push(`${line} ("${name}"): status must be ${spec.status.oneOf.join(', ')}`)
+      return
+    }
+
+    const createdAt = cell('created_at')
+    if (createdAt && Number.isNaN(Date.parse(createdAt))) {
+      errors.push(`${line} ("${name}"): unreadable date ${createdAt}`)
+      return
+    }
+
+    const due = cell('due_at')
+    if (due && !dueFromInput(due)) {
+      errors.push(`${line} ("${name}"): unreadable due date ${due}`)
+      return
+    }
+
+    const energy = cell('energy')
+    if (energy && !normalizeEnergy(energy)) {
+      errors.push(`${line} ("${name}"): energy must be ${ENERGY_LEVELS.join(', ')}`)
+      return
+    }
+
+    const completed = TRUTHY.includes(cell('completed').toLowerCase()) || status === 'completed'
+    const item = {
+      name,
+      classification: classification || null,
+      what: cell('what') || null,
+      why: cell('why') || null,
+      next_action: cell('next_action') || null,
+      status: status || spec.status.default,
+      completed,
+      due_at: dueFromInput(due),
+      estimate_minutes: normalizeEstimate(cell('estimate_minutes')),
+      energy: normalizeEnergy(energy),
+      created_at: createdAt ? new Date(createdAt).toISOString() : null
+    }
+    if (classification) items.push(item)
+    else unclassified.push(item)
+  })
+
+  return { items, unclassified, errors }
+}
+
+// todo.txt priorities and Markdown section headings per classification
+const PRIORITY_BY_CLASSIFICATION = { SIGNAL: 'A', NECESSARY: 'B', NOISE: 'C' }
+const CLASSIFICATION_BY_PRIORITY = { A: 'SIGNAL', B: 'NECESSARY', C: 'NOISE' }
+const MARKDOWN_HEADINGS = {
+  SIGNAL: '🟢 SIGNALS — Do These',
+  NECESSARY: '🟡 NECESSARY — Batch These',
+  NOISE: '🔴 NOISE — Ignore These'
+}
+
+const dayString = (value) => (value ? format(new Date(value), 'yyyy-MM-dd') : null)
+const dayToISO = (day) => new Date(`${day}T00:00:00`).toISOString()
+const oneLine = (str) => str.replace(/\s*[\r\n]+\s*/g, ' ').trim()
+
+// Shared by the text importers: check status against the schema, fill defaults
+const textItem = (fields, line, errors) => {
+  const status = fields.status || BACKUP_SCHEMA.items.status.default
+  if (!BACKUP_SCHEMA.items.status.oneOf.includes(status)) {
+    errors.push(`Line ${line} ("${fields.name}"): status must be ${BACKUP_SCHEMA.items.status.oneOf.join(', ')}`)
+    return null
+  }
+  return {
+    name: fields.name,
+    classification: fields.classification || null,
+    what: fields.what || null,
+    why: fields.why || null,
+    next_action: fields.next_action || null,
+    status,
+    completed: !!fields.completed,
+    completed_at: fields.completed_at || null,
+    due_at: dueFromInput(fields.due_at),
+    estimate_minutes: normalizeEstimate(fields.estimate_minutes),
+    energy: normalizeEnergy(fields.energy),
+    created_at: fields.created_at || null
+  }
+}
+
+const splitClassified = (items) => ({
+  items: items.filter(item => item.classification),
+  unclassified: items.filter(item => !item.classification)
+})
+
+/**
+ * todo.txt (https://github.com/todotxt/todo.txt):
+ *   (A) 2024-01-02 Name status:today due:2024-01-05 est:30 next:Call%20Bob
+ *   x 2024-01-05 2024-01-02 Name pri:A
+ * Priority A/B/C is the classification; completed tasks keep it as pri:.
+ * Values of our key:value tags are URI-encoded so they can hold spaces.
+ * The creation date is always written (the export day when unknown), so a
+ * name that starts with a date can't be read back as one.
+ */
+export const toTodoTxt = (items, { now = new Date() } = {}) => items.map(item => {
+  const priority = PRIORITY_BY_CLASSIFICATION[item.classification]
+  const created = dayString(item.created_at) || dayString(now)
+  const parts = []
+
+  if (item.completed) {
+    parts.push('x', dayString(item.completed_at) || created)
+  } else if (priority) {
+    parts.push(`(${priority})`)
+  }
+  parts.push(created)
+
+  parts.push(oneLine(item.name))
+  if (item.completed && priority) parts.push(`pri:${priority}`)
+  if (item.status && item.status !== 'inbox') parts.push(`status:${item.status}`)
+  if (item.due_at) parts.push(`due:${dayString(item.due_at)}`)
+  if (item.estimate_minutes) parts.push(`est:${item.estimate_minutes}`)
+  if (item.energy) parts.push(`energy:${item.energy}`)
+  if (item.next_action) parts.push(`next:${encodeURIComponent(oneLine(item.next_action))}`)
+  return parts.join(' ')
+}).join('\n')
+
+const TODO_TAGS = { pri: 'priority', status: 'status', due: 'due_at', est: 'estimate_minutes', energy: 'energy', next: 'next_action' }
+
+export const parseTodoTxt = (text) => {
+  const parsed = []
+  const errors = []
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    let rest = raw.trim()
+    if (!rest) return
+
+    const fields = {}
+    const take = (pattern) => {
+      const match = rest.match(pattern)
+      if (match) rest = rest.slice(match[0].length)
+      return match
+    }
+
+    if (take(/^x\s+/)) {
+      fields.completed = true
+      const done = take(/^(\d{4}-\d{2}-\d{2})\s+/)
+      if (done) fields.completed_at = dayToISO(done[1])
+    } else {
+      const priority = take(/^\(([A-Z])\)\s+/)
+      if (priority) fields.priority = priority[1]
+    }
+    const created = take(/^(\d{4}-\d{2}-\d{2})\s+/)
+    if (created) fields.created_at = dayToISO(created[1])
+
+    // Pull out our tags; +project, @context and other key:values stay in the name
+    const words = rest.split(/\s+/).filter(word => {
+      const tag = word.match(/^([a-z]+):(\S+)$/)
+      if (!tag || !TODO_TAGS[tag[1]]) return true
+      try {
+        fields[TODO_TAGS[tag[1]]] = decodeURIComponent(tag[2])
+      } catch (err) {
+        fields[TODO_TAGS[tag[1]]] = tag[2]
+      }
+      return false
+    })
+
+    fields.name = words.join(' ')
+    if (!fields.name) {
+      errors.push(`Line ${i + 1}: missing task text`)
+      return
+    }
+    fields.classification = CLASSIFICATION_BY_PRIORITY[fields.priority]
+
+    const item = textItem(fields, i + 1, errors)
+    if (item) parsed.push(item)
+  })
+
+  return { ...splitClassified(parsed), errors }
+}
+
+/**
+ * Markdown checklist with one section per classification (ListView's headings):
+ *   ## 🟢 SIGNALS — Do These
+ *   - [ ] Name
+ *     - Next: Call Bob
+ *     - Status: today
+ *     - Due: 2024-01-05
+ *   - [x] Other
+ *     - Completed: 2024-01-05
+ */
+const MARKDOWN_FIELDS = [
+  ['what', 'What'],
+  ['why', 'Why'],
+  ['next_action', 'Next'],
+  ['status', 'Status'],
+  ['due_at', 'Due'],
+  ['estimate_minutes', 'Estimate'],
+  ['energy', 'Energy'],
+  ['created_at', 'Created'],
+  ['completed_at', 'Completed']
+]
+
+export const toMarkdown = (items) => {
+  const sections = Object.entries(MARKDOWN_HEADINGS).map(([classification, heading]) => {
+    const lines = items.filter(item => item.classification === classification).flatMap(item => {
+      const details = MARKDOWN_FIELDS
+        .map(([key, label]) => {
+          const value = key.endsWith('_at') ? dayString(item[key]) : item[key]
+          if (!value || (key === 'status' && value === 'inbox')) return null
+          return `  - ${label}: ${oneLine(String(value))}`
+        })
+        .filter(Boolean)
+      return [`- [${item.completed ? 'x' : ' '}] ${oneLine(item.name)}`, ...details]
+    })
+    return lines.length ? `## ${heading}\n\n${lines.join('\n')}` : null
+  })
+
+  return ['# Signal Sorter', ...sections.filter(Boolean)].join('\n\n') + '\n'
+}
+
+export const parseMarkdown = (text) => {
+  const parsed = []
+  const errors = []
+  const labels = Object.fromEntries(MARKDOWN_FIELDS.map(([key, label]) => [label.toLowerCase(), key]))
+  let classification = null
+  let current = null
+
+  const finish = () => {
+    if (!current) return
+    const item = textItem(current.fields, current.line, errors)
+    if (item) parsed.push(item)
+    current = null
+  }
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const heading = raw.match(/^#{1,6}\s+(.*)$/)
+    if (heading) {
+      finish()
+      // "🟢 SIGNALS — Do These" or just "Noise"; the "# Signal Sorter" title isn't a section
+      const section = heading[1].replace(/^[^A-Za-z]+/, '').match(/^(signal|necessary|noise)s?\b(?!\s+sorter)/i)
+      classification = section ? section[1].toUpperCase() : null
+      return
+    }
+
+    const task = raw.match(/^[-*+]\s+\[([ xX])\]\s+(.*)$/)
+    if (task) {
+      finish()
+      current = { line: i + 1, fields: { name: task[2].trim(), classification, completed: task[1] !== ' ' } }
+      if (!current.fields.name) {
+        errors.push(`Line ${i + 1}: missing task text`)
+        current = null
+      }
+      return
+    }
+
+    // Indented "- Label: value" lines belong to the task above
+    const detail = raw.match(/^\s+[-*+]\s+([A-Za-z ]+):\s*(.*)$/)
+    const key = detail && labels[detail[1].trim().toLowerCase()]
+    if (current && key && detail[2].trim()) {
+      const value = detail[2].trim()
+      // Due days stay bare so they mean the end of the day
+      current.fields[key] = key.endsWith('_at') && key !== 'due_at' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? dayToISO(value) : value
+    }
+  })
+  finish()
+
+  return { ...splitClassified(parsed), errors }
+}
+
+// Export items as todo.txt
+export const exportTodoTxt = (items, filename = 'signal-sorter-todo') => {
+  const blob = new Blob([toTodoTxt(items) + '\n'], { type: 'text/plain' })
+  downloadBlob(blob, `${filename}-${format(new Date(), 'yyyy-MM-dd')}.txt`)
+}
+
+// Export items as a Markdown checklist
+export const exportMarkdown = (items, filename = 'signal-sorter-checklist') => {
+  const blob = new Blob([toMarkdown(items)], { type: 'text/markdown' })
+  downloadBlob(blob, `${filename}-${format(new Date(), 'yyyy-MM-dd')}.md`)
+}
+
 // Export calendar events as ICS
 export const exportICS = (events, filename = 'signal-sorter-calendar') => {
-  const icsEvents = events.map(event => {
-    const start = formatICSDate(new Date(event.start_time))
-    const end = formatICSDate(new Date(event.end_time))
-    
-    return `BEGIN:VEVENT
-UID:${event.id}@signalsorter
-DTSTART:${start}
-DTEND:${end}
-SUMMARY:${escapeICS(event.title)}
-DESCRIPTION:${escapeICS(event.description || '')}
-END:VEVENT`
-  }).join('\n')
-
-  const ics = `BEGIN:VCALENDAR
-VERSION:2.0
-PRODID:-//Signal Sorter//EN
-CALSCALE:GREGORIAN
-METHOD:PUBLISH
-${icsEvents}
-END:VCALENDAR`
-
+  const ics = buildCalendar(events, {
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    name: 'Signal Sorter',
+    itemUrl: (itemId) => `${window.location.origin}/?item=${itemId}`
+  })
   const blob = new Blob([ics], { type: 'text/calendar' })
   downloadBlob(blob, `${filename}-${format(new Date(), 'yyyy-MM-dd')}.ics`)
 }
@@ -135,33 +696,40 @@ const downloadBlob = (blob, filename) => {
 }
 
 const escapeCsv = (str) => {
-  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+  if (/[",\r\n]/.test(str)) {
     return `"${str.replace(/"/g, '""')}"`
   }
   return str
 }
 
-const escapeICS = (str) => {
-  return str.replace(/[,;\\]/g, '\\$&').replace(/\n/g, '\\n')
-}
-
-const formatICSDate = (date) => {
-  return format(date, "yyyyMMdd'T'HHmmss")
-}
-
-// Import from JSON backup
-export const importJSON = (file) => {
+const readText = (file) => {
   return new Promise((resolve, reject) => {
     const reader = new FileReader()
-    reader.onload = (e) => {
-      try {
-        const data = JSON.parse(e.target.result)
-        resolve(data)
-      } catch (err) {
-        reject(new Error('Invalid backup file'))
-      }
-    }
+    reader.onload = (e) => resolve(e.target.result)
     reader.onerror = () => reject(new Error('Failed to read file'))
     reader.readAsText(file)
   })
 }
+
+// Import a todo.txt (.txt) or Markdown checklist (.md) file as { items, unclassified, errors }
+export const importTextList = async (file) => {
+  const text = await readText(file)
+  return /\.(md|markdown)$/i.test(file.name) ? parseMarkdown(text) : parseTodoTxt(text)
+}
+
+// Import a CSV file as { headers, rows }
+export const importCSV = async (file) => {
+  const [headers, ...rows] = parseCSV(await readText(file))
+  if (!headers) throw new Error('The file is empty')
+  return { headers, rows }
+}
+
+// Import from JSON backup
+export const importJSON = async (file) => {
+  const text = await readText(file)
+  try {
+    return JSON.parse(text)
+  } catch (err) {
+    throw new Error('Invalid backup file')
+  }
+}
@@ -0,0 +1,456 @@
+/**
+ * iCalendar (RFC 5545) generation
+ *
+ * Shared by the .ics download and the /api/calendar feed, so this file has no
+ * browser- or bundler-only imports.
+ * - Timed events are written in UTC ("Z"), which every client converts to the
+ *   viewer's zone without needing a VTIMEZONE block
+ * - Recurring series are the exception: they use TZID wall times in the
+ *   calendar's zone so occurrences keep their local time across DST, and the
+ *   calendar then carries a VTIMEZONE for that zone (§3.2.19), built from the
+ *   zone's own offset changes
+ * - All-day events are DATE values (DTEND exclusive) in the calendar's time zone
+ * - Lines are CRLF-terminated and folded at 75 octets
+ */
+
+import { DAY_MS, expandRule, parseDateValue, parseRule, toInstant, zoneOffset } from './recurrence.js'
+
+const PRODID = '-//Signal Sorter//Calendar 1.0//EN'
+const UID_DOMAIN = 'signalsorter'
+
+const pad = (n) => String(n).padStart(2, '0')
+
+export const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n')
+
+// 20240105T143000Z
+export const formatUTC = (date) => (
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+)
+
+// Calendar date of `date` in `timeZone` as 20240105
+export const formatDateIn = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date)
+  const get = (type) => parts.find(part => part.type === type).value
+  return `${get('year')}${get('month')}${get('day')}`
+}
+
+// Wall-clock time of `date` in `timeZone` as 20240105T143000
+const formatDateTimeIn = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date)
+  const get = (type) => parts.find(part => part.type === type).value
+  return `${get('year')}${get('month')}${get('day')}T${get('hour')}${get('minute')}${get('second')}`
+}
+
+const nextDay = (yyyymmdd) => {
+  const date = new Date(Date.UTC(+yyyymmdd.slice(0, 4), +yyyymmdd.slice(4, 6) - 1, +yyyymmdd.slice(6, 8) + 1))
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+}
+
+// Fold a content line to 75 octets (RFC 5545 §3.1) without splitting a UTF-8 sequence
+export const foldLine = (line) => {
+  const encoder = new TextEncoder()
+  const lines = []
+  let current = ''
+  let size = 0
+
+  for (const char of line) {
+    const bytes = encoder.encode(char).length
+    if (size + bytes > 75) {
+      lines.push(current)
+      current = ' '
+      size = 1
+    }
+    current += char
+    size += bytes
+  }
+  lines.push(current)
+  return lines.join('\r\n')
+}
+
+export const eventUid = (event) => `${event.id}@${UID_DOMAIN}`
+
+// Event id behind a UID we exported, or null for other calendars' UIDs
+export const ownEventId = (uid) => (uid.endsWith(`@${UID_DOMAIN}`) ? uid.slice(0, -UID_DOMAIN.length - 1) : null)
+
+// DATE-TIME property in UTC, or as a TZID wall time when `zoned`
+const timeProperty = (name, date, { timeZone, zoned }) => (
+  zoned ? `${name};TZID=${timeZone}:${formatDateTimeIn(date, timeZone)}` : `${name}:${formatUTC(date)}`
+)
+
+// Start of an occurrence, in the same form as its series' DTSTART
+const occurrenceProperty = (name, date, { allDay, timeZone, zoned }) => (
+  allDay ? `${name};VALUE=DATE:${formatDateIn(date, timeZone)}` : timeProperty(name, date, { timeZone, zoned })
+)
+
+// Series and their edited occurrences (calendar_events.recurrence_parent_id) use TZID wall times
+const isZoned = (event, timeZone, series) => (
+  timeZone !== 'UTC' && !!(event.recurrence_rule || series.has(event.recurrence_parent_id))
+)
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+const MINUTE_MS = 60 * 1000
+
+// -0500, +0530
+const formatOffset = (ms) => {
+  const minutes = Math.round(Math.abs(ms) / MINUTE_MS)
+  return `${ms < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`
+}
+
+// Offset changes of `timeZone` during `year`: [{ at, from, to }], found day by day, then to the minute
+const zoneTransitions = (timeZone, year) => {
+  const transitions = []
+  const end = Date.UTC(year + 1, 0, 1)
+  let at = Date.UTC(year, 0, 1)
+  let offset = zoneOffset(at, timeZone)
+
+  while (at < end) {
+    const next = Math.min(at + DAY_MS, end)
+    const nextOffset = zoneOffset(next, timeZone)
+    if (nextOffset !== offset) {
+      let low = at
+      let high = next
+      while (high - low > MINUTE_MS) {
+        const mid = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS
+        if (zoneOffset(mid, timeZone) === offset) low = mid
+        else high = mid
+      }
+      transitions.push({ at: high, from: offset, to: nextOffset })
+      offset = nextOffset
+    }
+    at = next
+  }
+  return transitions
+}
+
+// Yearly rule behind a transition, from its wall time before the change: 2nd Sunday of March at 02:00
+const observanceOf = ({ at, from, to }) => {
+  const wall = new Date(at + from)
+  const day = wall.getUTCDate()
+  const daysInMonth = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth() + 1, 0)).getUTCDate()
+  const ordinal = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7)
+  return {
+    kind: to > from ? 'DAYLIGHT' : 'STANDARD',
+    start: formatUTC(wall).slice(0, -1),
+    rule: `FREQ=YEARLY;BYMONTH=${wall.getUTCMonth() + 1};BYDAY=${ordinal}${WEEKDAY_CODES[wall.getUTCDay()]}`,
+    time: formatUTC(wall).slice(9, 15),
+    from,
+    to
+  }
+}
+
+/**
+ * VTIMEZONE for `timeZone` covering fromYear onwards. Years that follow the same
+ * rule share one observance; a rule that stopped before toYear gets an UNTIL.
+ */
+const timezoneLines = (timeZone, fromYear, toYear) => {
+  const observances = []
+  for (let year = fromYear; year <= toYear; year++) {
+    for (const transition of zoneTransitions(timeZone, year)) {
+      const observance = observanceOf(transition)
+      const open = observances.findLast(o => o.kind === observance.kind)
+      if (open && open.rule === observance.rule && open.time === observance.time &&
+          open.from === observance.from && open.to === observance.to) {
+        open.last = transition.at
+        open.lastYear = year
+      } else {
+        observances.push({ ...observance, last: transition.at, lastYear: year })
+      }
+    }
+  }
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`]
+  if (!observances.length) {
+    // No DST in the range: one fixed offset
+    const offset = formatOffset(zoneOffset(Date.UTC(fromYear, 0, 1), timeZone))
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD')
+  }
+  for (const { kind, start, rule, from, to, last, lastYear } of observances) {
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${start}`,
+      `RRULE:${rule}${lastYear < toYear ? `;UNTIL=${formatUTC(new Date(last))}` : ''}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `END:${kind}`
+    )
+  }
+  lines.push('END:VTIMEZONE')
+  return lines
+}
+
+const eventLines = (event, { timeZone, itemUrl, stamp, series }) => {
+  const start = new Date(event.start_time)
+  const end = new Date(event.end_time)
+  // Edited occurrences (calendar_events.recurrence_parent_id) share their series' UID
+  const parent = event.recurrence_parent_id ? series.get(event.recurrence_parent_id) : null
+  const zoned = isZoned(event, timeZone, series)
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(parent || event)}`,
+    `DTSTAMP:${stamp}`
+  ]
+
+  if (event.created_at) lines.push(`CREATED:${formatUTC(new Date(event.created_at))}`)
+  if (event.updated_at) lines.push(`LAST-MODIFIED:${formatUTC(new Date(event.updated_at))}`)
+  lines.push(`SEQUENCE:${event.sequence ?? 0}`)
+
+  if (event.all_day) {
+    const startDate = formatDateIn(start, timeZone)
+    // Stored end may be exclusive midnight or a time on the last day
+    const lastDay = end > start ? formatDateIn(new Date(end.getTime() - 1), timeZone) : startDate
+    lines.push(`DTSTART;VALUE=DATE:${startDate}`)
+    lines.push(`DTEND;VALUE=DATE:${nextDay(lastDay < startDate ? startDate : lastDay)}`)
+    lines.push('TRANSP:TRANSPARENT')
+  } else {
+    lines.push(timeProperty('DTSTART', start, { timeZone, zoned }))
+    lines.push(timeProperty('DTEND', end > start ? end : start, { timeZone, zoned }))
+  }
+
+  if (event.recurrence_rule) {
+    lines.push(`RRULE:${event.recurrence_rule}`)
+    for (const exdate of event.recurrence_exdates || []) {
+      lines.push(occurrenceProperty('EXDATE', new Date(exdate), { allDay: event.all_day, timeZone, zoned }))
+    }
+  }
+  if (parent && event.recurrence_original_start) {
+    lines.push(occurrenceProperty('RECURRENCE-ID', new Date(event.recurrence_original_start), { allDay: parent.all_day, timeZone, zoned }))
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title)}`)
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`)
+  if (event.item_id) {
+    if (itemUrl) lines.push(`URL:${itemUrl(event.item_id)}`)
+    lines.push(`X-SIGNAL-SORTER-ITEM-ID:${event.item_id}`)
+  }
+
+  lines.push('END:VEVENT')
+  return lines
+}
+
+/**
+ * Build a VCALENDAR document.
+ * Options: timeZone (IANA, for all-day dates and recurring series; defaults to UTC), name (calendar
+ * title), itemUrl(itemId) -> link back to the source item, now (for DTSTAMP).
+ */
+export const buildCalendar = (events, { timeZone = 'UTC', name, itemUrl, now = new Date() } = {}) => {
+  const stamp = formatUTC(now)
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ]
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`)
+  lines.push(`X-WR-TIMEZONE:${timeZone}`)
+
+  const series = new Map(events.filter(event => event.recurrence_rule).map(event => [event.id, event]))
+
+  // TZID wall times refer to a VTIMEZONE covering the earliest zoned event onwards
+  const zonedStarts = events
+    .filter(event => isZoned(event, timeZone, series))
+    .map(event => new Date(event.recurrence_original_start || event.start_time).getUTCFullYear() - 1)
+  if (zonedStarts.length) {
+    const toYear = now.getUTCFullYear() + 1
+    lines.push(...timezoneLines(timeZone, Math.min(...zonedStarts, toYear), toYear))
+  }
+
+  for (const event of events) {
+    lines.push(...eventLines(event, { timeZone, itemUrl, stamp, series }))
+  }
+  lines.push('END:VCALENDAR')
+
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+/*
+ * Import
+ *
+ * parseCalendar turns VEVENTs into flat event rows. Recurring events are
+ * expanded in their own wall-clock time (so DST shifts are respected) within a
+ * window; EXDATE and RECURRENCE-ID overrides are applied. Each row carries a
+ * stable `key` (UID, plus the original start for occurrences) for upserts.
+ */
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char))
+
+// Split on a separator outside double quotes
+const splitUnquoted = (str, separator, limit = Infinity) => {
+  const parts = []
+  let current = ''
+  let quoted = false
+  for (const char of str) {
+    if (char === '"') quoted = !quoted
+    if (char === separator && !quoted && parts.length < limit - 1) {
+      parts.push(current)
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  parts.push(current)
+  return parts
+}
+
+const parseContentLine = (line) => {
+  const [head, value] = splitUnquoted(line, ':', 2)
+  if (value === undefined) return null
+  const [name, ...paramParts] = splitUnquoted(head, ';')
+  const params = Object.fromEntries(paramParts.map(part => {
+    const [key, val = ''] = part.split(/=(.*)/s)
+    return [key.toUpperCase(), val.replace(/^"|"$/g, '')]
+  }))
+  return { name: name.toUpperCase(), params, value }
+}
+
+// P1W, P2D, PT1H30M, -PT15M
+const parseDuration = (value) => {
+  const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/)
+  if (!match) throw new Error(`Unreadable duration ${value}`)
+  const [, sign, w = 0, d = 0, h = 0, mi = 0, s = 0] = match
+  const ms = (((+w * 7 + +d) * 24 + +h) * 60 + +mi) * 60000 + +s * 1000
+  return sign === '-' ? -ms : ms
+}
+
+const readVEvents = (text) => {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/)
+  const events = []
+  const stack = []
+  let current = null
+
+  for (const line of lines) {
+    if (!line.trim()) continue
+    const prop = parseContentLine(line)
+    if (!prop) continue
+
+    if (prop.name === 'BEGIN') {
+      stack.push(prop.value.toUpperCase())
+      if (prop.value.toUpperCase() === 'VEVENT') current = { props: {}, exdates: [] }
+    } else if (prop.name === 'END') {
+      if (stack.pop() === 'VEVENT' && current) {
+        events.push(current)
+        current = null
+      }
+    } else if (current && stack[stack.length - 1] === 'VEVENT') {
+      if (prop.name === 'EXDATE') current.exdates.push(prop)
+      else current.props[prop.name] = prop
+    }
+  }
+  return events
+}
+
+/**
+ * Parse an .ics file into event rows:
+ *   { key, uid, title, description, start_time, end_time, all_day, recurring }
+ * Recurring events are expanded within [from, to] (defaults: 90 days back,
+ * one year ahead). Events that can't be read are reported in `errors`.
+ */
+export const parseCalendar = (text, {
+  from = Date.now() - 90 * DAY_MS,
+  to = Date.now() + 365 * DAY_MS
+} = {}) => {
+  if (!/BEGIN:VCALENDAR/i.test(text)) throw new Error('Not an iCalendar file')
+
+  const window = { from: +from, to: +to }
+  const rows = []
+  const errors = []
+  const vevents = readVEvents(text)
+
+  // RECURRENCE-ID overrides replace single occurrences of their master
+  const overrides = new Map()
+  for (const vevent of vevents) {
+    const { UID, 'RECURRENCE-ID': recurrenceId } = vevent.props
+    if (UID && recurrenceId) {
+      try {
+        const original = toInstant(parseDateValue(recurrenceId.value, recurrenceId.params))
+        if (!overrides.has(UID.value)) overrides.set(UID.value, new Set())
+        overrides.get(UID.value).add(original)
+      } catch (err) {
+        // Reported when the override itself is read below
+      }
+    }
+  }
+
+  vevents.forEach((vevent, index) => {
+    const { props } = vevent
+    const title = props.SUMMARY ? unescapeText(props.SUMMARY.value).trim() : ''
+    const label = `Event ${index + 1}${title ? ` ("${title}")` : ''}`
+
+    try {
+      if (!props.DTSTART) throw new Error('missing DTSTART')
+      if (props.STATUS?.value.toUpperCase() === 'CANCELLED') return
+
+      const uid = props.UID?.value || `${props.DTSTART.value}-${title}`
+      const start = parseDateValue(props.DTSTART.value, props.DTSTART.params)
+      const startInstant = toInstant(start)
+
+      let duration
+      if (props.DTEND) duration = toInstant(parseDateValue(props.DTEND.value, props.DTEND.params)) - startInstant
+      else if (props.DURATION) duration = parseDuration(props.DURATION.value)
+      else duration = start.allDay ? DAY_MS : 0
+
+      const base = {
+        uid,
+        title: title || '(untitled)',
+        description: props.DESCRIPTION ? unescapeText(props.DESCRIPTION.value) : null,
+        all_day: start.allDay
+      }
+      const row = (instant, key, recurring) => ({
+        ...base,
+        key,
+        recurring,
+        start_time: new Date(instant).toISOString(),
+        end_time: new Date(instant + Math.max(duration, 0)).toISOString()
+      })
+
+      if (props['RECURRENCE-ID']) {
+        const original = toInstant(parseDateValue(props['RECURRENCE-ID'].value, props['RECURRENCE-ID'].params))
+        if (startInstant <= window.to && startInstant + duration >= window.from) {
+          rows.push(row(startInstant, `${uid}/${formatUTC(new Date(original))}`, true))
+        }
+        return
+      }
+
+      if (!props.RRULE) {
+        rows.push(row(startInstant, uid, false))
+        return
+      }
+
+      const excluded = new Set(overrides.get(uid))
+      for (const exdate of vevent.exdates) {
+        for (const value of exdate.value.split(',')) {
+          excluded.add(toInstant(parseDateValue(value.trim(), exdate.params)))
+        }
+      }
+
+      const occurrences = expandRule(start, parseRule(props.RRULE.value), window)
+      for (const instant of occurrences) {
+        if (!excluded.has(instant)) rows.push(row(instant, `${uid}/${formatUTC(new Date(instant))}`, true))
+      }
+    } catch (err) {
+      errors.push(`${label}: ${err.message}`)
+    }
+  })
+
+  rows.sort((a, b) => a.start_time.localeCompare(b.start_time))
+  return { events: rows, errors, window }
+}
@@ -0,0 +1,126 @@
+/**
+ * Auto-planning: fit items into free calendar time
+ *
+ * The AI only orders the work and estimates durations (see estimatePlan in
+ * lib/ai); placement here is deterministic, so blocks never overlap existing
+ * timed events, each other, the past, or the edges of the workday.
+ * - SIGNAL items go into the signal window (workday start to signal window end)
+ * - NECESSARY items are batched back to back after the signal window
+ * - Either falls back to any other free time in the workday
+ */
+
+const MINUTE_MS = 60 * 1000
+const SNAP_MINUTES = 15
+const MAX_MINUTES = 240
+
+export const DEFAULT_MINUTES = { SIGNAL: 60, NECESSARY: 30 }
+
+// Workday hours from the profile, as 'HH:MM' strings
+export const workHours = (profile) => ({
+  workdayStart: (profile?.workday_start || '08:00').slice(0, 5),
+  workdayEnd: profile?.settings?.workday_end || '17:00',
+  signalWindowEnd: profile?.settings?.signal_window_end || '13:00'
+})
+
+// Minutes since midnight for an 'HH:MM' (or 'HH:MM:SS') string
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + (minutes || 0)
+}
+
+const atMinutes = (day, minutes) => {
+  const date = new Date(day)
+  date.setHours(0, minutes, 0, 0)
+  return date.getTime()
+}
+
+const snapUp = (ms) => Math.ceil(ms / (SNAP_MINUTES * MINUTE_MS)) * SNAP_MINUTES * MINUTE_MS
+
+// Estimated minutes rounded up to the grid, or the classification's default
+export const blockMinutes = (item, estimate) => {
+  const minutes = estimate || DEFAULT_MINUTES[item.classification] || DEFAULT_MINUTES.NECESSARY
+  return Math.min(Math.max(Math.ceil(minutes / SNAP_MINUTES) * SNAP_MINUTES, SNAP_MINUTES), MAX_MINUTES)
+}
+
+// Free [start, end) ranges of one workday: the day minus busy ranges and anything before `now`
+const freeRanges = (day, busy, { start, end }, now) => {
+  let ranges = [[Math.max(atMinutes(day, start), snapUp(now)), atMinutes(day, end)]]
+  for (const [busyStart, busyEnd] of busy) {
+    ranges = ranges.flatMap(([from, to]) => (busyEnd <= from || busyStart >= to)
+      ? [[from, to]]
+      : [[from, busyStart], [busyEnd, to]].filter(([a, b]) => b > a))
+  }
+  return ranges.filter(([from, to]) => to > from)
+}
+
+// Claim the earliest `duration` ms inside [windowStart, windowEnd) of any day, in day order
+const claim = (days, duration, window) => {
+  for (const day of days) {
+    const windowStart = atMinutes(day.date, window.start)
+    const windowEnd = atMinutes(day.date, window.end)
+
+    for (let i = 0; i < day.free.length; i++) {
+      const [from, to] = day.free[i]
+      const start = Math.max(from, windowStart)
+      if (Math.min(to, windowEnd) - start < duration) continue
+
+      const pieces = [[from, start], [start + duration, to]].filter(([a, b]) => b > a)
+      day.free.splice(i, 1, ...pieces)
+      return start
+    }
+  }
+  return null
+}
+
+/**
+ * Propose blocks for `estimates` ([{ item, minutes }], most important first)
+ * across `days` (Dates), around `events` (stored or expanded occurrences).
+ * Returns { blocks: [{ item, start, end, minutes, estimated }], unplaced: [item] },
+ * blocks sorted by start.
+ */
+export const planBlocks = ({ estimates, events, days, hours, now = Date.now() }) => {
+  const start = toMinutes(hours.workdayStart)
+  const end = Math.max(toMinutes(hours.workdayEnd), start)
+  const signalEnd = Math.min(Math.max(toMinutes(hours.signalWindowEnd), start), end)
+
+  const busy = events
+    .filter(event => !event.all_day)
+    .map(event => [Date.parse(event.start_time), Date.parse(event.end_time)])
+  const schedule = days.map(date => ({ date, free: freeRanges(date, busy, { start, end }, now) }))
+
+  const workday = { start, end }
+  const preferred = {
+    SIGNAL: { start, end: signalEnd },
+    NECESSARY: { start: signalEnd, end }
+  }
+
+  const blocks = []
+  const unplaced = []
+  // Signals claim the mornings before necessary work takes what's left
+  const ordered = [
+    ...estimates.filter(({ item }) => item.classification === 'SIGNAL'),
+    ...estimates.filter(({ item }) => item.classification !== 'SIGNAL')
+  ]
+
+  for (const { item, minutes: estimate } of ordered) {
+    const minutes = blockMinutes(item, estimate)
+    const duration = minutes * MINUTE_MS
+    const window = preferred[item.classification] || preferred.NECESSARY
+    const blockStart = claim(schedule, duration, window) ?? claim(schedule, duration, workday)
+
+    if (blockStart === null) {
+      unplaced.push(item)
+      continue
+    }
+    blocks.push({
+      item,
+      start: new Date(blockStart),
+      end: new Date(blockStart + duration),
+      minutes,
+      estimated: Boolean(estimate)
+    })
+  }
+
+  blocks.sort((a, b) => a.start - b.start)
+  return { blocks, unplaced }
+}
@@ -0,0 +1,312 @@
+/**
+ * Recurrence rules (RFC 5545 RRULE)
+ *
+ * The expansion engine behind .ics import and the recurring items and events
+ * stored in the app. Dependency-free, like lib/ics.
+ *
+ * Stored series (items.recurrence_rule, calendar_events.recurrence_rule) hold
+ * an RRULE value without the "RRULE:" prefix, e.g. FREQ=WEEKLY;BYDAY=MO, and
+ * are expanded in the browser's local wall-clock time from their first start,
+ * so a 9:00 meeting stays at 9:00 across DST changes.
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+const MAX_OCCURRENCES = 1000
+
+// One formatter per zone: building them dominates the cost of offset lookups
+const zoneFormatters = new Map()
+const zoneFormatter = (timeZone) => {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }))
+  }
+  return zoneFormatters.get(timeZone)
+}
+
+// Offset of `timeZone` from UTC at `instant`, in ms
+export const zoneOffset = (instant, timeZone) => {
+  const parts = zoneFormatter(timeZone).formatToParts(new Date(instant))
+  const get = (type) => +parts.find(part => part.type === type).value
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - instant
+}
+
+// Wall-clock { y, m, d, h, mi, s } in `zone` ('UTC', an IANA name, or null for local) -> ms
+export const wallToInstant = ({ y, m, d, h = 0, mi = 0, s = 0 }, zone) => {
+  if (!zone) return new Date(y, m - 1, d, h, mi, s).getTime()
+  const guess = Date.UTC(y, m - 1, d, h, mi, s)
+  if (zone === 'UTC') return guess
+  try {
+    const first = guess - zoneOffset(guess, zone)
+    return guess - zoneOffset(first, zone)
+  } catch (err) {
+    // Unknown TZID (e.g. Windows zone names): treat as local time
+    return new Date(y, m - 1, d, h, mi, s).getTime()
+  }
+}
+
+// DATE or DATE-TIME value -> { wall, zone, allDay }
+export const parseDateValue = (value, params = {}) => {
+  const date = value.match(/^(\d{4})(\d{2})(\d{2})$/)
+  if (date || params.VALUE === 'DATE') {
+    const [, y, m, d] = date || value.match(/^(\d{4})(\d{2})(\d{2})/)
+    return { wall: { y: +y, m: +m, d: +d }, zone: null, allDay: true }
+  }
+  const dateTime = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z)?$/)
+  if (!dateTime) throw new Error(`Unreadable date ${value}`)
+  const [, y, m, d, h, mi, s, utc] = dateTime
+  return {
+    wall: { y: +y, m: +m, d: +d, h: +h, mi: +mi, s: +s },
+    zone: utc ? 'UTC' : params.TZID || null,
+    allDay: false
+  }
+}
+
+export const toInstant = ({ wall, zone }) => wallToInstant(wall, zone)
+
+export const parseRule = (value) => {
+  const rule = Object.fromEntries(value.split(';').map(part => part.split('=')))
+  return {
+    freq: rule.FREQ,
+    interval: Math.max(1, +rule.INTERVAL || 1),
+    count: rule.COUNT ? +rule.COUNT : null,
+    until: rule.UNTIL ? parseDateValue(rule.UNTIL) : null,
+    byDay: rule.BYDAY ? rule.BYDAY.split(',').map(day => {
+      const [, ordinal, weekday] = day.match(/^([+-]?\d+)?([A-Z]{2})$/) || []
+      return { ordinal: ordinal ? +ordinal : null, weekday: WEEKDAYS.indexOf(weekday) }
+    }) : null,
+    byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number) : null,
+    byMonth: rule.BYMONTH ? rule.BYMONTH.split(',').map(Number) : null
+  }
+}
+
+// Calendar-day arithmetic on { y, m, d } via UTC day numbers
+const dayNumber = ({ y, m, d }) => Math.floor(Date.UTC(y, m - 1, d) / DAY_MS)
+const fromDayNumber = (n) => {
+  const date = new Date(n * DAY_MS)
+  return { y: date.getUTCFullYear(), m: date.getUTCMonth() + 1, d: date.getUTCDate() }
+}
+const weekdayOf = (day) => new Date(dayNumber(day) * DAY_MS).getUTCDay()
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate()
+
+// Days of a month matching BYDAY (with optional ordinals like 2TU or -1FR)
+const monthDaysByWeekday = (y, m, byDay) => {
+  const length = daysInMonth(y, m)
+  const days = []
+  for (const { ordinal, weekday } of byDay) {
+    const matches = []
+    for (let d = 1; d <= length; d++) {
+      if (weekdayOf({ y, m, d }) === weekday) matches.push(d)
+    }
+    if (ordinal === null) days.push(...matches)
+    else if (ordinal > 0 && matches[ordinal - 1]) days.push(matches[ordinal - 1])
+    else if (ordinal < 0 && matches[matches.length + ordinal]) days.push(matches[matches.length + ordinal])
+  }
+  return days
+}
+
+const monthDays = (y, m, rule, startDay) => {
+  if (rule.byMonthDay) {
+    const length = daysInMonth(y, m)
+    return rule.byMonthDay.map(d => (d < 0 ? length + d + 1 : d)).filter(d => d >= 1 && d <= length)
+  }
+  if (rule.byDay) return monthDaysByWeekday(y, m, rule.byDay)
+  return startDay.d <= daysInMonth(y, m) ? [startDay.d] : []
+}
+
+// Candidate days for the `period`-th period after the start, sorted
+const periodDays = (rule, start, period) => {
+  const startDay = start.wall
+  switch (rule.freq) {
+    case 'DAILY':
+      return [fromDayNumber(dayNumber(startDay) + period * rule.interval)]
+    case 'WEEKLY': {
+      // Weeks start on Monday (RFC 5545 default WKST)
+      const weekStart = dayNumber(startDay) - ((weekdayOf(startDay) + 6) % 7) + period * rule.interval * 7
+      const weekdays = rule.byDay ? rule.byDay.map(day => day.weekday) : [weekdayOf(startDay)]
+      return weekdays.map(weekday => fromDayNumber(weekStart + ((weekday + 6) % 7))).sort((a, b) => dayNumber(a) - dayNumber(b))
+    }
+    case 'MONTHLY': {
+      const index = startDay.y * 12 + (startDay.m - 1) + period * rule.interval
+      const y = Math.floor(index / 12)
+      const m = (index % 12) + 1
+      return [...new Set(monthDays(y, m, rule, startDay))].sort((a, b) => a - b).map(d => ({ y, m, d }))
+    }
+    case 'YEARLY': {
+      const y = startDay.y + period * rule.interval
+      const months = rule.byMonth || [startDay.m]
+      return months.flatMap(m => [...new Set(monthDays(y, m, rule, startDay))].sort((a, b) => a - b).map(d => ({ y, m, d })))
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Occurrence start instants (ms) of a recurring event within [from, to].
+ * DTSTART is always the first occurrence; COUNT includes it.
+ */
+export const expandRule = (start, rule, { from, to }) => {
+  const startInstant = toInstant(start)
+  const until = rule.until ? toInstant(rule.until) : Infinity
+  const occurrences = []
+  let count = 0
+
+  const emit = (instant) => {
+    count++
+    if (instant >= from && instant <= to) occurrences.push(instant)
+  }
+
+  emit(startInstant)
+  for (let period = 0; period < 50000; period++) {
+    const days = periodDays(rule, start, period)
+    if (!days) throw new Error(`Unsupported recurrence FREQ=${rule.freq}`)
+
+    for (const day of days) {
+      if (rule.byMonth && !rule.byMonth.includes(day.m)) continue
+      if (rule.freq === 'DAILY' && rule.byDay && !rule.byDay.some(byDay => byDay.weekday === weekdayOf(day))) continue
+
+      const instant = wallToInstant({ ...start.wall, ...day }, start.zone)
+      if (instant <= startInstant) continue
+      if (instant > until || instant > to || (rule.count && count >= rule.count)) return occurrences
+      emit(instant)
+      if (occurrences.length >= MAX_OCCURRENCES) return occurrences
+    }
+  }
+  return occurrences
+}
+
+/*
+ * Stored series
+ */
+
+export const REPEAT_OPTIONS = [
+  { value: '', label: "Doesn't repeat" },
+  { value: 'FREQ=DAILY', label: 'Every day' },
+  { value: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', label: 'Every weekday' },
+  { value: 'FREQ=WEEKLY', label: 'Every week' },
+  { value: 'FREQ=WEEKLY;INTERVAL=2', label: 'Every 2 weeks' },
+  { value: 'FREQ=MONTHLY', label: 'Every month' },
+  { value: 'FREQ=YEARLY', label: 'Every year' }
+]
+
+// Replace a rule's end (UNTIL / COUNT); `end` is e.g. 'COUNT=3', or null for none
+const withEnd = (rule, end) => [
+  ...rule.split(';').filter(part => part && !/^(UNTIL|COUNT)=/.test(part)),
+  ...(end ? [end] : [])
+].join(';')
+
+// The REPEAT_OPTIONS value a rule was made from (ignoring its end)
+export const repeatOption = (rule) => (rule ? withEnd(rule, null) : '')
+
+export const describeRule = (rule) => {
+  if (!rule) return null
+  return REPEAT_OPTIONS.find(option => option.value === repeatOption(rule))?.label || 'Repeats'
+}
+
+// A stored timestamp as a series start in local wall-clock time
+const localStart = (timestamp, allDay = false) => {
+  const date = new Date(timestamp)
+  return {
+    wall: {
+      y: date.getFullYear(),
+      m: date.getMonth() + 1,
+      d: date.getDate(),
+      h: date.getHours(),
+      mi: date.getMinutes(),
+      s: date.getSeconds()
+    },
+    zone: null,
+    allDay
+  }
+}
+
+// Occurrence start instants (ms) of a stored event series within [from, to], minus its exdates
+export const seriesOccurrences = (event, { from, to }) => {
+  const excluded = new Set((event.recurrence_exdates || []).map(date => Date.parse(date)))
+  return expandRule(localStart(event.start_time, event.all_day), parseRule(event.recurrence_rule), { from: +from, to: +to })
+    .filter(instant => !excluded.has(instant))
+}
+
+/**
+ * Replace recurring events with their occurrences overlapping [from, to].
+ * Occurrences keep the series' fields, plus series_id (the stored row) and
+ * occurrence_start (which occurrence, for exdates and "this event" edits).
+ * Occurrences that were edited on their own are stored as separate rows
+ * (recurrence_parent_id + recurrence_original_start) and replace the original.
+ */
+export const expandEvents = (events, { from, to }) => {
+  const edited = new Set(events
+    .filter(event => event.recurrence_parent_id && event.recurrence_original_start)
+    .map(event => `${event.recurrence_parent_id}/${Date.parse(event.recurrence_original_start)}`))
+
+  return events.flatMap(event => {
+    if (!event.recurrence_rule) return [event]
+
+    const duration = Date.parse(event.end_time) - Date.parse(event.start_time)
+    try {
+      return seriesOccurrences(event, { from: +from - duration, to })
+        .filter(instant => !edited.has(`${event.id}/${instant}`))
+        .map(instant => {
+          const start = new Date(instant).toISOString()
+          return {
+            ...event,
+            id: `${event.id}/${instant}`,
+            series_id: event.id,
+            occurrence_start: start,
+            start_time: start,
+            end_time: new Date(instant + duration).toISOString()
+          }
+        })
+    } catch (err) {
+      // Unsupported rule: show the first occurrence only
+      console.warn('[Recurrence] Cannot expand', event.recurrence_rule, err.message)
+      return [event]
+    }
+  }).sort((a, b) => Date.parse(a.start_time) - Date.parse(b.start_time))
+}
+
+const pad = (n) => String(n).padStart(2, '0')
+
+// UNTIL value for the end of the day before a local all-day start, or one second before a timed start
+const untilBefore = (instant, allDay) => {
+  const date = new Date(instant - 1000)
+  if (allDay) return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+  return date.toISOString().replace(/[-:]|\.\d{3}/g, '')
+}
+
+/**
+ * Split a series at one of its occurrences for "this and following" edits:
+ * `head` is the original's rule ending just before it (null when splitting at
+ * the first occurrence), `tail` the rule for a new series starting there.
+ * COUNT is shared out between the two.
+ */
+export const splitSeries = (event, occurrenceStart) => {
+  const at = Date.parse(occurrenceStart)
+  if (at <= Date.parse(event.start_time)) return { head: null, tail: event.recurrence_rule }
+
+  const rule = parseRule(event.recurrence_rule)
+  if (!rule.count) {
+    return { head: withEnd(event.recurrence_rule, `UNTIL=${untilBefore(at, event.all_day)}`), tail: event.recurrence_rule }
+  }
+
+  const before = expandRule(localStart(event.start_time, event.all_day), rule, { from: -Infinity, to: at - 1 }).length
+  return {
+    head: withEnd(event.recurrence_rule, `COUNT=${before}`),
+    tail: withEnd(event.recurrence_rule, `COUNT=${Math.max(rule.count - before, 1)}`)
+  }
+}
+
+// First occurrence of a series strictly after `after` (ms) as an ISO string, or null once it has ended
+export const nextOccurrence = (rule, startTime, after) => {
+  const [next] = expandRule(localStart(startTime), parseRule(rule), { from: after + 1, to: after + 5 * 366 * DAY_MS })
+  return next === undefined ? null : new Date(next).toISOString()
+}
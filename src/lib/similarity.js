@@ -0,0 +1,208 @@
+/**
+ * Signal Sorter Similarity Engine
+ *
+ * Decides whether two item names describe the same task. Shared by the AI
+ * parse path (findMatchingItem) and the duplicate cleanup tool.
+ *
+ * Scoring combines:
+ * - Character-level Levenshtein ratio (typos, near-identical strings)
+ * - Token-set ratio and Jaccard over normalized tokens, where tokens are
+ *   lowercased, stopword-filtered, stemmed and mapped through a synonyms list
+ *   ("Email Sarah re budget" ≈ "Send budget reply to Sarah")
+ * - Optional embedding cosine similarity when vectors are supplied
+ */
+
+export const DEFAULT_THRESHOLD = 0.75
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'to', 'for', 'of', 'on', 'in', 'at', 're', 'about', 'with',
+  'and', 'or', 'my', 'our', 'me', 'from', 'by', 'it', 'this', 'that', 'is', 'be'
+])
+
+// Each group maps to its first word
+export const DEFAULT_SYNONYMS = [
+  ['message', 'email', 'mail', 'send', 'reply', 'respond', 'ping', 'text', 'dm'],
+  ['call', 'phone', 'ring'],
+  ['meet', 'meeting', 'sync', 'catchup'],
+  ['write', 'draft', 'compose'],
+  ['review', 'check', 'proofread'],
+  ['fix', 'repair', 'resolve', 'debug'],
+  ['buy', 'purchase', 'order'],
+  ['prepare', 'prep'],
+  ['doc', 'document', 'docs'],
+  ['presentation', 'deck', 'slides'],
+  ['finish', 'complete', 'wrap'],
+  ['book', 'reserve'],
+  ['update', 'refresh']
+]
+
+// Levenshtein distance for fuzzy matching
+export const levenshtein = (a, b) => {
+  if (!a.length) return b.length
+  if (!b.length) return a.length
+  
+  const matrix = []
+  for (let i = 0; i <= b.length; i++) matrix[i] = [i]
+  for (let j = 0; j <= a.length; j++) matrix[0][j] = j
+  
+  for (let i = 1; i <= b.length; i++) {
+    for (let j = 1; j <= a.length; j++) {
+      matrix[i][j] = b.charAt(i - 1) === a.charAt(j - 1)
+        ? matrix[i - 1][j - 1]
+        : Math.min(
+            matrix[i - 1][j - 1] + 1,
+            matrix[i][j - 1] + 1,
+            matrix[i - 1][j] + 1
+          )
+    }
+  }
+  return matrix[b.length][a.length]
+}
+
+// Normalize text for comparison
+export const normalize = (text) => {
+  return text
+    .toLowerCase()
+    .replace(/^(signal|necessary|noise)[:\s]*/i, '')
+    .replace(/[^\w\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+// Light suffix-stripping stemmer; good enough for short task names
+export const stem = (word) => {
+  if (word.length <= 3) return word
+  if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y'
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3)
+  if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2)
+  if (word.endsWith('es') && /(ss|sh|ch|x)es$/.test(word)) return word.slice(0, -2)
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1)
+  return word
+}
+
+const ratio = (a, b) => {
+  const maxLen = Math.max(a.length, b.length)
+  if (maxLen === 0) return 1
+  return 1 - levenshtein(a, b) / maxLen
+}
+
+const cosine = (a, b) => {
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0
+}
+
+// Build a similarity engine. `vectors` is an optional Map of name -> embedding.
+export const createSimilarityEngine = ({
+  threshold = DEFAULT_THRESHOLD,
+  synonyms = DEFAULT_SYNONYMS,
+  vectors = null
+} = {}) => {
+  const canonical = new Map()
+  for (const [head, ...rest] of synonyms) {
+    for (const word of [head, ...rest]) {
+      canonical.set(word, head)
+      canonical.set(stem(word), head)
+    }
+  }
+
+  const tokenCache = new Map()
+  const tokenize = (text) => {
+    if (tokenCache.has(text)) return tokenCache.get(text)
+    const tokens = new Set(
+      normalize(text)
+        .split(' ')
+        .filter(word => word && !STOPWORDS.has(word))
+        .map(word => canonical.get(word) || canonical.get(stem(word)) || stem(word))
+    )
+    tokenCache.set(text, tokens)
+    return tokens
+  }
+
+  const jaccard = (a, b) => {
+    const tokensA = tokenize(a)
+    const tokensB = tokenize(b)
+    const union = new Set([...tokensA, ...tokensB])
+    if (union.size === 0) return 1
+    const shared = [...tokensA].filter(token => tokensB.has(token)).length
+    return shared / union.size
+  }
+
+  // Compare sorted shared tokens plus each side's remainder, so word order
+  // and repeated words don't matter
+  const tokenSetRatio = (a, b) => {
+    const tokensA = tokenize(a)
+    const tokensB = tokenize(b)
+    const shared = [...tokensA].filter(token => tokensB.has(token)).sort()
+    const onlyA = [...tokensA].filter(token => !tokensB.has(token)).sort()
+    const onlyB = [...tokensB].filter(token => !tokensA.has(token)).sort()
+    return ratio([...shared, ...onlyA].join(' '), [...shared, ...onlyB].join(' '))
+  }
+
+  // 0-1 score; 1 means the same task
+  const score = (a, b) => {
+    const lexical = Math.max(
+      ratio(normalize(a), normalize(b)),
+      (jaccard(a, b) + tokenSetRatio(a, b)) / 2
+    )
+
+    const vectorA = vectors?.get(a)
+    const vectorB = vectors?.get(b)
+    if (vectorA && vectorB) {
+      return Math.max(lexical, cosine(vectorA, vectorB))
+    }
+    return lexical
+  }
+
+  // Best candidate above the threshold, or null
+  const findBestMatch = (name, candidates, getName = (c) => c.name) => {
+    let best = null
+    for (const candidate of candidates) {
+      const candidateScore = score(name, getName(candidate))
+      if (candidateScore > threshold && candidateScore > (best?.score ?? 0)) {
+        best = { item: candidate, score: candidateScore }
+      }
+    }
+    return best
+  }
+
+  // Cluster items whose names score above the threshold (transitively).
+  // Returns groups of 2+ items with the lowest pairwise score that linked them.
+  const groupDuplicates = (items, getName = (i) => i.name) => {
+    const parent = items.map((_, i) => i)
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])))
+    const linkScore = new Map()
+
+    for (let i = 0; i < items.length; i++) {
+      for (let j = i + 1; j < items.length; j++) {
+        const pairScore = score(getName(items[i]), getName(items[j]))
+        if (pairScore <= threshold) continue
+
+        const rootI = find(i)
+        const rootJ = find(j)
+        const merged = Math.min(linkScore.get(rootI) ?? 1, linkScore.get(rootJ) ?? 1, pairScore)
+        if (rootI !== rootJ) parent[rootJ] = rootI
+        linkScore.set(rootI, merged)
+      }
+    }
+
+    const groups = new Map()
+    items.forEach((item, i) => {
+      const root = find(i)
+      if (!groups.has(root)) groups.set(root, [])
+      groups.get(root).push(item)
+    })
+
+    return [...groups.entries()]
+      .filter(([, group]) => group.length > 1)
+      .map(([root, group]) => ({ items: group, score: linkScore.get(root) ?? 1 }))
+  }
+
+  return { threshold, score, jaccard, tokenSetRatio, tokenize, findBestMatch, groupDuplicates }
+}
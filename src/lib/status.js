@@ -0,0 +1,36 @@
+/**
+ * Item status workflow
+ *
+ * items.status puts an open item in a triage bucket: new items land in the
+ * inbox and get moved to today, this week or someday. 'completed' mirrors the
+ * completed flag; withStatus keeps the pair in step on every write (migration
+ * 010 enforces the same rule in the database).
+ */
+
+export const BUCKETS = [
+  { id: 'inbox', label: 'Inbox' },
+  { id: 'today', label: 'Today' },
+  { id: 'week', label: 'This Week' },
+  { id: 'someday', label: 'Someday' }
+]
+
+// Where reopened items go
+export const REOPEN_STATUS = 'inbox'
+
+export const bucketLabel = (status) => BUCKETS.find(bucket => bucket.id === status)?.label || status
+
+// Bucket of an open item; rows from before the workflow may have no status
+export const bucketOf = (item) => (item.status && item.status !== 'completed' ? item.status : REOPEN_STATUS)
+
+// Complete a change to `completed` or `status` with the other half of the pair
+export const withStatus = (changes) => {
+  if ('completed' in changes) {
+    if (changes.completed) return { ...changes, status: 'completed' }
+    return changes.status && changes.status !== 'completed' ? changes : { ...changes, status: REOPEN_STATUS }
+  }
+  if (changes.status === 'completed') {
+    return { ...changes, completed: true, completed_at: changes.completed_at || new Date().toISOString() }
+  }
+  if (changes.status) return { ...changes, completed: false, completed_at: null }
+  return changes
+}
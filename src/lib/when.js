@@ -0,0 +1,335 @@
+import { addDays, addMinutes, addMonths, addWeeks, endOfMonth, format, startOfDay, startOfMonth, startOfWeek } from 'date-fns'
+import { wallToInstant } from './recurrence.js'
+
+/**
+ * Natural-language dates and times
+ *
+ * parseWhen('call dentist tomorrow at 3') finds the date and time phrases in a
+ * line of text, resolves them in the user's time zone and returns the rest as
+ * the title. Days are worked out on wall-clock dates with date-fns and only the
+ * final wall time becomes an instant (lib/recurrence), so "tomorrow at 9" is
+ * 9:00 in `timeZone` whatever zone the browser is in.
+ *
+ * The workday shapes the guesses: a day without a time starts at workdayStart,
+ * "morning" is workdayStart, "end of day" is workdayEnd, and a bare "at 3" is
+ * the 3 o'clock in or after the workday (15:00). Numeric dates are month/day.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+const NUMBERS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 }
+const PART_OF_DAY = { afternoon: '14:00', evening: '19:00' }
+
+const MONTH = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?'
+const WEEKDAY = 'monday|tuesday|wednesday|thursday|friday|saturday|sunday'
+const WEEKDAY_SHORT = 'mon|tues?|wed|thur?s?|fri|sat|sun'
+const MERIDIEM = 'am|pm|a\\.m\\.|p\\.m\\.'
+// "by Friday", "due on the 3rd": the phrase is a deadline
+const DAY_LEAD = '(?:(?<lead>by|due(?:\\s+(?:on|by))?|before|on)\\s+)?'
+const TIME_LEAD = '(?:(?<lead>at|by|around|before)\\s+)?'
+
+const DEADLINE_LEADS = /^(by|due|before)/
+
+const amount = (value) => {
+  const word = value.toLowerCase().replace(/\s+/g, ' ')
+  if (word.startsWith('half')) return 0.5
+  return NUMBERS[word] ?? Number(word)
+}
+
+const monthIndex = (name) => MONTHS.findIndex(month => name.toLowerCase().startsWith(month))
+
+// Calendar day from parts, or null for impossible dates like Feb 30
+const calendarDay = (year, month, day) => {
+  const date = new Date(year, month, day)
+  return date.getMonth() === month && date.getDate() === day ? date : null
+}
+
+// A day given without a year is the next one to come
+const upcomingDay = (month, day, year, today) => {
+  if (year) return calendarDay(year < 100 ? 2000 + year : year, month, day)
+  const date = calendarDay(today.getFullYear(), month, day)
+  return date && date < today ? calendarDay(today.getFullYear() + 1, month, day) : date
+}
+
+const weekStart = (day) => startOfWeek(day, { weekStartsOn: 1 })
+
+// "friday" / "this friday": the next one, today included; "next friday": the one in next week
+const weekdayDay = (name, which, today) => {
+  const weekday = WEEKDAYS.indexOf(name.slice(0, 3).toLowerCase())
+  if (which === 'next') return addDays(weekStart(addWeeks(today, 1)), (weekday + 6) % 7)
+  return addDays(today, (weekday - today.getDay() + 7) % 7)
+}
+
+const clock = (value) => {
+  const [h, mi] = value.split(':').map(Number)
+  return { h, mi, exact: true }
+}
+
+const hourOf = (h, mi, meridiem) => {
+  if (h > 23 || mi > 59) return null
+  if (!meridiem) return { h, mi: mi || 0, exact: h === 0 || h > 12 }
+  if (h < 1 || h > 12) return null
+  const pm = meridiem.toLowerCase().startsWith('p')
+  return { h: (h % 12) + (pm ? 12 : 0), mi: mi || 0, exact: true }
+}
+
+/**
+ * Rules in priority order. Each turns a match into some of:
+ *   day       wall-clock midnight (a local Date)
+ *   time      { h, mi, exact }; an inexact hour may still move to the afternoon
+ *   endTime   end of a range ("3-4pm")
+ *   minutes   duration ("for 30 min")
+ *   part      'morning' | 'afternoon' | 'evening'
+ *   instant   an exact moment ("in 2 hours")
+ * A match that sets something already set, or overlaps an earlier match, is skipped.
+ */
+const RULES = [
+  {
+    pattern: `${DAY_LEAD}(?<y>\\d{4})-(?<m>\\d{2})-(?<d>\\d{2})`,
+    resolve: ({ y, m, d }) => ({ day: calendarDay(+y, m - 1, +d) })
+  },
+  {
+    pattern: `${DAY_LEAD}(?:the\\s+)?(?<month>${MONTH})\\.?\\s+(?<d>\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(?<y>\\d{4}))?`,
+    resolve: ({ month, d, y }, { today }) => ({ day: upcomingDay(monthIndex(month), +d, y && +y, today) })
+  },
+  {
+    pattern: `${DAY_LEAD}(?:the\\s+)?(?<d>\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(?<month>${MONTH})(?:,?\\s+(?<y>\\d{4}))?`,
+    resolve: ({ month, d, y }, { today }) => ({ day: upcomingDay(monthIndex(month), +d, y && +y, today) })
+  },
+  {
+    pattern: `${DAY_LEAD}(?<m>\\d{1,2})\\/(?<d>\\d{1,2})(?:\\/(?<y>\\d{4}|\\d{2}))?`,
+    resolve: ({ m, d, y }, { today }) => ({ day: upcomingDay(m - 1, +d, y && +y, today) })
+  },
+  {
+    pattern: `${DAY_LEAD}(?<relative>(?:the\\s+)?day\\s+after\\s+tomorrow|today|tonight|tomorrow|tmrw|tmr)`,
+    resolve: ({ relative }, { today }) => {
+      const word = relative.toLowerCase()
+      if (word.endsWith('after tomorrow')) return { day: addDays(today, 2) }
+      if (word === 'today') return { day: today }
+      if (word === 'tonight') return { day: today, part: 'evening' }
+      return { day: addDays(today, 1) }
+    }
+  },
+  {
+    pattern: `${DAY_LEAD}(?:(?<which>this|next|coming)\\s+)?(?<weekday>${WEEKDAY})`,
+    resolve: ({ weekday, which }, { today }) => ({ day: weekdayDay(weekday, which?.toLowerCase(), today) })
+  },
+  {
+    // Abbreviations only after a lead word, so "sat down" stays a title
+    pattern: `(?:(?<lead>by|due|before|on)\\s+(?:(?<which>this|next)\\s+)?|(?<which2>this|next)\\s+)(?<weekday>${WEEKDAY_SHORT})\\.?`,
+    resolve: ({ weekday, which, which2 }, { today }) => ({ day: weekdayDay(weekday, (which || which2)?.toLowerCase(), today) })
+  },
+  {
+    pattern: `${DAY_LEAD}(?<period>(?:this|next)\\s+weekend|(?:this|next)\\s+week|next\\s+month|(?:the\\s+)?end\\s+of\\s+(?:the\\s+|this\\s+|next\\s+)?(?:week|month)|eow|eom)`,
+    resolve: ({ period }, { today }) => {
+      const words = period.toLowerCase().replace(/\s+/g, ' ')
+      if (words.endsWith('weekend')) {
+        const saturday = addDays(weekStart(today), 5)
+        return { day: words.startsWith('next') ? addWeeks(saturday, 1) : saturday < today ? today : saturday }
+      }
+      if (words === 'this week') return { day: today }
+      if (words === 'next week') return { day: weekStart(addWeeks(today, 1)) }
+      if (words === 'next month') return { day: startOfMonth(addMonths(today, 1)) }
+      // End of the week is its Friday
+      const next = words.includes('next')
+      if (words.endsWith('week') || words === 'eow') {
+        const friday = addDays(weekStart(next ? addWeeks(today, 1) : today), 4)
+        return { day: friday < today ? today : friday, deadline: true }
+      }
+      return { day: startOfDay(endOfMonth(next ? addMonths(today, 1) : today)), deadline: true }
+    }
+  },
+  {
+    pattern: `in\\s+(?<n>\\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten|half\\s+an?)\\s+(?<unit>min(?:ute)?s?|h(?:ou)?rs?|days?|weeks?|months?)`,
+    resolve: ({ n, unit }, { today, now }) => {
+      const count = amount(n)
+      const kind = unit.toLowerCase()
+      if (kind.startsWith('min')) return { instant: addMinutes(now, Math.round(count)) }
+      if (kind.startsWith('h')) return { instant: addMinutes(now, Math.round(count * 60)) }
+      if (!Number.isInteger(count)) return {}
+      if (kind.startsWith('day')) return { day: addDays(today, count) }
+      if (kind.startsWith('week')) return { day: addWeeks(today, count) }
+      return { day: addMonths(today, count) }
+    }
+  },
+  {
+    // "3-4pm", "from 2 to 3:30", "between 11 and 1pm"
+    pattern: `(?:(?<lead>from|at|between)\\s+)?(?<h1>\\d{1,2})(?::(?<m1>\\d{2}))?\\s*(?<ap1>${MERIDIEM})?\\s*(?:-|–|to|until|and)\\s*(?<h2>\\d{1,2})(?::(?<m2>\\d{2}))?\\s*(?<ap2>${MERIDIEM})?`,
+    resolve: ({ lead, h1, m1, ap1, h2, m2, ap2 }) => {
+      if (!lead && !ap1 && !ap2) return null
+      const end = hourOf(+h2, +m2, ap2)
+      let start = hourOf(+h1, +m1, ap1 || ap2)
+      // "11-1pm" starts in the morning
+      if (start && end && !ap1 && ap2 && start.h * 60 + start.mi > end.h * 60 + end.mi) start = hourOf(+h1, +m1, 'am')
+      return start && end ? { time: start, endTime: end } : null
+    }
+  },
+  {
+    pattern: `${TIME_LEAD}(?<h>\\d{1,2})(?::(?<mi>\\d{2}))?\\s*(?<ap>${MERIDIEM})`,
+    resolve: ({ h, mi, ap }) => ({ time: hourOf(+h, +mi, ap) })
+  },
+  {
+    pattern: `${TIME_LEAD}(?<h>\\d{1,2}):(?<mi>\\d{2})`,
+    resolve: ({ h, mi }) => ({ time: hourOf(+h, +mi) })
+  },
+  {
+    // A bare number is a time only after "at": "at 3", "at 3 o'clock"
+    pattern: `(?<lead>at|by|around)\\s+(?<h>\\d{1,2})(?:\\s*o'?clock)?(?![\\d:/%])(?!\\s*(?:mins?|minutes?|h(?:ou)?rs?|days?|weeks?|months?|people|percent)\\b)`,
+    resolve: ({ h }) => ({ time: hourOf(+h, 0) })
+  },
+  {
+    pattern: `${TIME_LEAD}(?<word>noon|midday|midnight)`,
+    resolve: ({ word }) => ({ time: word.toLowerCase() === 'midnight' ? clock('23:59') : clock('12:00') })
+  },
+  {
+    pattern: `(?:(?<lead>by|before)\\s+)?(?:(?:the\\s+)?end\\s+of\\s+(?:the\\s+)?(?:work\\s*)?day|eod|cob|close\\s+of\\s+business)`,
+    resolve: (_, { workday }) => ({ time: workday.end, deadline: true })
+  },
+  {
+    pattern: `(?:(?:in\\s+the|this)\\s+)?(?<part>morning|afternoon|evening)`,
+    resolve: ({ part }) => ({ part: part.toLowerCase() })
+  },
+  {
+    pattern: `for\\s+(?<n>\\d+(?:\\.\\d+)?|an?|one|two|three|half\\s+an?)\\s*(?<unit>min(?:ute)?s?|h(?:ou)?rs?)`,
+    resolve: ({ n, unit }) => {
+      const minutes = Math.round(amount(n) * (unit.toLowerCase().startsWith('h') ? 60 : 1))
+      return minutes > 0 ? { minutes } : null
+    }
+  }
+].map(rule => ({ ...rule, regex: new RegExp(`\\b${rule.pattern}(?![\\w])`, 'gi') }))
+
+// Wall-clock time in `timeZone` as a local Date, for date-fns arithmetic
+const wallNow = (now, timeZone) => {
+  if (!timeZone) return now
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(now).map(part => [part.type, part.value]))
+  return new Date(+parts.year, parts.month - 1, +parts.day, +parts.hour, +parts.minute)
+}
+
+const validZone = (timeZone) => {
+  if (!timeZone) return null
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return timeZone
+  } catch (err) {
+    return null
+  }
+}
+
+// An hour without am/pm reads as the afternoon when the part of day or workday says so
+const settleTime = (time, part, workday) => {
+  if (time.exact || time.h >= 12) return time
+  if (part === 'afternoon' || part === 'evening') return { ...time, h: time.h + 12 }
+  if (part === 'morning') return time
+  return time.h * 60 + time.mi < workday.start.h * 60 + workday.start.mi ? { ...time, h: time.h + 12 } : time
+}
+
+const cleanTitle = (text) => text
+  .replace(/\s{2,}/g, ' ')
+  .replace(/^[\s,;:-]+|[\s,;:.-]+$/g, '')
+  .replace(/\s+(?:at|on|by|due|for|from|in|the)$/i, '')
+  .trim()
+
+/**
+ * Find the date and time in `text`, or null when there is none.
+ * Returns { title, start, end, allDay, day, deadline, timeZone }:
+ *   start     Date; a day without a time starts at workdayStart
+ *   end       Date or null when no range or duration was given
+ *   allDay    no time of day was given
+ *   day       the wall-clock day as yyyy-MM-dd
+ *   deadline  phrased as a deadline ("by Friday", "due tomorrow", "eod")
+ *   timeZone  the zone `day` is in (null for the browser's), for dueFromInput
+ */
+export const parseWhen = (text, { now = new Date(), timeZone = null, workdayStart = '08:00', workdayEnd = '17:00' } = {}) => {
+  if (!text?.trim()) return null
+
+  const zone = validZone(timeZone)
+  const wall = wallNow(now, zone)
+  const context = {
+    now,
+    today: startOfDay(wall),
+    workday: { start: clock(workdayStart), end: clock(workdayEnd) }
+  }
+
+  const found = {}
+  const spans = []
+  let deadline = false
+
+  for (const rule of RULES) {
+    for (const match of text.matchAll(rule.regex)) {
+      const start = match.index
+      const end = start + match[0].length
+      if (spans.some(span => start < span.end && end > span.start)) continue
+
+      const { deadline: isDeadline, ...result } = rule.resolve(match.groups, context) || {}
+      const keys = Object.keys(result)
+      if (!keys.length || keys.some(key => !result[key] || key in found)) continue
+
+      Object.assign(found, result)
+      spans.push({ start, end })
+      deadline = deadline || !!isDeadline || DEADLINE_LEADS.test(match.groups.lead?.toLowerCase() || '')
+    }
+  }
+
+  if (!found.day && !found.time && !found.part && !found.instant) return null
+
+  const toDate = (day, { h, mi }) => new Date(wallToInstant({
+    y: day.getFullYear(),
+    m: day.getMonth() + 1,
+    d: day.getDate(),
+    h,
+    mi
+  }, zone))
+
+  let start
+  let day
+  if (found.instant) {
+    start = found.instant
+    day = wallNow(start, zone)
+  } else {
+    const time = found.time
+      ? settleTime(found.time, found.part, context.workday)
+      : found.part && found.part !== 'morning' ? clock(PART_OF_DAY[found.part]) : context.workday.start
+    day = found.day
+    // A time without a day is the next one to come
+    if (!day) day = found.time && time.h * 60 + time.mi <= wall.getHours() * 60 + wall.getMinutes()
+      ? addDays(context.today, 1)
+      : context.today
+    start = toDate(day, time)
+  }
+
+  let end = null
+  if (found.endTime) {
+    const endTime = settleTime(found.endTime, found.part, context.workday)
+    end = toDate(day, endTime)
+    // An end before the start is the afternoon when am/pm was left open ("10 to 1"),
+    // otherwise the next day ("10pm to 1am")
+    if (end <= start) {
+      const afternoon = !endTime.exact && endTime.h < 12 && toDate(day, { ...endTime, h: endTime.h + 12 })
+      end = afternoon > start ? afternoon : toDate(addDays(day, 1), endTime)
+    }
+  } else if (found.minutes) {
+    end = addMinutes(start, found.minutes)
+  }
+
+  const title = spans
+    .sort((a, b) => b.start - a.start)
+    .reduce((rest, span) => `${rest.slice(0, span.start)} ${rest.slice(span.end)}`, text)
+
+  return {
+    title: cleanTitle(title),
+    start,
+    end,
+    allDay: !found.time && !found.part && !found.instant,
+    day: format(day, 'yyyy-MM-dd'),
+    deadline,
+    timeZone: zone
+  }
+}
@@ -0,0 +1,67 @@
+-- Signal Sorter: daily AI call quota
+-- Enforced by /api/chat through consume_ai_call(); counters are server-owned.
+
+-- Atomically reset (once per UTC day) and increment the caller's AI call counter.
+-- Free users are refused without incrementing once they reach p_free_limit.
+CREATE OR REPLACE FUNCTION public.consume_ai_call(p_user_id UUID, p_free_limit INTEGER)
+RETURNS TABLE (allowed BOOLEAN, tier TEXT, calls_used INTEGER, calls_limit INTEGER, resets_at TIMESTAMPTZ) AS $$
+DECLARE
+  v_user public.users%ROWTYPE;
+  v_is_pro BOOLEAN;
+  v_day_start TIMESTAMPTZ := date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+BEGIN
+  -- Row lock serializes concurrent requests from the same user
+  SELECT * INTO v_user FROM public.users WHERE id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User % not found', p_user_id;
+  END IF;
+
+  IF v_user.daily_ai_calls_reset_at IS NULL OR v_user.daily_ai_calls_reset_at < v_day_start THEN
+    v_user.daily_ai_calls := 0;
+    v_user.daily_ai_calls_reset_at := NOW();
+  END IF;
+
+  v_is_pro := v_user.subscription_tier = 'pro'
+    AND (v_user.subscription_expires_at IS NULL OR v_user.subscription_expires_at > NOW());
+
+  allowed := v_is_pro OR COALESCE(v_user.daily_ai_calls, 0) < p_free_limit;
+  IF allowed THEN
+    v_user.daily_ai_calls := COALESCE(v_user.daily_ai_calls, 0) + 1;
+  END IF;
+
+  UPDATE public.users
+  SET daily_ai_calls = v_user.daily_ai_calls,
+      daily_ai_calls_reset_at = v_user.daily_ai_calls_reset_at
+  WHERE id = p_user_id;
+
+  tier := CASE WHEN v_is_pro THEN 'pro' ELSE 'free' END;
+  calls_used := v_user.daily_ai_calls;
+  calls_limit := CASE WHEN v_is_pro THEN NULL ELSE p_free_limit END;
+  resets_at := v_day_start + INTERVAL '1 day';
+  RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the API (service role) may consume quota
+REVOKE ALL ON FUNCTION public.consume_ai_call(UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.consume_ai_call(UUID, INTEGER) TO service_role;
+
+-- Users may update their own profile, but not their quota or subscription
+CREATE OR REPLACE FUNCTION public.protect_billing_fields()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.role() IS DISTINCT FROM 'service_role' AND current_user <> 'postgres' THEN
+    NEW.daily_ai_calls := OLD.daily_ai_calls;
+    NEW.daily_ai_calls_reset_at := OLD.daily_ai_calls_reset_at;
+    NEW.subscription_tier := OLD.subscription_tier;
+    NEW.subscription_expires_at := OLD.subscription_expires_at;
+    NEW.stripe_customer_id := OLD.stripe_customer_id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_billing_fields ON public.users;
+CREATE TRIGGER protect_billing_fields
+  BEFORE UPDATE ON public.users
+  FOR EACH ROW EXECUTE FUNCTION public.protect_billing_fields();
@@ -0,0 +1,9 @@
+-- Signal Sorter: reversible AI changesets
+-- Each assistant message can carry the item changes it applied, so they can be undone.
+
+ALTER TABLE public.messages ADD COLUMN IF NOT EXISTS changeset JSONB;
+
+-- Needed to attach a changeset after the message is saved and to mark it undone
+DROP POLICY IF EXISTS "Users can update own messages" ON public.messages;
+CREATE POLICY "Users can update own messages" ON public.messages
+  FOR UPDATE USING (auth.uid() = user_id);
@@ -0,0 +1,7 @@
+-- Signal Sorter: user settings and review-before-apply proposals
+
+-- Free-form preferences (e.g. {"review_ai_changes": true})
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS settings JSONB DEFAULT '{}'::jsonb;
+
+-- Proposed AI changes awaiting review: { items, updates, schedules, status }
+ALTER TABLE public.messages ADD COLUMN IF NOT EXISTS proposal JSONB;
@@ -0,0 +1,97 @@
+-- Signal Sorter: restore JSON backups in a single transaction
+-- Called from the client (src/lib/backup.js) with rows already validated,
+-- deduplicated against existing items and given fresh item ids.
+
+-- p_mode 'replace' wipes the caller's items, messages and events first;
+-- 'merge' keeps them and skips messages/events that are already present.
+-- Runs as the caller, so RLS still applies and user_id is always auth.uid().
+CREATE OR REPLACE FUNCTION public.restore_backup(
+  p_mode TEXT,
+  p_items JSONB,
+  p_messages JSONB,
+  p_events JSONB,
+  p_profile JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_items INTEGER := 0;
+  v_messages INTEGER := 0;
+  v_events INTEGER := 0;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+  IF p_mode NOT IN ('merge', 'replace') THEN
+    RAISE EXCEPTION 'Unknown restore mode: %', p_mode;
+  END IF;
+
+  IF p_mode = 'replace' THEN
+    DELETE FROM public.calendar_events WHERE user_id = v_user_id;
+    DELETE FROM public.messages WHERE user_id = v_user_id;
+    DELETE FROM public.items WHERE user_id = v_user_id;
+  END IF;
+
+  INSERT INTO public.items (id, user_id, name, classification, what, why, next_action, status, completed, completed_at, created_at, updated_at)
+  SELECT r.id, v_user_id, r.name, r.classification, r.what, r.why, r.next_action,
+    COALESCE(r.status, 'inbox'), COALESCE(r.completed, FALSE), r.completed_at, COALESCE(r.created_at, NOW()), NOW()
+  FROM jsonb_to_recordset(COALESCE(p_items, '[]'::jsonb)) AS r(
+    id UUID, name TEXT, classification TEXT, what TEXT, why TEXT, next_action TEXT,
+    status TEXT, completed BOOLEAN, completed_at TIMESTAMPTZ, created_at TIMESTAMPTZ
+  );
+  GET DIAGNOSTICS v_items = ROW_COUNT;
+
+  INSERT INTO public.messages (user_id, role, content, created_at)
+  SELECT v_user_id, r.role, r.content, COALESCE(r.created_at, NOW())
+  FROM jsonb_to_recordset(COALESCE(p_messages, '[]'::jsonb)) AS r(role TEXT, content TEXT, created_at TIMESTAMPTZ)
+  WHERE NOT EXISTS (
+    SELECT 1 FROM public.messages m
+    WHERE m.user_id = v_user_id AND m.role = r.role AND m.content = r.content AND m.created_at = r.created_at
+  );
+  GET DIAGNOSTICS v_messages = ROW_COUNT;
+
+  -- Events may only link to the caller's own items
+  INSERT INTO public.calendar_events (user_id, item_id, title, description, start_time, end_time, all_day, created_at)
+  SELECT v_user_id,
+    (SELECT i.id FROM public.items i WHERE i.id = r.item_id AND i.user_id = v_user_id),
+    r.title, r.description, r.start_time, r.end_time, COALESCE(r.all_day, FALSE), COALESCE(r.created_at, NOW())
+  FROM jsonb_to_recordset(COALESCE(p_events, '[]'::jsonb)) AS r(
+    item_id UUID, title TEXT, description TEXT, start_time TIMESTAMPTZ, end_time TIMESTAMPTZ,
+    all_day BOOLEAN, created_at TIMESTAMPTZ
+  )
+  WHERE NOT EXISTS (
+    SELECT 1 FROM public.calendar_events e
+    WHERE e.user_id = v_user_id AND e.title = r.title AND e.start_time = r.start_time
+  );
+  GET DIAGNOSTICS v_events = ROW_COUNT;
+
+  -- Profile fields only; billing fields are guarded by protect_billing_fields
+  IF p_profile IS NOT NULL THEN
+    UPDATE public.users SET
+      name = COALESCE(p_profile->>'name', name),
+      role = COALESCE(p_profile->>'role', role),
+      workday_start = COALESCE((p_profile->>'workday_start')::TIME, workday_start),
+      focus_challenge = COALESCE(p_profile->>'focus_challenge', focus_challenge),
+      work_priorities = CASE WHEN jsonb_typeof(p_profile->'work_priorities') = 'array'
+        THEN ARRAY(SELECT jsonb_array_elements_text(p_profile->'work_priorities')) ELSE work_priorities END,
+      personal_priorities = CASE WHEN jsonb_typeof(p_profile->'personal_priorities') = 'array'
+        THEN ARRAY(SELECT jsonb_array_elements_text(p_profile->'personal_priorities')) ELSE personal_priorities END,
+      goals = CASE WHEN jsonb_typeof(p_profile->'goals') = 'array'
+        THEN ARRAY(SELECT jsonb_array_elements_text(p_profile->'goals')) ELSE goals END,
+      settings = CASE WHEN jsonb_typeof(p_profile->'settings') = 'object'
+        THEN COALESCE(settings, '{}'::jsonb) || (p_profile->'settings') ELSE settings END,
+      updated_at = NOW()
+    WHERE id = v_user_id;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'items', v_items,
+    'messages', v_messages,
+    'events', v_events,
+    'profile', p_profile IS NOT NULL
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.restore_backup(TEXT, JSONB, JSONB, JSONB, JSONB) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.restore_backup(TEXT, JSONB, JSONB, JSONB, JSONB) TO authenticated;
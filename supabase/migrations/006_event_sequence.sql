@@ -0,0 +1,22 @@
+-- Signal Sorter: iCalendar SEQUENCE for calendar events
+-- Calendar apps only accept an updated VEVENT when its SEQUENCE goes up.
+
+ALTER TABLE public.calendar_events ADD COLUMN IF NOT EXISTS sequence INTEGER NOT NULL DEFAULT 0;
+
+-- Bump on any change a calendar app would show
+CREATE OR REPLACE FUNCTION public.bump_event_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (NEW.title, NEW.description, NEW.start_time, NEW.end_time, NEW.all_day)
+    IS DISTINCT FROM (OLD.title, OLD.description, OLD.start_time, OLD.end_time, OLD.all_day) THEN
+    NEW.sequence := OLD.sequence + 1;
+    NEW.updated_at := NOW();
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS bump_event_sequence ON public.calendar_events;
+CREATE TRIGGER bump_event_sequence
+  BEFORE UPDATE ON public.calendar_events
+  FOR EACH ROW EXECUTE FUNCTION public.bump_event_sequence();
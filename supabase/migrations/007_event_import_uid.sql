@@ -0,0 +1,9 @@
+-- Signal Sorter: .ics import
+-- external_uid is the imported VEVENT's UID (plus the original start for
+-- recurring occurrences), so re-importing a file updates rather than duplicates.
+
+ALTER TABLE public.calendar_events ADD COLUMN IF NOT EXISTS external_uid TEXT;
+
+ALTER TABLE public.calendar_events DROP CONSTRAINT IF EXISTS calendar_events_external_uid_key;
+ALTER TABLE public.calendar_events
+  ADD CONSTRAINT calendar_events_external_uid_key UNIQUE (user_id, external_uid);
@@ -0,0 +1,66 @@
+-- Signal Sorter: subscribable calendar feed (/api/calendar/<token>.ics)
+-- The token is a bearer secret in the feed URL. Only the RPCs below may set
+-- it; rotating or revoking invalidates every existing subscription.
+
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS calendar_token TEXT UNIQUE;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS calendar_changed_at TIMESTAMPTZ DEFAULT NOW();
+
+-- New random token for the caller; returns it
+CREATE OR REPLACE FUNCTION public.rotate_calendar_token()
+RETURNS TEXT AS $$
+DECLARE
+  v_token TEXT := replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', '');
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+  UPDATE public.users SET calendar_token = v_token WHERE id = auth.uid();
+  RETURN v_token;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.revoke_calendar_token()
+RETURNS VOID AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+  UPDATE public.users SET calendar_token = NULL WHERE id = auth.uid();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.rotate_calendar_token() FROM PUBLIC, anon;
+REVOKE ALL ON FUNCTION public.revoke_calendar_token() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.rotate_calendar_token() TO authenticated;
+GRANT EXECUTE ON FUNCTION public.revoke_calendar_token() TO authenticated;
+
+-- Billing fields (002) plus the feed token are server-owned
+CREATE OR REPLACE FUNCTION public.protect_billing_fields()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.role() IS DISTINCT FROM 'service_role' AND current_user <> 'postgres' THEN
+    NEW.daily_ai_calls := OLD.daily_ai_calls;
+    NEW.daily_ai_calls_reset_at := OLD.daily_ai_calls_reset_at;
+    NEW.subscription_tier := OLD.subscription_tier;
+    NEW.subscription_expires_at := OLD.subscription_expires_at;
+    NEW.stripe_customer_id := OLD.stripe_customer_id;
+    NEW.calendar_token := OLD.calendar_token;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Feed Last-Modified: any insert, update or delete of the user's events
+CREATE OR REPLACE FUNCTION public.touch_calendar_changed()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE public.users SET calendar_changed_at = NOW()
+  WHERE id = COALESCE(NEW.user_id, OLD.user_id);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS touch_calendar_changed ON public.calendar_events;
+CREATE TRIGGER touch_calendar_changed
+  AFTER INSERT OR UPDATE OR DELETE ON public.calendar_events
+  FOR EACH ROW EXECUTE FUNCTION public.touch_calendar_changed();
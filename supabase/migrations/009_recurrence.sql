@@ -0,0 +1,154 @@
+-- Signal Sorter: recurring events and items
+-- recurrence_rule is an RRULE value without the "RRULE:" prefix
+-- (FREQ=WEEKLY;BYDAY=MO), expanded client-side by src/lib/recurrence.js.
+
+-- Events: a series is one row. Deleted occurrences are listed in
+-- recurrence_exdates; an occurrence edited on its own becomes a separate row
+-- pointing at its series, with the start it replaces.
+ALTER TABLE public.calendar_events ADD COLUMN IF NOT EXISTS recurrence_rule TEXT;
+ALTER TABLE public.calendar_events ADD COLUMN IF NOT EXISTS recurrence_exdates TIMESTAMPTZ[] NOT NULL DEFAULT '{}';
+ALTER TABLE public.calendar_events ADD COLUMN IF NOT EXISTS recurrence_parent_id UUID
+  REFERENCES public.calendar_events(id) ON DELETE CASCADE;
+ALTER TABLE public.calendar_events ADD COLUMN IF NOT EXISTS recurrence_original_start TIMESTAMPTZ;
+
+-- Series are loaded regardless of start date
+CREATE INDEX IF NOT EXISTS idx_calendar_events_recurring ON public.calendar_events(user_id)
+  WHERE recurrence_rule IS NOT NULL;
+
+-- Items: each instance is its own row. Completing one creates the next, dated
+-- recurrence_start, with recurrence_parent_id pointing back at the completed one.
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS recurrence_rule TEXT;
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS recurrence_start TIMESTAMPTZ;
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS recurrence_parent_id UUID
+  REFERENCES public.items(id) ON DELETE SET NULL;
+
+-- Only one follow-up per completed instance, even if it's reopened and completed again
+CREATE UNIQUE INDEX IF NOT EXISTS idx_items_recurrence_parent ON public.items(recurrence_parent_id)
+  WHERE recurrence_parent_id IS NOT NULL;
+
+-- Recurrence changes are visible in calendar apps too
+CREATE OR REPLACE FUNCTION public.bump_event_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (NEW.title, NEW.description, NEW.start_time, NEW.end_time, NEW.all_day, NEW.recurrence_rule, NEW.recurrence_exdates)
+    IS DISTINCT FROM (OLD.title, OLD.description, OLD.start_time, OLD.end_time, OLD.all_day, OLD.recurrence_rule, OLD.recurrence_exdates) THEN
+    NEW.sequence := OLD.sequence + 1;
+    NEW.updated_at := NOW();
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Restore carries the recurrence fields. Events now keep their (remapped) ids
+-- so edited occurrences can be linked back to their series; links are set
+-- after inserting, and only to rows the caller owns.
+CREATE OR REPLACE FUNCTION public.restore_backup(
+  p_mode TEXT,
+  p_items JSONB,
+  p_messages JSONB,
+  p_events JSONB,
+  p_profile JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_items INTEGER := 0;
+  v_messages INTEGER := 0;
+  v_events INTEGER := 0;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+  IF p_mode NOT IN ('merge', 'replace') THEN
+    RAISE EXCEPTION 'Unknown restore mode: %', p_mode;
+  END IF;
+
+  IF p_mode = 'replace' THEN
+    DELETE FROM public.calendar_events WHERE user_id = v_user_id;
+    DELETE FROM public.messages WHERE user_id = v_user_id;
+    DELETE FROM public.items WHERE user_id = v_user_id;
+  END IF;
+
+  INSERT INTO public.items (id, user_id, name, classification, what, why, next_action, status, completed, completed_at,
+    recurrence_rule, recurrence_start, created_at, updated_at)
+  SELECT r.id, v_user_id, r.name, r.classification, r.what, r.why, r.next_action,
+    COALESCE(r.status, 'inbox'), COALESCE(r.completed, FALSE), r.completed_at,
+    r.recurrence_rule, r.recurrence_start, COALESCE(r.created_at, NOW()), NOW()
+  FROM jsonb_to_recordset(COALESCE(p_items, '[]'::jsonb)) AS r(
+    id UUID, name TEXT, classification TEXT, what TEXT, why TEXT, next_action TEXT,
+    status TEXT, completed BOOLEAN, completed_at TIMESTAMPTZ, recurrence_rule TEXT, recurrence_start TIMESTAMPTZ,
+    created_at TIMESTAMPTZ
+  );
+  GET DIAGNOSTICS v_items = ROW_COUNT;
+
+  -- One follow-up per parent (idx_items_recurrence_parent): the newest when the backup has several
+  UPDATE public.items i SET recurrence_parent_id = r.recurrence_parent_id
+  FROM (
+    SELECT DISTINCT ON (b.recurrence_parent_id) b.id, b.recurrence_parent_id
+    FROM jsonb_to_recordset(COALESCE(p_items, '[]'::jsonb)) AS b(id UUID, recurrence_parent_id UUID, created_at TIMESTAMPTZ)
+    WHERE b.recurrence_parent_id IS NOT NULL
+    ORDER BY b.recurrence_parent_id, b.created_at DESC NULLS LAST
+  ) r
+  WHERE i.id = r.id AND i.user_id = v_user_id
+    AND EXISTS (SELECT 1 FROM public.items p WHERE p.id = r.recurrence_parent_id AND p.user_id = v_user_id)
+    AND NOT EXISTS (SELECT 1 FROM public.items c WHERE c.recurrence_parent_id = r.recurrence_parent_id);
+
+  INSERT INTO public.messages (user_id, role, content, created_at)
+  SELECT v_user_id, r.role, r.content, COALESCE(r.created_at, NOW())
+  FROM jsonb_to_recordset(COALESCE(p_messages, '[]'::jsonb)) AS r(role TEXT, content TEXT, created_at TIMESTAMPTZ)
+  WHERE NOT EXISTS (
+    SELECT 1 FROM public.messages m
+    WHERE m.user_id = v_user_id AND m.role = r.role AND m.content = r.content AND m.created_at = r.created_at
+  );
+  GET DIAGNOSTICS v_messages = ROW_COUNT;
+
+  -- Events may only link to the caller's own items
+  INSERT INTO public.calendar_events (id, user_id, item_id, title, description, start_time, end_time, all_day,
+    recurrence_rule, recurrence_exdates, recurrence_original_start, created_at)
+  SELECT COALESCE(r.id, gen_random_uuid()), v_user_id,
+    (SELECT i.id FROM public.items i WHERE i.id = r.item_id AND i.user_id = v_user_id),
+    r.title, r.description, r.start_time, r.end_time, COALESCE(r.all_day, FALSE),
+    r.recurrence_rule, COALESCE(r.recurrence_exdates, '{}'), r.recurrence_original_start, COALESCE(r.created_at, NOW())
+  FROM jsonb_to_recordset(COALESCE(p_events, '[]'::jsonb)) AS r(
+    id UUID, item_id UUID, title TEXT, description TEXT, start_time TIMESTAMPTZ, end_time TIMESTAMPTZ,
+    all_day BOOLEAN, recurrence_rule TEXT, recurrence_exdates TIMESTAMPTZ[], recurrence_original_start TIMESTAMPTZ,
+    created_at TIMESTAMPTZ
+  )
+  WHERE NOT EXISTS (
+    SELECT 1 FROM public.calendar_events e
+    WHERE e.user_id = v_user_id AND e.title = r.title AND e.start_time = r.start_time
+  );
+  GET DIAGNOSTICS v_events = ROW_COUNT;
+
+  UPDATE public.calendar_events e SET recurrence_parent_id = r.recurrence_parent_id
+  FROM jsonb_to_recordset(COALESCE(p_events, '[]'::jsonb)) AS r(id UUID, recurrence_parent_id UUID)
+  WHERE e.id = r.id AND e.user_id = v_user_id
+    AND EXISTS (SELECT 1 FROM public.calendar_events p WHERE p.id = r.recurrence_parent_id AND p.user_id = v_user_id);
+
+  -- Profile fields only; billing fields are guarded by protect_billing_fields
+  IF p_profile IS NOT NULL THEN
+    UPDATE public.users SET
+      name = COALESCE(p_profile->>'name', name),
+      role = COALESCE(p_profile->>'role', role),
+      workday_start = COALESCE((p_profile->>'workday_start')::TIME, workday_start),
+      focus_challenge = COALESCE(p_profile->>'focus_challenge', focus_challenge),
+      work_priorities = CASE WHEN jsonb_typeof(p_profile->'work_priorities') = 'array'
+        THEN ARRAY(SELECT jsonb_array_elements_text(p_profile->'work_priorities')) ELSE work_priorities END,
+      personal_priorities = CASE WHEN jsonb_typeof(p_profile->'personal_priorities') = 'array'
+        THEN ARRAY(SELECT jsonb_array_elements_text(p_profile->'personal_priorities')) ELSE personal_priorities END,
+      goals = CASE WHEN jsonb_typeof(p_profile->'goals') = 'array'
+        THEN ARRAY(SELECT jsonb_array_elements_text(p_profile->'goals')) ELSE goals END,
+      settings = CASE WHEN jsonb_typeof(p_profile->'settings') = 'object'
+        THEN COALESCE(settings, '{}'::jsonb) || (p_profile->'settings') ELSE settings END,
+      updated_at = NOW()
+    WHERE id = v_user_id;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'items', v_items,
+    'messages', v_messages,
+    'events', v_events,
+    'profile', p_profile IS NOT NULL
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
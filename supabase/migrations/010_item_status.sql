@@ -0,0 +1,42 @@
+-- Signal Sorter: triage workflow on items.status
+-- Open items sit in a bucket ('inbox', 'today', 'week', 'someday'); 'completed'
+-- mirrors the completed flag. The client keeps the two in step (lib/status.js),
+-- this trigger makes sure every writer does.
+
+-- Bring existing rows in line before enforcing it
+UPDATE public.items SET status = 'completed' WHERE completed AND status IS DISTINCT FROM 'completed';
+UPDATE public.items SET status = 'inbox' WHERE NOT completed AND (status = 'completed' OR status IS NULL);
+
+-- Whichever of completed / status was written wins; reopened items go back to the inbox
+CREATE OR REPLACE FUNCTION public.sync_item_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.status := COALESCE(NEW.status, 'inbox');
+
+  IF TG_OP = 'UPDATE' AND NEW.completed IS DISTINCT FROM OLD.completed THEN
+    IF NEW.completed THEN
+      NEW.status := 'completed';
+    ELSIF NEW.status = 'completed' THEN
+      NEW.status := 'inbox';
+    END IF;
+  ELSIF TG_OP = 'UPDATE' AND NEW.status IS DISTINCT FROM OLD.status THEN
+    NEW.completed := NEW.status = 'completed';
+  ELSIF NEW.completed THEN
+    NEW.status := 'completed';
+  ELSIF NEW.status = 'completed' THEN
+    NEW.completed := TRUE;
+  END IF;
+
+  IF NEW.completed THEN
+    NEW.completed_at := COALESCE(NEW.completed_at, NOW());
+  ELSE
+    NEW.completed_at := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_item_status ON public.items;
+CREATE TRIGGER sync_item_status
+  BEFORE INSERT OR UPDATE ON public.items
+  FOR EACH ROW EXECUTE FUNCTION public.sync_item_status();
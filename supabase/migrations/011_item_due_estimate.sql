@@ -0,0 +1,132 @@
+-- Signal Sorter: deadlines, effort estimates and energy on items
+-- due_at is when the item must be done (a bare day means the end of it);
+-- estimate_minutes the focused time it needs; energy how demanding it is.
+
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS due_at TIMESTAMPTZ;
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS estimate_minutes INTEGER
+  CHECK (estimate_minutes > 0 AND estimate_minutes <= 1440);
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS energy TEXT
+  CHECK (energy IN ('low', 'medium', 'high'));
+
+-- Overdue / due-soon lookups over open items
+CREATE INDEX IF NOT EXISTS idx_items_user_due ON public.items(user_id, due_at)
+  WHERE due_at IS NOT NULL AND NOT completed;
+
+-- Restore carries the new fields. This replaces the restore_backup from 009 (first
+-- defined in 005) and is meant to be the last copy: item rows are read generically,
+-- so every column of public.items a backup carries is restored and anything it
+-- leaves out takes the column default. Later item columns need no new definition.
+CREATE OR REPLACE FUNCTION public.restore_backup(
+  p_mode TEXT,
+  p_items JSONB,
+  p_messages JSONB,
+  p_events JSONB,
+  p_profile JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_items INTEGER := 0;
+  v_messages INTEGER := 0;
+  v_events INTEGER := 0;
+  v_defaults JSONB;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+  IF p_mode NOT IN ('merge', 'replace') THEN
+    RAISE EXCEPTION 'Unknown restore mode: %', p_mode;
+  END IF;
+
+  IF p_mode = 'replace' THEN
+    DELETE FROM public.calendar_events WHERE user_id = v_user_id;
+    DELETE FROM public.messages WHERE user_id = v_user_id;
+    DELETE FROM public.items WHERE user_id = v_user_id;
+  END IF;
+
+  -- Column defaults, evaluated once; id is left out so every row keeps its own
+  EXECUTE (
+    SELECT 'SELECT jsonb_build_object(' || COALESCE(string_agg(format('%L, %s', column_name, column_default), ', '), '') || ')'
+    FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'items' AND column_default IS NOT NULL AND column_name <> 'id'
+  ) INTO v_defaults;
+
+  INSERT INTO public.items
+  SELECT n.*
+  FROM jsonb_array_elements(COALESCE(p_items, '[]'::jsonb)) AS b(item),
+    jsonb_populate_record(NULL::public.items, v_defaults || jsonb_strip_nulls(b.item) || jsonb_build_object(
+      'user_id', v_user_id, 'recurrence_parent_id', NULL, 'updated_at', NOW()
+    )) AS n;
+  GET DIAGNOSTICS v_items = ROW_COUNT;
+
+  -- One follow-up per parent (idx_items_recurrence_parent): the newest when the backup has several
+  UPDATE public.items i SET recurrence_parent_id = r.recurrence_parent_id
+  FROM (
+    SELECT DISTINCT ON (b.recurrence_parent_id) b.id, b.recurrence_parent_id
+    FROM jsonb_to_recordset(COALESCE(p_items, '[]'::jsonb)) AS b(id UUID, recurrence_parent_id UUID, created_at TIMESTAMPTZ)
+    WHERE b.recurrence_parent_id IS NOT NULL
+    ORDER BY b.recurrence_parent_id, b.created_at DESC NULLS LAST
+  ) r
+  WHERE i.id = r.id AND i.user_id = v_user_id
+    AND EXISTS (SELECT 1 FROM public.items p WHERE p.id = r.recurrence_parent_id AND p.user_id = v_user_id)
+    AND NOT EXISTS (SELECT 1 FROM public.items c WHERE c.recurrence_parent_id = r.recurrence_parent_id);
+
+  INSERT INTO public.messages (user_id, role, content, created_at)
+  SELECT v_user_id, r.role, r.content, COALESCE(r.created_at, NOW())
+  FROM jsonb_to_recordset(COALESCE(p_messages, '[]'::jsonb)) AS r(role TEXT, content TEXT, created_at TIMESTAMPTZ)
+  WHERE NOT EXISTS (
+    SELECT 1 FROM public.messages m
+    WHERE m.user_id = v_user_id AND m.role = r.role AND m.content = r.content AND m.created_at = r.created_at
+  );
+  GET DIAGNOSTICS v_messages = ROW_COUNT;
+
+  -- Events may only link to the caller's own items
+  INSERT INTO public.calendar_events (id, user_id, item_id, title, description, start_time, end_time, all_day,
+    recurrence_rule, recurrence_exdates, recurrence_original_start, created_at)
+  SELECT COALESCE(r.id, gen_random_uuid()), v_user_id,
+    (SELECT i.id FROM public.items i WHERE i.id = r.item_id AND i.user_id = v_user_id),
+    r.title, r.description, r.start_time, r.end_time, COALESCE(r.all_day, FALSE),
+    r.recurrence_rule, COALESCE(r.recurrence_exdates, '{}'), r.recurrence_original_start, COALESCE(r.created_at, NOW())
+  FROM jsonb_to_recordset(COALESCE(p_events, '[]'::jsonb)) AS r(
+    id UUID, item_id UUID, title TEXT, description TEXT, start_time TIMESTAMPTZ, end_time TIMESTAMPTZ,
+    all_day BOOLEAN, recurrence_rule TEXT, recurrence_exdates TIMESTAMPTZ[], recurrence_original_start TIMESTAMPTZ,
+    created_at TIMESTAMPTZ
+  )
+  WHERE NOT EXISTS (
+    SELECT 1 FROM public.calendar_events e
+    WHERE e.user_id = v_user_id AND e.title = r.title AND e.start_time = r.start_time
+  );
+  GET DIAGNOSTICS v_events = ROW_COUNT;
+
+  UPDATE public.calendar_events e SET recurrence_parent_id = r.recurrence_parent_id
+  FROM jsonb_to_recordset(COALESCE(p_events, '[]'::jsonb)) AS r(id UUID, recurrence_parent_id UUID)
+  WHERE e.id = r.id AND e.user_id = v_user_id
+    AND EXISTS (SELECT 1 FROM public.calendar_events p WHERE p.id = r.recurrence_parent_id AND p.user_id = v_user_id);
+
+  -- Profile fields only; billing fields are guarded by protect_billing_fields
+  IF p_profile IS NOT NULL THEN
+    UPDATE public.users SET
+      name = COALESCE(p_profile->>'name', name),
+      role = COALESCE(p_profile->>'role', role),
+      workday_start = COALESCE((p_profile->>'workday_start')::TIME, workday_start),
+      focus_challenge = COALESCE(p_profile->>'focus_challenge', focus_challenge),
+      work_priorities = CASE WHEN jsonb_typeof(p_profile->'work_priorities') = 'array'
+        THEN ARRAY(SELECT jsonb_array_elements_text(p_profile->'work_priorities')) ELSE work_priorities END,
+      personal_priorities = CASE WHEN jsonb_typeof(p_profile->'personal_priorities') = 'array'
+        THEN ARRAY(SELECT jsonb_array_elements_text(p_profile->'personal_priorities')) ELSE personal_priorities END,
+      goals = CASE WHEN jsonb_typeof(p_profile->'goals') = 'array'
+        THEN ARRAY(SELECT jsonb_array_elements_text(p_profile->'goals')) ELSE goals END,
+      settings = CASE WHEN jsonb_typeof(p_profile->'settings') = 'object'
+        THEN COALESCE(settings, '{}'::jsonb) || (p_profile->'settings') ELSE settings END,
+      updated_at = NOW()
+    WHERE id = v_user_id;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'items', v_items,
+    'messages', v_messages,
+    'events', v_events,
+    'profile', p_profile IS NOT NULL
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER SET search_path = public;
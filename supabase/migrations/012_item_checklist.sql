@@ -0,0 +1,9 @@
+-- Signal Sorter: checklists on items
+-- A big item breaks down into steps stored on the item itself, in order:
+-- [{ "id": "<uuid>", "text": "Draft copy", "done": false }, ...]
+
+ALTER TABLE public.items ADD COLUMN IF NOT EXISTS checklist JSONB NOT NULL DEFAULT '[]'::jsonb
+  CHECK (jsonb_typeof(checklist) = 'array');
+
+-- restore_backup (011) reads item rows generically, so backups carry checklists
+-- without redefining it
@@ -0,0 +1,69 @@
+import { describe, expect, it, vi } from 'vitest'
+import { planRestore } from '../src/lib/backup'
+
+vi.mock('../src/lib/supabase', () => ({ supabase: {} }))
+
+const backupOf = (items) => ({ items, messages: [], calendar_events: [], profile: null })
+
+// "Weekly report": A and B done, C the open current instance
+const weeklyChain = () => [
+  { id: 'a', name: 'Weekly report', classification: 'NECESSARY', completed: true, recurrence_rule: 'FREQ=WEEKLY' },
+  { id: 'b', name: 'Weekly report', classification: 'NECESSARY', completed: true, recurrence_rule: 'FREQ=WEEKLY', recurrence_parent_id: 'a' },
+  { id: 'c', name: 'Weekly report', classification: 'NECESSARY', completed: false, recurrence_rule: 'FREQ=WEEKLY', recurrence_parent_id: 'b' }
+]
+
+describe('planRestore', () => {
+  it('restores a whole recurrence chain in replace mode', () => {
+    const plan = planRestore(backupOf(weeklyChain()), [], { mode: 'replace' })
+
+    expect(plan.skipped).toEqual([])
+    expect(plan.items.map(item => item.completed)).toEqual([true, true, false])
+    const [a, b, c] = plan.items
+    expect(a.recurrence_parent_id).toBeNull()
+    expect(b.recurrence_parent_id).toBe(a.id)
+    expect(c.recurrence_parent_id).toBe(b.id)
+  })
+
+  it('keeps a recurrence chain in merge mode even when the name is already tracked', () => {
+    const existing = [{ id: 'live', name: 'Weekly report', classification: 'NECESSARY', completed: false }]
+
+    const plan = planRestore(backupOf(weeklyChain()), existing, { mode: 'merge' })
+
+    expect(plan.skipped).toEqual([])
+    expect(plan.items).toHaveLength(3)
+    expect(plan.items[2].recurrence_parent_id).toBe(plan.items[1].id)
+  })
+
+  it('skips items matching existing ones only in merge mode', () => {
+    const backup = backupOf([
+      { id: 'x', name: 'Submit expense report', classification: 'NECESSARY' },
+      { id: 'y', name: 'Plan offsite', classification: 'SIGNAL' }
+    ])
+    const existing = [{ id: 'live', name: 'Submit expense report', classification: 'NECESSARY', completed: false }]
+
+    expect(planRestore(backup, existing, { mode: 'merge' }).items.map(item => item.name)).toEqual(['Plan offsite'])
+    expect(planRestore(backup, existing, { mode: 'replace' }).items).toHaveLength(2)
+  })
+
+  it('never matches backup rows against each other', () => {
+    const backup = backupOf([
+      { id: 'x', name: 'Call mom', classification: 'SIGNAL', completed: true },
+      { id: 'y', name: 'Call mom', classification: 'SIGNAL', completed: false }
+    ])
+
+    const plan = planRestore(backup, [], { mode: 'merge' })
+
+    expect(plan.skipped).toEqual([])
+    expect(plan.items.map(item => item.completed)).toEqual([true, false])
+  })
+
+  it('links events to the item an item was merged into', () => {
+    const backup = {
+      ...backupOf([{ id: 'x', name: 'Submit expense report', classification: 'NECESSARY' }]),
+      calendar_events: [{ id: 'e', item_id: 'x', title: 'Expenses', start_time: '2026-01-05T09:00:00Z', end_time: '2026-01-05T09:30:00Z' }]
+    }
+    const existing = [{ id: 'live', name: 'Submit expense report', classification: 'NECESSARY', completed: false }]
+
+    expect(planRestore(backup, existing, { mode: 'merge' }).events[0].item_id).toBe('live')
+  })
+})
@@ -0,0 +1,198 @@
+/**
+ * /api/chat on the mock provider, end to end: the client's analyzeWithAI posts
+ * to the real handler (in process, no network, no auth) and parses the canned
+ * replies through applyToolCalls / parseResponse.
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import handler from '../api/chat.js'
+import { analyzeWithAI, classifyNames } from '../src/lib/ai'
+
+vi.mock('../src/lib/supabase', () => ({
+  supabase: { auth: { getSession: async () => ({ data: { session: null } }) } }
+}))
+
+// What the handler sent the provider, newest last
+const sent = vi.hoisted(() => [])
+vi.mock('../api/_lib/providers/mock.js', async (importOriginal) => {
+  const { createMockProvider } = await importOriginal()
+  return {
+    createMockProvider: () => {
+      const provider = createMockProvider()
+      return {
+        ...provider,
+        complete: (params) => sent.push(params) && provider.complete(params),
+        stream: (params) => sent.push(params) && provider.stream(params)
+      }
+    }
+  }
+})
+
+// Run the handler for one fetch() and turn what it wrote into a Response
+const callHandler = async (url, { method = 'GET', headers = {}, body } = {}) => {
+  const req = { method, headers: { ...headers }, body: body ? JSON.parse(body) : undefined }
+  let status = 200
+  let payload = ''
+  const responseHeaders = new Headers()
+  const res = {
+    setHeader: (name, value) => responseHeaders.set(name, String(value)),
+    writeHead: (code, values = {}) => {
+      status = code
+      Object.entries(values).forEach(([name, value]) => responseHeaders.set(name, value))
+    },
+    status: (code) => {
+      status = code
+      return res
+    },
+    json: (data) => {
+      responseHeaders.set('Content-Type', 'application/json')
+      payload = JSON.stringify(data)
+      return res
+    },
+    write: (chunk) => {
+      payload += chunk
+    },
+    end: () => res
+  }
+
+  await handler(req, res)
+  return new Response(payload || null, { status, headers: responseHeaders })
+}
+
+const tracked = (name, classification, extra = {}) => ({
+  id: crypto.randomUUID(),
+  name,
+  classification,
+  completed: false,
+  ...extra
+})
+
+beforeEach(() => {
+  vi.stubEnv('LLM_PROVIDER', 'mock')
+  vi.stubGlobal('fetch', vi.fn(callHandler))
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  vi.unstubAllEnvs()
+  vi.unstubAllGlobals()
+  vi.restoreAllMocks()
+})
+
+describe('classify', () => {
+  it('adds new items from tool calls and skips ones already tracked', async () => {
+    const existing = [tracked('Submit expense report', 'NECESSARY')]
+
+    const result = await analyzeWithAI('roadmap, expenses and my bookmarks', existing)
+
+    expect(result.items.map(i => [i.name, i.classification])).toEqual([
+      ['Finish Q3 roadmap draft', 'SIGNAL'],
+      ['Reorganize bookmarks', 'NOISE']
+    ])
+    expect(result.items[0].next_action).toBe('Outline the three themes')
+    expect(result.response).toContain('Your top signal: Finish Q3 roadmap draft')
+    expect(result.quota).toBeNull()
+  })
+
+  it('parses the fenced-JSON reply when the model answers without tools', async () => {
+    vi.stubEnv('MOCK_LLM_TOOLS', 'off')
+
+    const result = await analyzeWithAI('roadmap, expenses and my bookmarks', [])
+
+    expect(result.items.map(i => i.name)).toEqual([
+      'Finish Q3 roadmap draft',
+      'Submit expense report',
+      'Reorganize bookmarks'
+    ])
+    expect(result.items[1]).toMatchObject({ estimate_minutes: 15, energy: 'low' })
+    expect(result.response).toContain('Got it.')
+  })
+
+  it('streams the reply and reports each chunk', async () => {
+    const tokens = []
+
+    const result = await analyzeWithAI('roadmap, expenses and my bookmarks', [], false, {
+      onToken: (token) => tokens.push(token)
+    })
+
+    expect(tokens.join('')).toBe(result.response)
+    expect(result.items).toHaveLength(3)
+  })
+
+  it('builds the prompt from the request context and history instead of the database', async () => {
+    const response = await callHandler('/api/chat', {
+      method: 'POST',
+      body: JSON.stringify({
+        message: 'roadmap',
+        context: { profile: { name: 'Sam' }, items: [tracked('Submit expense report', 'NECESSARY')] },
+        history: [{ role: 'user', content: 'earlier' }, { role: 'assistant', content: 'noted' }]
+      })
+    })
+
+    expect(response.status).toBe(200)
+    const { system, messages } = sent.at(-1)
+    expect(system).toContain('Sam')
+    expect(system).toContain('"Submit expense report" [NECESSARY]')
+    expect(messages).toEqual([
+      { role: 'user', content: 'earlier' },
+      { role: 'assistant', content: 'noted' },
+      { role: 'user', content: 'roadmap' }
+    ])
+  })
+})
+
+describe('reprioritize', () => {
+  it('returns the coaching reply without changing the list', async () => {
+    const existing = [
+      tracked('Finish Q3 roadmap draft', 'SIGNAL', { status: 'today' }),
+      tracked('Submit expense report', 'NECESSARY')
+    ]
+
+    const result = await analyzeWithAI('What should I focus on?', existing, true)
+
+    expect(result.response).toContain('Your #1 priority right now is **Finish Q3 roadmap draft**')
+    expect(result.items).toEqual([])
+    expect(result.updates).toEqual([])
+    expect(result.schedules).toEqual([])
+  })
+})
+
+describe('sort', () => {
+  it('maps classifications back to the names by their number, without history', async () => {
+    const result = await classifyNames(['Draft board memo', 'Renew parking permit', 'Sort desk drawer'])
+
+    expect([...result]).toEqual([
+      ['Draft board memo', 'SIGNAL'],
+      ['Renew parking permit', 'NECESSARY']
+    ])
+    expect(sent.at(-1).messages).toEqual([
+      { role: 'user', content: 'Classify these tasks:\n1. Draft board memo\n2. Renew parking permit\n3. Sort desk drawer' }
+    ])
+  })
+})
+
+describe('offline handler', () => {
+  it('reports no quota without a signed-in user', async () => {
+    const response = await callHandler('/api/chat')
+
+    expect(response.status).toBe(200)
+    expect(await response.json()).toEqual({ quota: null })
+  })
+
+  it('rejects messages over the length cap with a specific error', async () => {
+    vi.stubEnv('MAX_MESSAGE_LENGTH', '10')
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    await expect(analyzeWithAI('a message that is far too long', [])).rejects.toMatchObject({
+      status: 413,
+      code: 'message_too_long',
+      maxLength: 10
+    })
+  })
+
+  it('still validates the request', async () => {
+    const response = await callHandler('/api/chat', { method: 'POST', body: JSON.stringify({ message: 'hi', mode: 'nope' }) })
+
+    expect(response.status).toBe(400)
+  })
+})
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest'
+import { parseTodoTxt, toTodoTxt } from '../src/lib/export'
+
+const now = new Date(2026, 9, 19, 12)
+
+describe('todo.txt', () => {
+  it('round-trips a name that starts with a date when the item has no created_at', () => {
+    const items = [
+      { name: '2026-01-01 party plan', classification: 'SIGNAL', completed: false },
+      { name: '2026-01-01 party plan', classification: 'NECESSARY', completed: true }
+    ]
+
+    const text = toTodoTxt(items, { now })
+    expect(text).toBe('(A) 2026-10-19 2026-01-01 party plan\nx 2026-10-19 2026-10-19 2026-01-01 party plan pri:B')
+
+    const { items: parsed, unclassified, errors } = parseTodoTxt(text)
+    expect(errors).toEqual([])
+    expect(unclassified).toEqual([])
+    expect(parsed.map(item => [item.name, item.classification, item.completed])).toEqual([
+      ['2026-01-01 party plan', 'SIGNAL', false],
+      ['2026-01-01 party plan', 'NECESSARY', true]
+    ])
+  })
+
+  it('round-trips dates, status and tags', () => {
+    const item = {
+      name: 'Ship release notes',
+      classification: 'SIGNAL',
+      status: 'today',
+      completed: false,
+      created_at: new Date(2026, 0, 2).toISOString(),
+      due_at: new Date(2026, 0, 5, 23, 59, 59, 999).toISOString(),
+      estimate_minutes: 30,
+      energy: 'high',
+      next_action: 'Call Bob'
+    }
+
+    const [parsed] = parseTodoTxt(toTodoTxt([item], { now })).items
+
+    expect(parsed).toMatchObject({
+      name: item.name,
+      classification: 'SIGNAL',
+      status: 'today',
+      created_at: item.created_at,
+      due_at: item.due_at,
+      estimate_minutes: 30,
+      energy: 'high',
+      next_action: 'Call Bob'
+    })
+  })
+})
@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest'
+import { parseWhen } from '../src/lib/when'
+
+const timeZone = 'America/New_York'
+// Monday 2026-10-19, 09:00 in New York
+const now = new Date('2026-10-19T13:00:00Z')
+
+const range = (text) => {
+  const { start, end } = parseWhen(text, { now, timeZone })
+  return [start.toISOString(), end.toISOString()]
+}
+
+describe('parseWhen ranges', () => {
+  it('ends a range that crosses midnight on the next day', () => {
+    expect(range('party from 10pm to 1am')).toEqual(['2026-10-20T02:00:00.000Z', '2026-10-20T05:00:00.000Z'])
+  })
+
+  it('reads an end hour without am/pm as the afternoon when that follows the start', () => {
+    expect(range('workshop from 10 to 1')).toEqual(['2026-10-19T14:00:00.000Z', '2026-10-19T17:00:00.000Z'])
+  })
+
+  it('keeps ranges within one morning or afternoon', () => {
+    expect(range('review 3-4pm')).toEqual(['2026-10-19T19:00:00.000Z', '2026-10-19T20:00:00.000Z'])
+    expect(range('standup tomorrow 11-1pm')).toEqual(['2026-10-20T15:00:00.000Z', '2026-10-20T17:00:00.000Z'])
+  })
+
+  it('crosses midnight in the zone across a DST change', () => {
+    // Clocks go back at 2am on Nov 1: 10pm EDT to 3am EST
+    expect(range('party on oct 31 from 10pm to 3am')).toEqual(['2026-11-01T02:00:00.000Z', '2026-11-01T08:00:00.000Z'])
+  })
+})